@@ -15,9 +15,29 @@
 import React, { useMemo, useState, useEffect, useRef } from "react";
 import {
   XAxis, YAxis, Tooltip, CartesianGrid,
-  Line, LineChart, ReferenceLine, ResponsiveContainer,
-  ComposedChart, ReferenceArea, Customized,
+  Line, LineChart, ReferenceLine, ResponsiveContainer, Area,
+  ComposedChart, ReferenceArea, Customized, Bar, BarChart, Cell, Sankey,
 } from "recharts";
+import {
+  getUnitPrice, getEFperUnit, getElecPricePerMWh, getElecEFperMWh, INR_PER_CR,
+  normalizeFRTW, normalizeElec, resolveCatalogs, interpolateSeries,
+  computeMeasure, summariseMeasure, measureFromDetails, isTemplateMeasure,
+  DEFAULT_YEARS, DEFAULT_HORIZON, normalizeHorizon, buildYears, resampleDetails, measureAtYear,
+  levelisedMeasure, horizonWeight, TONNE_DISCOUNT_RATE, CARBON_PRICE_PRESETS, DEFAULT_CARBON_PRICE_PATH, normalizeCarbonPricePath,
+  carbonPriceSchedule, carbonPriceAt, escalatedPath, breakEvenCarbonPrice, measureCapexCr, withCapexCr,
+} from "./maccEngine.js";
+import { applyInteractions, switchingPrice, carbonPriceSweep, supplyCurve, abatementAtPrice, buildCurve, sortByEffectiveCost, greedyToTarget, greedyWithinBudget, capexCurve, driverKeys, parseKeyList, poolKeysFor } from "./maccCurve.js";
+import { optimisePortfolio } from "./maccOptimizer.js";
+import { csvToJson, jsonToCsv, measuresToCsv, measuresFromCsvRows } from "./maccCsv.js";
+import { FIT_METHODS, stepFitPoints, fitCurve, sampleFit, weightedQuadraticFit } from "./curveFits.js";
+import { complianceByYear } from "./maccCompliance.js";
+import { BAU_MODES, normalizeBau, seriesPoints, bauAt, bauHorizonEmissions, wedgeSeries } from "./maccBaseline.js";
+import { INVENTORY_GROUPS, INVENTORY_SCOPES, computeInventory, inventoryAuditTable } from "./maccInventory.js";
+import { SCOPES, DRIVER_CATEGORIES, portfolioBreakdown, sankeyData } from "./maccPortfolio.js";
+import { roadmapYears, trajectoryPoints, planRoadmap, roadmapTable } from "./maccRoadmap.js";
+import { snapshotScenario, applySelection, scenarioCurve, stepPoints } from "./maccScenarios.js";
+import { SENSITIVITY_METRICS, runSensitivity, swing, sensitivityTable } from "./maccSensitivity.js";
+import { DIST_TYPES, hasUncertainty, inputSignature, uncertaintyAt } from "./maccUncertainty.js";
 
 /* ---------------- Helpers ---------------- */
 function formatNumber(x) {
@@ -31,52 +51,6 @@ function formatNumber(x) {
   return n.toFixed(2);
 }
 
-function csvToJson(text) {
-  const clean = (text || "").replace(/^\uFEFF/, "");
-  const lines = clean.split(/\r?\n/).filter((ln) => ln.trim().length > 0);
-  if (lines.length === 0) return [];
-  const parseLine = (line) => {
-    const result = []; let cur = ""; let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') {
-        if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
-        else { inQuotes = !inQuotes; }
-      } else if (ch === ',' && !inQuotes) { result.push(cur); cur = ""; }
-      else { cur += ch; }
-    }
-    result.push(cur);
-    return result.map((s) => s.trim());
-  };
-  const headers = parseLine(lines.shift());
-  return lines.map((line) => {
-    const cells = parseLine(line); const obj = {};
-    headers.forEach((h, i) => obj[h] = cells[i] !== undefined ? cells[i] : "");
-    if (obj.details) {
-      try { obj.details = JSON.parse(obj.details); } catch (e) { console.error("Failed to parse details JSON:", e); }
-    }
-    return obj;
-  });
-}
-
-function jsonToCsv(arr) {
-  if (!arr || arr.length === 0) return "";
-  const processedArr = arr.map(row => {
-    const newRow = { ...row };
-    if (newRow.details) newRow.details = JSON.stringify(newRow.details);
-    return newRow;
-  });
-  const headers = Object.keys(processedArr[0]);
-  const esc = (v) => {
-    if (v === null || v === undefined) return "";
-    const s = String(v);
-    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
-  };
-  const headerLine = headers.map(esc).join(",");
-  const body = processedArr.map((row) => headers.map((h) => esc(row[h])).join(",")).join("\n");
-  return headerLine + "\n" + body;
-}
-
 function saveBlob(filename, mime, text) {
   const blob = new Blob([text], { type: `${mime};charset=utf-8;` });
   const url = URL.createObjectURL(blob);
@@ -100,84 +74,6 @@ function useLocalStorage(key, initialValue) {
   return [value, setValue];
 }
 
-// Quadratic LS fit with R²
-function quadraticFit(xs, ys) {
-  const n = xs.length;
-  if (n < 3) return { a: 0, b: 0, c: 0, r2: null };
-
-  let Sx = 0, Sx2 = 0, Sx3 = 0, Sx4 = 0, Sy = 0, Sxy = 0, Sx2y = 0;
-  for (let i = 0; i < n; i++) {
-    const x = Number(xs[i]);
-    const y = Number(ys[i]);
-    const x2 = x * x;
-    Sx  += x; Sx2 += x2; Sx3 += x2 * x; Sx4 += x2 * x2;
-    Sy  += y; Sxy += x * y; Sx2y += x2 * y;
-  }
-
-  const det = (m) =>
-    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
-    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
-    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
-
-  const M  = [[n,  Sx,  Sx2], [Sx,  Sx2, Sx3], [Sx2, Sx3, Sx4]];
-  const My = [[Sy, Sx,  Sx2], [Sxy, Sx2, Sx3], [Sx2y, Sx3, Sx4]];
-  const Mb = [[n,  Sy,  Sx2], [Sx,  Sxy, Sx3], [Sx2, Sx2y, Sx4]];
-  const Mc = [[n,  Sx,  Sy ], [Sx,  Sx2, Sxy], [Sx2, Sx3, Sx2y]];
-
-  const D = det(M);
-  if (Math.abs(D) < 1e-12) return { a: 0, b: 0, c: 0, r2: null };
-
-  const a = det(My) / D;
-  const b = det(Mb) / D;
-  const c = det(Mc) / D;
-
-  const yMean = ys.reduce((s, y) => s + Number(y), 0) / n;
-  let sse = 0, sst = 0;
-  for (let i = 0; i < n; i++) {
-    const x = Number(xs[i]);
-    const y = Number(ys[i]);
-    const yhat = a + b * x + c * x * x;
-    sse += (y - yhat) ** 2;
-    sst += (y - yMean) ** 2;
-  }
-  const r2 = sst > 0 ? 1 - (sse / sst) : null;
-  return { a, b, c, r2 };
-}
-
-/* Interpolation across 5‑year steps */
-function interpolateSeries(series) {
-  const s = [...series];
-  let lastIdx = null;
-  for (let i = 0; i < s.length; i++) {
-    if (s[i] === "" || s[i] == null || !Number.isFinite(Number(s[i]))) continue;
-    if (lastIdx === null) { lastIdx = i; continue; }
-    const dv = (Number(s[i]) - Number(s[lastIdx])) / (i - lastIdx);
-    for (let k = lastIdx + 1; k < i; k++) s[k] = Number(s[lastIdx]) + dv * (k - lastIdx);
-    lastIdx = i;
-  }
-  return s;
-}
-
-/* Finance: NPV & IRR */
-function npv(rate, amounts, years, baseYear) {
-  const r = Number(rate);
-  return amounts.reduce((acc, amt, i) => acc + (Number(amt) / Math.pow(1 + r, Math.max(0, years[i] - baseYear))), 0);
-}
-function irr(amounts, years, baseYear, guessLow = -0.9, guessHigh = 3.0, tol = 1e-6, maxIter = 100) {
-  const f = (r) => npv(r, amounts, years, baseYear);
-  let lo = guessLow, hi = guessHigh;
-  let fLo = f(lo), fHi = f(hi);
-  if (Number.isNaN(fLo) || Number.isNaN(fHi)) return null;
-  if (fLo * fHi > 0) return null;
-  for (let it = 0; it < maxIter; it++) {
-    const mid = (lo + hi) / 2;
-    const fMid = f(mid);
-    if (Math.abs(fMid) < tol) return mid;
-    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
-  }
-  return (lo + hi) / 2;
-}
-
 /* Export chart SVG to PNG (hardened) */
 async function exportContainerSvgToPng(containerEl, filename = "macc.png", scale = 2) {
   if (!containerEl) return;
@@ -209,34 +105,27 @@ async function exportContainerSvgToPng(containerEl, filename = "macc.png", scale
   });
 }
 
+/* Text for an HTML document (sector and measure names are user input) */
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+
+/* Print one element on its own page (the app's stylesheets are copied so Tailwind classes still apply) */
+function printContainer(containerEl, title = "MACC") {
+  if (!containerEl) return;
+  const w = window.open("", "_blank");
+  if (!w) { alert("Allow pop-ups for this page to print."); return; }
+  const styles = Array.from(document.querySelectorAll('style, link[rel="stylesheet"]')).map(n => n.outerHTML).join("\n");
+  w.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>${styles}<style>@page{size:landscape;margin:12mm}body{padding:16px;-webkit-print-color-adjust:exact;print-color-adjust:exact}.no-print{display:none}</style></head><body>${containerEl.outerHTML}</body></html>`);
+  w.document.close();
+  w.focus();
+  // Give linked stylesheets a moment to load before the print dialog opens
+  setTimeout(() => { w.print(); w.close(); }, 400);
+}
+
 /* ---------------- Defaults & Keys ---------------- */
 
 const DEFAULT_SECTORS = [];
 const DEFAULT_BASELINES = {};
 
-// Normalize getters for wizard data sources
-const getUnitPrice = (row) => (row?.price ?? row?.price_per_unit_inr ?? 0);
-const getEFperUnit = (row) => (row?.ef_tco2_per_unit ?? row?.ef_t_per_unit ?? 0);
-const getElecPricePerMWh = (row) => (row?.price_per_mwh ?? row?.price_per_mwh_inr ?? 500);
-const getElecEFperMWh = (row) => (row?.ef_tco2_per_mwh ?? 0.710);
-
-// Catalog field helpers (tolerant)
-function normalizeFRTW(row) { // Fuels/Raw/Transport/Waste
-  return {
-    name: row.name ?? row.fuel ?? row.material ?? row.transport ?? row.item ?? "",
-    unit: row.unit ?? "",
-    price_per_unit_inr: Number(row.price_per_unit_inr ?? row.price_per_unit ?? row.price ?? 0),
-    ef_tco2_per_unit: Number(row.ef_tco2_per_unit ?? row.ef_t_per_unit ?? row.ef_t ?? 0),
-  };
-}
-function normalizeElec(row) {
-  return {
-    state: row.state ?? row.region ?? row.grid ?? "",
-    price_per_mwh_inr: Number(row.price_per_mwh_inr ?? row.price_per_mwh ?? row.price ?? 0),
-    ef_tco2_per_mwh: Number(row.ef_tco2_per_mwh ?? row.ef_t_per_mwh ?? row.ef_t ?? 0.710),
-  };
-}
-
 /* ---------------- Colour palette ---------------- */
 const PALETTE = [
   "#4e79a7","#f28e2b","#e15759","#76b7b2","#59a14f",
@@ -246,6 +135,21 @@ const PALETTE = [
   "#8c564b","#e377c2","#7f7f7f","#bcbd22","#17becf"
 ]; // 25 unique colors
 
+/* ---------------- Baselines ---------------- */
+const isFirmSectorLabel = (label) => typeof label === "string" && label.startsWith("Firm – ");
+
+/* Baseline of a sector, or the sum of the non-firm sectors for "All sectors" */
+const baselineFor = (bls, sector) => {
+  if (sector === "All sectors") {
+    const entries = Object.entries(bls || {}).filter(([key]) => !isFirmSectorLabel(key));
+    const emissions = entries.reduce((s, [, b]) => s + Number(b?.annual_emissions || 0), 0);
+    const production = entries.reduce((s, [, b]) => s + Number(b?.annual_production || 0), 0);
+    const production_label = entries[0]?.[1]?.production_label || "units";
+    return { production_label, annual_production: production, annual_emissions: emissions };
+  }
+  return bls?.[sector] || { production_label: "units", annual_production: 1, annual_emissions: 1 };
+};
+
 
 
 function ColorLegend({ items, max = 30 }) {
@@ -302,10 +206,16 @@ function CollapsibleSection({
 
 
 /* ---------------- Measure Wizard (DB-aware, multi-line) ---------------- */
-function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSources, initialMeasure }) {
-
-  const YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
-  const BASE_YEAR = YEARS[0];
+function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSources, horizonYears, initialMeasure }) {
+
+  // Year grid: a saved template keeps its own grid; new measures use the firm horizon
+  const firmYears = horizonYears?.length ? horizonYears : DEFAULT_YEARS;
+  const [YEARS, setYEARS] = useState(() => {
+    const d = initialMeasure?.details;
+    if (d?.mode !== "template_db_multiline") return firmYears;
+    return Array.isArray(d.years) && d.years.length ? d.years.map(Number) : DEFAULT_YEARS;
+  });
+  const gridMatchesFirm = YEARS.length === firmYears.length && YEARS.every((y, i) => y === firmYears[i]);
 
   const { fuels: DS_FUELS, raw: DS_RAW, transport: DS_TRANSPORT, waste: DS_WASTE, electricity: DS_ELECTRICITY } = dataSources;
 
@@ -317,7 +227,7 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
 
   // Template meta & adoption
   const [meta, setMeta] = useState({ project_name: "Industrial Efficiency Project", sector: sectors[0] || "Power", discount_rate: 0.10, project_life_years: 30 });
-  const [adoption, setAdoption] = useState(YEARS.map((y, i) => i === 0 ? 0 : 0.2 * i));
+  const [adoption, setAdoption] = useState(YEARS.map((y, i) => YEARS.length > 1 ? i / (YEARS.length - 1) : 1));
 
   // Other direct tCO2e
   const [otherDirectT, setOtherDirectT] = useState(YEARS.map(() => 0));
@@ -353,6 +263,14 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
     interest_rate_pct: YEARS.map(() => 7),
   });
 
+  // Monte Carlo: multipliers on adoption & capex (line distributions live on the lines)
+  const [uncertainty, setUncertainty] = useState({});
+  const [mcResult, setMcResult] = useState(null);
+  const [mcProgress, setMcProgress] = useState(null); // null = idle, 0..1 while running
+  const [mcN, setMcN] = useState(500);
+  const [mcSeed, setMcSeed] = useState(1);
+  const workerRef = useRef(null);
+
 
   // Small inline “i” tooltip (no dependencies)
   const InfoTip = ({ text }) => (
@@ -373,6 +291,82 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
 
 
 
+  // Fill every Template input from a saved/resampled `details` object on grid `yrs`
+  const hydrateTemplate = (d, yrs) => {
+    if (d.meta) setMeta(d.meta);
+    if (Array.isArray(d.adoption)) setAdoption([...d.adoption]);
+
+    const zeros = () => yrs.map(() => 0);
+    const empties = () => yrs.map(() => "");
+
+    const withIds = (arr, build) => (Array.isArray(arr) ? arr : []).map((ln, i) => build(ln, i + 1));
+
+    setFuelLines(withIds(d.drivers?.fuel_lines, (ln, id) => ({
+      id,
+      name: ln.name ?? (dataSources.fuels[0]?.name || ""),
+      priceOv: (ln.priceOv ?? null),
+      efOv: (ln.efOv ?? null),
+      priceEscPctYr: ln.priceEscPctYr ?? 0,
+      efEscPctYr: ln.efEscPctYr ?? 0,
+      priceDist: ln.priceDist ?? null,
+      efDist: ln.efDist ?? null,
+      delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
+    })));
+
+    setRawLines(withIds(d.drivers?.raw_lines, (ln, id) => ({
+      id,
+      name: ln.name ?? (dataSources.raw[0]?.name || ""),
+      priceOv: (ln.priceOv ?? null),
+      efOv: (ln.efOv ?? null),
+      priceEscPctYr: ln.priceEscPctYr ?? 0,
+      efEscPctYr: ln.efEscPctYr ?? 0,
+      priceDist: ln.priceDist ?? null,
+      efDist: ln.efDist ?? null,
+      delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
+    })));
+
+    setTransLines(withIds(d.drivers?.transport_lines, (ln, id) => ({
+      id,
+      name: ln.name ?? (dataSources.transport[0]?.name || ""),
+      priceOv: (ln.priceOv ?? null),
+      efOv: (ln.efOv ?? null),
+      priceEscPctYr: ln.priceEscPctYr ?? 0,
+      efEscPctYr: ln.efEscPctYr ?? 0,
+      priceDist: ln.priceDist ?? null,
+      efDist: ln.efDist ?? null,
+      delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
+    })));
+
+    setWasteLines(withIds(d.drivers?.waste_lines, (ln, id) => ({
+      id,
+      name: ln.name ?? (dataSources.waste[0]?.name || ""),
+      priceOv: (ln.priceOv ?? null),
+      efOv: (ln.efOv ?? null),
+      priceEscPctYr: ln.priceEscPctYr ?? 0,
+      efEscPctYr: ln.efEscPctYr ?? 0,
+      priceDist: ln.priceDist ?? null,
+      efDist: ln.efDist ?? null,
+      delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
+    })));
+
+    setElecLines(withIds(d.drivers?.electricity_lines, (ln, id) => ({
+      id,
+      state: ln.state ?? (dataSources.electricity[0]?.state || "India"),
+      priceOv: (ln.priceOv ?? null),
+      priceEscPctYr: ln.priceEscPctYr ?? 0,
+      efEscPctYr: ln.efEscPctYr ?? 0,
+      efOvPerYear: Array.isArray(ln.efOvPerYear) ? ln.efOvPerYear : empties(),
+      priceDist: ln.priceDist ?? null,
+      efDist: ln.efDist ?? null,
+      deltaMWh: Array.isArray(ln.deltaMWh) ? ln.deltaMWh : zeros(),
+    })));
+
+    if (Array.isArray(d.drivers?.other_direct_t)) setOtherDirectT([...d.drivers.other_direct_t]);
+    if (d.stack) setStack(d.stack);
+    setUncertainty(d.uncertainty || {});
+    setMcResult(d.mc_summary || null);
+  };
+
   // ---- Prefill in edit mode
   useEffect(() => {
     if (!initialMeasure) return;
@@ -381,67 +375,9 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
     // If the saved row came from the Template wizard, fully hydrate Template tab
     if (d.mode === "template_db_multiline") {
       setTab("template");
-
-      if (d.meta) setMeta(d.meta);
-      if (Array.isArray(d.adoption)) setAdoption([...d.adoption]);
-
-      const zeros = () => YEARS.map(() => 0);
-      const empties = () => YEARS.map(() => "");
-
-      const withIds = (arr, build) => (Array.isArray(arr) ? arr : []).map((ln, i) => build(ln, i + 1));
-
-      setFuelLines(withIds(d.drivers?.fuel_lines, (ln, id) => ({
-        id,
-        name: ln.name ?? (dataSources.fuels[0]?.name || ""),
-        priceOv: (ln.priceOv ?? null),
-        efOv: (ln.efOv ?? null),
-        priceEscPctYr: ln.priceEscPctYr ?? 0,
-        efEscPctYr: ln.efEscPctYr ?? 0,
-        delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
-      })));
-
-      setRawLines(withIds(d.drivers?.raw_lines, (ln, id) => ({
-        id,
-        name: ln.name ?? (dataSources.raw[0]?.name || ""),
-        priceOv: (ln.priceOv ?? null),
-        efOv: (ln.efOv ?? null),
-        priceEscPctYr: ln.priceEscPctYr ?? 0,
-        efEscPctYr: ln.efEscPctYr ?? 0,
-        delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
-      })));
-
-      setTransLines(withIds(d.drivers?.transport_lines, (ln, id) => ({
-        id,
-        name: ln.name ?? (dataSources.transport[0]?.name || ""),
-        priceOv: (ln.priceOv ?? null),
-        efOv: (ln.efOv ?? null),
-        priceEscPctYr: ln.priceEscPctYr ?? 0,
-        efEscPctYr: ln.efEscPctYr ?? 0,
-        delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
-      })));
-
-      setWasteLines(withIds(d.drivers?.waste_lines, (ln, id) => ({
-        id,
-        name: ln.name ?? (dataSources.waste[0]?.name || ""),
-        priceOv: (ln.priceOv ?? null),
-        efOv: (ln.efOv ?? null),
-        priceEscPctYr: ln.priceEscPctYr ?? 0,
-        efEscPctYr: ln.efEscPctYr ?? 0,
-        delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
-      })));
-
-      setElecLines(withIds(d.drivers?.electricity_lines, (ln, id) => ({
-        id,
-        state: ln.state ?? (dataSources.electricity[0]?.state || "India"),
-        priceOv: (ln.priceOv ?? null),
-        priceEscPctYr: ln.priceEscPctYr ?? 0,
-        efEscPctYr: ln.efEscPctYr ?? 0,
-        efOvPerYear: Array.isArray(ln.efOvPerYear) ? ln.efOvPerYear : empties(),
-        deltaMWh: Array.isArray(ln.deltaMWh) ? ln.deltaMWh : zeros(),
-      })));
-
-      if (Array.isArray(d.drivers?.other_direct_t)) setOtherDirectT([...d.drivers.other_direct_t]);
-      if (d.stack) setStack(d.stack);
+      const yrs = Array.isArray(d.years) && d.years.length ? d.years.map(Number) : DEFAULT_YEARS;
+      setYEARS(yrs);
+      hydrateTemplate(d, yrs);
       setApplyCarbonPriceInSave(!!d.saved_cost_includes_carbon_price);
     } else {
       // If it was a "Quick" row or a simple imported row, hydrate the Quick tab
@@ -456,6 +392,12 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
     }
   }, [initialMeasure, dataSources, sectors]); // <-- deps
 
+  // Move every series onto the firm horizon (linear by year; capex stays in its own year)
+  const resampleToFirmHorizon = () => {
+    const next = resampleDetails(draftDetails, firmYears);
+    setYEARS(firmYears);
+    hydrateTemplate(next, firmYears);
+  };
 
   const setSeries = (arr, setArr, idx, val) => {
     const out = [...arr];
@@ -466,200 +408,51 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
   const addLine = (list, setList, sample) => { const nextId = Math.max(0, ...list.map(l => l.id)) + 1; setList([...list, { id: nextId, ...sample }]); };
   const removeLine = (list, setList, id) => setList(list.filter(l => l.id !== id));
 
-  const annuityFactor = (r, n) => {
-    const R = Number(r), N = Number(n);
-    if (!Number.isFinite(R) || !Number.isFinite(N) || N <= 0) return 0;
-    if (Math.abs(R) < 1e-9) return 1 / N;
-    return (R * Math.pow(1 + R, N)) / (Math.pow(1 + R, N) - 1);
-  };
-
-  const computed = useMemo(() => {
-    const YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
-    const BASE_YEAR = 2025;
-
-    const perYear = YEARS.map((year, i) => {
-      const a = Math.max(0, Math.min(1, Number(adoption[i] || 0)));
-      const yearsSinceBase = Math.max(0, year - BASE_YEAR);
-
-      let fuel_t = 0, raw_t = 0, trans_t = 0, waste_t = 0, elec_t = 0;
-      let driver_cr = 0;
-
-      // Fuel lines
-      for (const ln of fuelLines) {
-        const base = DS_FUELS.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        fuel_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Raw lines
-      for (const ln of rawLines) {
-        const base = DS_RAW.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        raw_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Transport lines
-      for (const ln of transLines) {
-        const base = DS_TRANSPORT.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        trans_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Water & waste lines
-      for (const ln of wasteLines) {
-        const base = DS_WASTE.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        waste_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Electricity lines
-      for (const ln of elecLines) {
-        const base = DS_ELECTRICITY.find(x => x.state === ln.state) || DS_ELECTRICITY[0];
-        const basePrice = (ln.priceOv ?? getElecPricePerMWh(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const hasPerYearOv = ln.efOvPerYear[i] !== "" && ln.efOvPerYear[i] != null;
-        const baseEf = getElecEFperMWh(base) ?? 0;
-        const effEf = hasPerYearOv ? Number(ln.efOvPerYear[i]) : baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const mwh = a * Number(ln.deltaMWh[i] || 0);
-
-        elec_t += mwh * effEf;
-        driver_cr += (mwh * effPrice) / 10_000_000;
-      }
-
-      // const other_t = a * Number(otherDirectT[i] || 0);
-      // Positive entry means "reduce emissions", so subtract it from the emissions delta
-        const other_t = -a * Number(otherDirectT[i] || 0);
-
-
-// Signed emissions delta for the year (negative = reduction)
-      const emission_delta_t = fuel_t + raw_t + trans_t + waste_t + elec_t + other_t;
-      // Split into non‑negative reduction/addition magnitudes
-      const reduction_t = Math.max(0, -emission_delta_t);
-      const addition_t  = Math.max(0,  emission_delta_t);
-
-      // Stack & financing
-      const opex_cr = Number(stack.opex_cr[i] || 0);
-      const savings_cr = Number(stack.savings_cr[i] || 0);
-      const other_cr = Number(stack.other_cr[i] || 0);
-      const capex_upfront_cr = Number(stack.capex_upfront_cr[i] || 0);
-
-      const capex_financed_cr = Number(stack.capex_financed_cr[i] || 0);
-      const i_nominal = Number(stack.interest_rate_pct[i] || 0) / 100;
-      const n_tenure = Number(stack.financing_tenure_years[i] || 0);
-      const financedAnnual_cr = (capex_financed_cr > 0 && i_nominal > 0 && n_tenure > 0)
-        ? capex_financed_cr * annuityFactor(i_nominal, n_tenure)
-        : 0;
-
-
-      // Equivalent annual cost for the upfront capex (use real discount rate & project life)
-      const r_real = Number(meta.discount_rate || 0.10);
-      const life   = Math.max(1, Number(meta.project_life_years || 1));
-      const capexUpfrontAnnual_cr =
-        (capex_upfront_cr > 0) ? capex_upfront_cr * annuityFactor(r_real, life) : 0;
-
-    //-  const net_cost_cr = (driver_cr + opex_cr + other_cr - savings_cr) + financedAnnual_cr;
-      const net_cost_cr =
-        (driver_cr + opex_cr + other_cr - savings_cr) + financedAnnual_cr + capexUpfrontAnnual_cr;
-
-
-      //const net_cost_cr = (driver_cr + opex_cr + other_cr - savings_cr) + financedAnnual_cr;
-
-      // Cash flows in ₹ — add CP benefit only on reduced tons
-      const cashflow_inr_wo_cp = (savings_cr - opex_cr - driver_cr - other_cr - financedAnnual_cr - capex_upfront_cr) * 10_000_000;
-      const cashflow_inr_w_cp  = cashflow_inr_wo_cp + (Number(carbonPrice || 0) * reduction_t);
-
-      // Per‑ton costs — always use reduction_t for denominator
-      const implied_cost_per_t_wo = reduction_t > 0 ? (net_cost_cr * 10_000_000) / reduction_t : 0;
-      const implied_cost_per_t_w  = reduction_t > 0 ? ((net_cost_cr * 10_000_000) - (Number(carbonPrice || 0) * reduction_t)) / reduction_t : 0;
-
-      return {
-        year,
-        // Keep signed delta for transparency (negative = reduction)
-        direct_t: emission_delta_t,
-        // Non‑negative split for costs/plotting/CP
-        reduction_t,
-        addition_t,
-        net_cost_cr,
-        implied_cost_per_t_wo,
-        implied_cost_per_t_w,
-        cashflow_inr_wo_cp,
-        cashflow_inr_w_cp,
-        pieces: { fuel_t, raw_t, trans_t, waste_t, elec_t, other_t, driver_cr, opex_cr, other_cr, savings_cr, financedAnnual_cr, capex_upfront_cr }
-      };
-    }); // <-- CLOSES YEARS.map callback
-
-    let repIdx = perYear.findIndex(y => y.reduction_t > 0);
-
-
-    if (repIdx < 0) repIdx = YEARS.indexOf(2035) >= 0 ? YEARS.indexOf(2035) : Math.floor(YEARS.length / 2);
-
-    const years = perYear.map(y => y.year);
-    const flowsWO = perYear.map(y => y.cashflow_inr_wo_cp);
-    const flowsW = perYear.map(y => y.cashflow_inr_w_cp);
-    const r = Number(meta.discount_rate || 0.10);
-    const npvWO = npv(r, flowsWO, years, BASE_YEAR);
-    const npvW = npv(r, flowsW, years, BASE_YEAR);
-    const irrWO = irr(flowsWO, years, BASE_YEAR);
-    const irrW = irr(flowsW, years, BASE_YEAR);
-
-    const sumDirect   = perYear.reduce((s, y) => s + Number(y.reduction_t || 0), 0);
-    const sumCostInrWO = perYear.reduce((s, y) => s + (y.net_cost_cr * 10_000_000), 0);
-    // Subtract CP benefit only on reduced tons
-    const sumCostInrW  = perYear.reduce((s, y) =>
-      s + ((y.net_cost_cr * 10_000_000) - Number(carbonPrice || 0) * Number(y.reduction_t || 0)), 0);
-    const avgCostWO = sumDirect > 0 ? sumCostInrWO / sumDirect : 0;
-    const avgCostW  = sumDirect > 0 ? sumCostInrW  / sumDirect : 0;
+  // Draft `details` in the saved shape, so the wizard runs the same engine as the table and CLI
+  const draftDetails = useMemo(() => ({
+    mode: "template_db_multiline",
+    years: YEARS,
+    meta,
+    adoption,
+    drivers: {
+      fuel_lines: fuelLines,
+      raw_lines: rawLines,
+      transport_lines: transLines,
+      waste_lines: wasteLines,
+      electricity_lines: elecLines,
+      other_direct_t: otherDirectT,
+    },
+    stack,
+    uncertainty,
+  }), [YEARS, meta, adoption, fuelLines, rawLines, transLines, wasteLines, elecLines, otherDirectT, stack, uncertainty]);
+
+  const computed = useMemo(
+    () => computeMeasure(draftDetails, dataSources, carbonPrice),
+    [draftDetails, dataSources, carbonPrice]
+  );
 
-    return {
-      YEARS: YEARS, BASE_YEAR, perYear, repIdx,
-      rep: perYear[repIdx] || { direct_t: 0, implied_cost_per_t_wo: 0, implied_cost_per_t_w: 0 },
-      finance: { npvWO, npvW, irrWO, irrW, avgCostWO, avgCostW, sumDirect }
+  // A run is only kept (and saved) while the inputs it was drawn from are unchanged
+  const mcSig = useMemo(() => inputSignature(draftDetails, carbonPrice), [draftDetails, carbonPrice]);
+  const mcFresh = !!mcResult && mcResult.input_sig === mcSig;
+
+  const runMonteCarloInWorker = () => {
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL("./monteCarlo.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    const sig = mcSig;
+    setMcProgress(0);
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "progress") { setMcProgress(msg.value); return; }
+      if (msg.type === "done") setMcResult({ ...msg.result, input_sig: sig });
+      if (msg.type === "error") alert(`Monte Carlo failed: ${msg.message}`);
+      setMcProgress(null);
+      worker.terminate();
+      workerRef.current = null;
     };
-  }, [adoption, fuelLines, rawLines, transLines, wasteLines, elecLines, otherDirectT, stack, meta.discount_rate, carbonPrice]);
+    worker.postMessage({ details: draftDetails, catalogs: dataSources, carbonPrice, n: mcN, seed: mcSeed });
+  };
+  useEffect(() => () => workerRef.current?.terminate(), []);
 
   function saveQuick() {
     onSave({
@@ -677,41 +470,20 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
   function saveTemplate() {
     const repAbate = Number(computed?.rep?.reduction_t || 0);
 
-    const repCost = applyCarbonPriceInSave ? computed.rep.implied_cost_per_t_w : computed.rep.implied_cost_per_t_wo;
-
     if (repAbate <= 0) {
       const ok = typeof window === "undefined" ? true :
         window.confirm("This measure has 0 tCO₂ abatement in the representative year. Save anyway? It won’t appear on the MACC until abatement > 0.");
       if (!ok) return;
     }
 
+    const summary = summariseMeasure(draftDetails, computed, { includesCarbonPrice: applyCarbonPriceInSave, carbonPrice });
     onSave({
       id: initialMeasure?.id, // preserve id when editing
       name: meta.project_name,
       sector: meta.sector,
-      abatement_tco2: repAbate,
-      cost_per_tco2: repCost,
       selected: true,
-      details: {
-        mode: "template_db_multiline",
-        years: computed.YEARS,
-        meta,
-        adoption,
-        drivers: {
-          fuel_lines: fuelLines,
-          raw_lines: rawLines,
-          transport_lines: transLines,
-          waste_lines: wasteLines,
-          electricity_lines: elecLines,
-          other_direct_t: otherDirectT,
-        },
-        stack,
-        per_year: computed.perYear,
-        representative_index: computed.repIdx,
-        finance_summary: computed.finance,
-        saved_cost_includes_carbon_price: !!applyCarbonPriceInSave,
-        carbon_price_at_save: Number(carbonPrice || 0),
-      },
+      ...summary,
+      details: { ...summary.details, mc_summary: mcFresh ? mcResult : null },
     });
   }
 
@@ -796,6 +568,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
           <div className="flex gap-2">
             <button className={`px-3 py-1.5 rounded-xl border ${tab === 'quick' ? 'bg-black text-white' : ''}`} onClick={() => setTab('quick')}>Quick</button>
             <button className={`px-3 py-1.5 rounded-xl border ${tab === 'template' ? 'bg-black text-white' : ''}`} onClick={() => setTab('template')} id="measure-wizard-title">Template (catalog)</button>
+            <button className={`px-3 py-1.5 rounded-xl border ${tab === 'uncertainty' ? 'bg-black text-white' : ''}`} onClick={() => setTab('uncertainty')} title="Distributions & Monte Carlo for the template measure">Uncertainty</button>
+            <button className={`px-3 py-1.5 rounded-xl border ${tab === 'sensitivity' ? 'bg-black text-white' : ''}`} onClick={() => setTab('sensitivity')} title="Tornado: vary each input by ±X%">Sensitivity</button>
           </div>
           <button className="px-3 py-1.5 rounded-xl border" onClick={onClose}>Close</button>
         </div>
@@ -824,6 +598,35 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 <input type="checkbox" checked={q.selected} onChange={e => setQ({ ...q, selected: e.target.checked })} /> 
               </label>Include in MACC
             </div>
+          ) : tab === "sensitivity" ? (
+            <SensitivityPanel
+              currency={currency}
+              details={draftDetails}
+              catalogs={dataSources}
+              carbonPrice={carbonPrice}
+              fileStem={meta.project_name}
+            />
+          ) : tab === "uncertainty" ? (
+            <UncertaintyPanel
+              currency={currency}
+              dataSources={dataSources}
+              groups={[
+                { key: "fuel", label: "Fuel", lines: fuelLines, setLines: setFuelLines },
+                { key: "raw", label: "Raw material", lines: rawLines, setLines: setRawLines },
+                { key: "transport", label: "Transport", lines: transLines, setLines: setTransLines },
+                { key: "waste", label: "Waste", lines: wasteLines, setLines: setWasteLines },
+                { key: "electricity", label: "Electricity", lines: elecLines, setLines: setElecLines },
+              ]}
+              uncertainty={uncertainty}
+              setUncertainty={setUncertainty}
+              computed={computed}
+              mcResult={mcResult}
+              mcFresh={mcFresh}
+              mcProgress={mcProgress}
+              mcN={mcN} setMcN={setMcN}
+              mcSeed={mcSeed} setMcSeed={setMcSeed}
+              onRun={runMonteCarloInWorker}
+            />
           ) : (
             <div className="space-y-6">
               <div className="text-sm font-semibold text-gray-800">Project details</div>
@@ -843,6 +646,22 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                   <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={meta.project_life_years} onChange={e => setMeta({ ...meta, project_life_years: Number(e.target.value) })} />
                 </label>
               </div>
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                <span>Year grid: <b>{YEARS[0]}–{YEARS[YEARS.length - 1]}</b> ({YEARS.length} columns)</span>
+                {!gridMatchesFirm && (
+                  <>
+                    <span>· firm horizon is {firmYears[0]}–{firmYears[firmYears.length - 1]} ({firmYears.length} columns)</span>
+                    <button
+                      type="button"
+                      className="px-2 py-1 rounded border"
+                      title="Interpolate all series by year onto the firm horizon. One-off capex stays in its own year."
+                      onClick={resampleToFirmHorizon}
+                    >
+                      Resample to firm horizon
+                    </button>
+                  </>
+                )}
+              </div>
               <div className="rounded-xl border p-3">
                 <div className="text-sm font-semibold mb-2">Adoption profile (0–1)</div>
                 <SeriesRow
@@ -1213,7 +1032,7 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                     <div className="font-semibold">{currency} {formatNumber(computed.rep.implied_cost_per_t_wo)} / tCO₂e</div>
                   </div>
                   <div className="sm:col-span-3">
-                    <div className="text-gray-500">Rep. cost (with carbon price = {currency} {formatNumber(carbonPrice)}/tCO₂)</div>
+                    <div className="text-gray-500">Rep. cost (with carbon price = {currency} {formatNumber(carbonPriceAt(carbonPrice, computed.YEARS[computed.repIdx]))}/tCO₂)</div>
                     <div className="font-semibold">{currency} {formatNumber(computed.rep.implied_cost_per_t_w)} / tCO₂e</div>
                   </div>
                 </div>
@@ -1253,7 +1072,7 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
           {tab !== "quick" && (
             <label className="mr-auto flex items-center gap-2 text-xs">
               <input type="checkbox" checked={applyCarbonPriceInSave} onChange={(e) => setApplyCarbonPriceInSave(e.target.checked)} />
-              Save cost including carbon price ({currency} {formatNumber(carbonPrice)}/tCO₂)
+              Save cost including carbon price ({typeof carbonPrice === "object" ? "yearly path" : `${currency} ${formatNumber(carbonPrice)}/tCO₂`})
             </label>
           )}
           <button className="px-4 py-2 rounded-xl border" onClick={onClose}>Cancel</button>
@@ -1272,6 +1091,361 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
   );
 }
 
+/* ---------------- Uncertainty (wizard tab) ---------------- */
+
+// One distribution: type + its parameters; picking a type seeds it around `center`
+function DistEditor({ value, center, onChange, step = "any" }) {
+  const c = Number(center || 0);
+  const seed = (dist) => {
+    if (!dist) return null;
+    if (dist === "normal") return { dist, mean: c, sd: Math.abs(c) * 0.1 };
+    if (dist === "uniform") return { dist, min: c * 0.8, max: c * 1.2 };
+    return { dist, min: c * 0.8, mode: c, max: c * 1.2 };
+  };
+  const num = (k) => (
+    <input
+      type="number" step={step}
+      className="w-20 border rounded-lg px-1 py-0.5 text-right"
+      title={k}
+      value={value?.[k] ?? ""}
+      onChange={(e) => onChange({ ...value, [k]: (e.target.value === "" ? "" : Number(e.target.value)) })}
+    />
+  );
+  return (
+    <div className="flex items-center gap-1 text-xs whitespace-nowrap">
+      <select className="border rounded-lg px-1 py-0.5" value={value?.dist || ""} onChange={(e) => onChange(seed(e.target.value))}>
+        <option value="">fixed</option>
+        {DIST_TYPES.map(d => <option key={d} value={d}>{d}</option>)}
+      </select>
+      {value?.dist === "triangular" && <>{num("min")}{num("mode")}{num("max")}</>}
+      {value?.dist === "uniform" && <>{num("min")}{num("max")}</>}
+      {value?.dist === "normal" && <>μ {num("mean")} σ {num("sd")}</>}
+    </div>
+  );
+}
+
+function UncertaintyPanel({
+  currency, dataSources, groups, uncertainty, setUncertainty, computed,
+  mcResult, mcFresh, mcProgress, mcN, setMcN, mcSeed, setMcSeed, onRun,
+}) {
+  const catalogFor = { fuel: dataSources.fuels, raw: dataSources.raw, transport: dataSources.transport, waste: dataSources.waste, electricity: dataSources.electricity };
+  const currentValues = (g, ln) => {
+    if (g === "electricity") {
+      const base = (catalogFor.electricity || []).find(x => x.state === ln.state) || (catalogFor.electricity || [])[0];
+      return { price: ln.priceOv ?? getElecPricePerMWh(base), ef: ln.efOv ?? getElecEFperMWh(base), unit: "MWh" };
+    }
+    const base = (catalogFor[g] || []).find(x => x.name === ln.name);
+    return { price: ln.priceOv ?? getUnitPrice(base), ef: ln.efOv ?? getEFperUnit(base), unit: base?.unit || "unit" };
+  };
+  const setLineDist = (grp, id, key, dist) => grp.setLines(grp.lines.map(l => l.id === id ? { ...l, [key]: dist } : l));
+  const anyDist = hasUncertainty({ drivers: Object.fromEntries(groups.map(g => [`${g.key}_lines`, g.lines])), uncertainty });
+  const band = (b, fmt = formatNumber) => (b ? `${fmt(b.p10)} / ${fmt(b.p50)} / ${fmt(b.p90)}` : "—");
+
+  return (
+    <div className="space-y-5">
+      <div className="text-sm text-gray-600">
+        Attach distributions to uncertain inputs. Each simulation draws every distribution once and reruns the full calculation;
+        prices and EFs are absolute values that replace the override, adoption and capex are multipliers (1 = as entered).
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-gray-700">
+              <th className="p-2 text-left">Driver</th>
+              <th className="p-2 text-left">Item</th>
+              <th className="p-2 text-left">Price ({currency}/unit)</th>
+              <th className="p-2 text-left">EF (tCO₂/unit)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.flatMap(grp => grp.lines.map(ln => {
+              const cur = currentValues(grp.key, ln);
+              return (
+                <tr key={`${grp.key}-${ln.id}`} className="border-b">
+                  <td className="p-2">{grp.label}</td>
+                  <td className="p-2">{grp.key === "electricity" ? ln.state : ln.name} <span className="text-xs text-gray-500">({cur.unit})</span></td>
+                  <td className="p-2">
+                    <div className="text-[11px] text-gray-500">now {formatNumber(cur.price)}</div>
+                    <DistEditor value={ln.priceDist} center={cur.price} onChange={(d) => setLineDist(grp, ln.id, "priceDist", d)} />
+                  </td>
+                  <td className="p-2">
+                    <div className="text-[11px] text-gray-500">now {Number(cur.ef || 0).toFixed(4)}{grp.key === "electricity" && (ln.efOvPerYear || []).some(v => v !== "" && v != null) ? " · per‑year overrides scale with the draw" : ""}</div>
+                    <DistEditor value={ln.efDist} center={cur.ef} onChange={(d) => setLineDist(grp, ln.id, "efDist", d)} />
+                  </td>
+                </tr>
+              );
+            }))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+        <div className="border rounded-xl p-3">
+          <div className="font-medium mb-1">Adoption multiplier</div>
+          <DistEditor value={uncertainty.adoption} center={1} onChange={(d) => setUncertainty({ ...uncertainty, adoption: d })} />
+          <div className="text-[11px] text-gray-500 mt-1">Scales the whole adoption ramp (capped at 100%).</div>
+        </div>
+        <div className="border rounded-xl p-3">
+          <div className="font-medium mb-1">Capex multiplier</div>
+          <DistEditor value={uncertainty.capex} center={1} onChange={(d) => setUncertainty({ ...uncertainty, capex: d })} />
+          <div className="text-[11px] text-gray-500 mt-1">Scales upfront and financed capex in every year.</div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">Simulations
+          <input type="number" min={10} step={100} className="w-24 border rounded-lg px-2 py-1 text-right" value={mcN} onChange={(e) => setMcN(Math.max(10, Math.min(20000, Number(e.target.value) || 10)))} />
+        </label>
+        <label className="flex items-center gap-2">Seed
+          <input type="number" className="w-20 border rounded-lg px-2 py-1 text-right" value={mcSeed} onChange={(e) => setMcSeed(Number(e.target.value) || 1)} />
+        </label>
+        <button className="px-3 py-1.5 rounded-xl bg-black text-white disabled:opacity-50" disabled={!anyDist || mcProgress != null} onClick={onRun}>
+          {mcProgress != null ? `Running… ${Math.round(mcProgress * 100)}%` : "Run Monte Carlo"}
+        </button>
+        {!anyDist && <span className="text-xs text-gray-500">Add at least one distribution.</span>}
+        {mcResult && !mcFresh && <span className="text-xs text-amber-700">Inputs changed since the last run — re‑run before saving to keep bands.</span>}
+      </div>
+
+      {mcResult && (
+        <div className={`space-y-3 ${mcFresh ? "" : "opacity-60"}`}>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm bg-gray-50 rounded-xl p-3 border">
+            <div>
+              <div className="text-gray-500">Rep. year {mcResult.years?.[mcResult.repIdx]} abatement (P10 / P50 / P90)</div>
+              <div className="font-semibold">{band(mcResult.rep?.reduction_t)} tCO₂e</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Rep. cost w/o CP (P10 / P50 / P90)</div>
+              <div className="font-semibold">{band(mcResult.rep?.cost_wo)} {currency}/tCO₂e</div>
+            </div>
+            <div>
+              <div className="text-gray-500">NPV w/o CP (P10 / P50 / P90)</div>
+              <div className="font-semibold">{band(mcResult.npv_wo, (v) => formatNumber(v / INR_PER_CR))} {currency} cr</div>
+            </div>
+          </div>
+          <div className="h-[220px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={mcResult.per_year.map((r, i) => ({ year: r.year, p10: r.cost_wo.p10, p50: r.cost_wo.p50, p90: r.cost_wo.p90, det: computed.perYear[i]?.implied_cost_per_t_wo }))} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis tickFormatter={(v) => formatNumber(v)} />
+                <Tooltip formatter={(v, n) => [`${currency} ${formatNumber(v)}/tCO₂`, n]} />
+                <Line dataKey="p90" name="P90" stroke="#dc2626" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                <Line dataKey="p50" name="P50" stroke="#111827" dot={false} isAnimationActive={false} />
+                <Line dataKey="p10" name="P10" stroke="#16a34a" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                <Line dataKey="det" name="Deterministic" stroke="#6b7280" strokeWidth={1} dot={{ r: 2 }} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-gray-700">
+                  <th className="p-2 text-left">Year</th>
+                  <th className="p-2 text-right">Abatement P10 / P50 / P90 (tCO₂e)</th>
+                  <th className="p-2 text-right">Cost w/o CP P10 / P50 / P90 ({currency}/tCO₂e)</th>
+                  <th className="p-2 text-right">Cost w/ CP P10 / P50 / P90 ({currency}/tCO₂e)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mcResult.per_year.map(r => (
+                  <tr key={r.year} className="border-b">
+                    <td className="p-2">{r.year}</td>
+                    <td className="p-2 text-right">{band(r.reduction_t)}</td>
+                    <td className="p-2 text-right">{band(r.cost_wo)}</td>
+                    <td className="p-2 text-right">{band(r.cost_w)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-gray-500">{mcResult.n} simulations, seed {mcResult.seed}. Costs are banded over draws with abatement in that year. Saving the measure keeps these bands for the probabilistic MACC.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Sensitivity (wizard tab) ---------------- */
+
+function SensitivityPanel({ currency, details, catalogs, carbonPrice, fileStem }) {
+  const [pct, setPct] = useLocalStorage("macc_sensitivityPct", 10);
+  const [metric, setMetric] = useLocalStorage("macc_sensitivityMetric", "cost_wo");
+  const result = useMemo(() => runSensitivity(details, catalogs, carbonPrice, pct), [details, catalogs, carbonPrice, pct]);
+  const metricDef = SENSITIVITY_METRICS.find(m => m.key === metric) || SENSITIVITY_METRICS[0];
+  const fmt = (v, unit = metricDef.unit) => {
+    if (v == null || !Number.isFinite(v)) return "—";
+    if (unit === "pct") return `${(v * 100).toFixed(2)}%`;
+    return unit === "money" ? `${currency} ${formatNumber(v)}` : `${currency} ${formatNumber(v)}/tCO₂`;
+  };
+
+  const base = result.base[metricDef.key];
+  const bars = result.rows
+    .map(r => ({ label: r.label, lo: r.low[metricDef.key], hi: r.high[metricDef.key], swing: swing(r, metricDef.key) }))
+    .filter(r => r.swing != null && r.swing > 0)
+    .sort((a, b) => b.swing - a.swing)
+    .map(r => ({ ...r, low: [base, r.lo], high: [base, r.hi] }));
+
+  const exportCsv = () => {
+    const stem = String(fileStem || "measure").trim().replace(/[^\w-]+/g, "_") || "measure";
+    saveBlob(`${stem}_sensitivity.csv`, "text/csv", jsonToCsv(sensitivityTable(result)));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2">Vary each input by ±
+          <input type="number" min={1} max={100} className="w-16 border rounded-lg px-2 py-1 text-right" value={pct} onChange={(e) => setPct(Math.max(1, Math.min(100, Number(e.target.value) || 1)))} />%
+        </label>
+        <label className="flex items-center gap-2">Show
+          <select className="border rounded-lg px-2 py-1" value={metricDef.key} onChange={(e) => setMetric(e.target.value)}>
+            {SENSITIVITY_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+        <button className="px-3 py-1.5 rounded-xl border" onClick={exportCsv} disabled={!result.rows.length}>Export CSV</button>
+        <span className="text-xs text-gray-500">Base ({result.year}): <b>{fmt(base)}</b></span>
+      </div>
+
+      {bars.length ? (
+        <div style={{ height: Math.max(160, 36 * bars.length + 60) }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={bars} layout="vertical" margin={{ top: 10, right: 24, left: 24, bottom: 10 }} barGap={0}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" domain={["auto", "auto"]} tickFormatter={(v) => (metricDef.unit === "pct" ? `${(v * 100).toFixed(1)}%` : formatNumber(v))} />
+              <YAxis type="category" dataKey="label" width={220} tick={{ fontSize: 11 }} />
+              <Tooltip formatter={(v, n) => [fmt(Array.isArray(v) ? v[1] : v), n]} />
+              <ReferenceLine x={base} stroke="#111827" />
+              <Bar dataKey="low" name={`Input −${pct}%`} fill="#2563eb" isAnimationActive={false} />
+              <Bar dataKey="high" name={`Input +${pct}%`} fill="#f97316" isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-500">No input moves {metricDef.label} (or it is undefined, e.g. no IRR).</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-gray-700">
+              <th className="p-2 text-left">Input</th>
+              <th className="p-2 text-right">Base value</th>
+              <th className="p-2 text-right">{metricDef.label} at −{pct}%</th>
+              <th className="p-2 text-right">{metricDef.label} at +{pct}%</th>
+              <th className="p-2 text-right">Swing</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.rows.map(r => (
+              <tr key={r.key} className="border-b">
+                <td className="p-2">{r.label}</td>
+                <td className="p-2 text-right">{formatNumber(r.value)}</td>
+                <td className="p-2 text-right">{fmt(r.low[metricDef.key])}</td>
+                <td className="p-2 text-right">{fmt(r.high[metricDef.key])}</td>
+                <td className="p-2 text-right">{swing(r, metricDef.key) == null ? "—" : fmt(swing(r, metricDef.key))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500">
+        One input at a time; costs are read at the base representative year ({result.year}). Inputs that are zero or blank are not listed.
+        A line price or EF taken from the catalog is varied as an override. The CSV holds every metric.
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Uncertainty error bars ---------------- */
+// Vertical bar: cost P10–P90 at the segment middle; horizontal bar: abatement P10–P90 around the right edge
+function UncertaintyBars(props) {
+  const { segments, xAxisMap, yAxisMap } = props;
+  const xKey = xAxisMap ? Object.keys(xAxisMap)[0] : null;
+  const yKey = yAxisMap ? Object.keys(yAxisMap)[0] : null;
+  const xScale = xKey ? xAxisMap[xKey]?.scale : null;
+  const yScale = yKey ? yAxisMap[yKey]?.scale : null;
+  if (!xScale || !yScale) return null;
+  const cap = 4;
+
+  return (
+    <g pointerEvents="none">
+      {segments.filter(s => s.band).map((s) => {
+        const xm = xScale((s.x1_plot + s.x2_plot) / 2);
+        const yLo = yScale(s.band.cost_p10), yHi = yScale(s.band.cost_p90);
+        const yC = yScale(s.cost);
+        const xL = xScale(s.x2_plot - s.band.dx_lo), xR = xScale(s.x2_plot + s.band.dx_hi);
+        return (
+          <g key={`unc-${s.id}`} stroke="#111827" strokeWidth={1.25}>
+            <line x1={xm} x2={xm} y1={yLo} y2={yHi} />
+            <line x1={xm - cap} x2={xm + cap} y1={yLo} y2={yLo} />
+            <line x1={xm - cap} x2={xm + cap} y1={yHi} y2={yHi} />
+            <line x1={xL} x2={xR} y1={yC} y2={yC} strokeDasharray="3 2" />
+            <line x1={xL} x2={xL} y1={yC - cap} y2={yC + cap} />
+            <line x1={xR} x2={xR} y1={yC - cap} y2={yC + cap} />
+          </g>
+        );
+      })}
+    </g>
+  );
+}
+
+/* ---------------- Target label (stacked readouts beside the target line) ---------------- */
+function TargetLabel({ viewBox, lines }) {
+  if (!viewBox || !lines?.length) return null;
+  const { x, y } = viewBox;
+  return (
+    <text x={x + 6} y={y + 12} fill="#111827" fontSize={11} stroke="#ffffff" strokeWidth={3} paintOrder="stroke">
+      {lines.map((l, i) => (
+        <tspan key={i} x={x + 6} dy={i === 0 ? 0 : 13} fontWeight={i === 0 ? 600 : 400}>{l}</tspan>
+      ))}
+    </text>
+  );
+}
+
+/* Sankey node: coloured bar with its label on the outer side */
+function SankeyNodeShape({ x, y, width, height, payload, containerWidth }) {
+  const left = x + width / 2 > containerWidth / 2;
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={Math.max(1, height)} fill={payload.color} fillOpacity={0.9} />
+      <text
+        x={left ? x - 6 : x + width + 6}
+        y={y + height / 2}
+        textAnchor={left ? "end" : "start"}
+        dominantBaseline="middle"
+        fontSize={11}
+        fill="#111827"
+      >
+        {payload.name}: {formatNumber(payload.value)} t
+      </text>
+    </g>
+  );
+}
+
+/* Wedge chart hover card: the hovered wedge first, then every wedge of the year */
+function WedgeTooltip({ active, payload, label, measures, hovered }) {
+  if (!active || !payload?.length) return null;
+  const p = payload[0].payload;
+  const pct = (t) => (p.bau_t > 0 ? ` (${((t / p.bau_t) * 100).toFixed(1)}% of BAU)` : "");
+  const rows = measures.filter(m => p[m.key] > 0).sort((a, b) => (a.key === hovered ? -1 : b.key === hovered ? 1 : p[b.key] - p[a.key]));
+  return (
+    <div className="bg-white border rounded-xl shadow p-2 text-xs max-w-[320px]">
+      <div className="font-semibold mb-1">{label}</div>
+      <div>BAU: <b>{formatNumber(p.bau_t)}</b> tCO₂</div>
+      <div>Left after measures: <b>{formatNumber(p.residual_t)}</b> tCO₂</div>
+      <div className="mb-1">Abated: <b>{formatNumber(p.abated_t)}</b> tCO₂{pct(p.abated_t)}</div>
+      {rows.slice(0, 12).map(m => (
+        <div key={m.key} className={`flex items-center gap-1 ${m.key === hovered ? "font-semibold" : ""}`}>
+          <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: m.color }} />
+          <span className="truncate">{m.name}</span>
+          <span className="ml-auto pl-2 whitespace-nowrap">{formatNumber(p[m.key])} t{m.key === hovered ? pct(p[m.key]) : ""}</span>
+        </div>
+      ))}
+      {rows.length > 12 && <div className="text-gray-500">+{rows.length - 12} more</div>}
+    </div>
+  );
+}
+
 /* ---------------- Hover overlay (guards) ---------------- */
 function HoverOverlay(props) {
   const { segments, maccRef, setHoverInfo, xAxisMap, yAxisMap, offset } = props;
@@ -1542,6 +1716,11 @@ function ManageFirmsModal({
     localStorage.setItem(`macc_firm_${nextId}_catalogs_waste`, JSON.stringify(catalogs.waste));
     localStorage.setItem(`macc_firm_${nextId}_catalogs_electricity`, JSON.stringify(catalogs.electricity));
     localStorage.setItem(`macc_firm_${nextId}_catalog_mode`, JSON.stringify("merged"));
+    localStorage.setItem(`macc_firm_${nextId}_horizon`, JSON.stringify(DEFAULT_HORIZON));
+    localStorage.setItem(`macc_firm_${nextId}_pools`, JSON.stringify([]));
+    localStorage.setItem(`macc_firm_${nextId}_carbon_price_path`, JSON.stringify(DEFAULT_CARBON_PRICE_PATH));
+    localStorage.setItem(`macc_firm_${nextId}_scenarios`, JSON.stringify([]));
+    localStorage.setItem(`macc_firm_${nextId}_roadmap_trajectory`, JSON.stringify({}));
 
     setActiveFirmId(nextId);
     await Promise.resolve(loadFirmDataIntoState?.(nextId)); // load into app state
@@ -1602,7 +1781,7 @@ function ManageFirmsModal({
     }
     if (!window.confirm("Delete this firm and all its local data? This cannot be undone.")) return;
     // Remove storage
-    ["sectors","baselines","measures","currency","carbon_price","catalogs_fuels","catalogs_raw","catalogs_transport","catalogs_waste","catalogs_electricity","catalog_mode"].forEach(suffix => {
+    ["sectors","baselines","measures","currency","carbon_price","catalogs_fuels","catalogs_raw","catalogs_transport","catalogs_waste","catalogs_electricity","catalog_mode","horizon","pools","carbon_price_path","scenarios","roadmap_trajectory"].forEach(suffix => {
       localStorage.removeItem(`macc_firm_${id}_${suffix}`);
     });
     const next = firms.filter(f => f.id !== id);
@@ -1705,7 +1884,7 @@ function ManageFirmsModal({
                   }} />
               </label>
             </div>
-            <div className="text-xs text-gray-500 mt-1">Import replaces the active firm's sectors, baselines, measures, currency, carbon price, and catalogs.</div>
+            <div className="text-xs text-gray-500 mt-1">Import replaces the active firm's sectors, baselines, measures, currency, carbon price (and price path), model horizon, scenarios, roadmap trajectory, and catalogs.</div>
           </div>
         </div>
       </div>
@@ -1738,8 +1917,21 @@ function MACCAppInner() {
   const [mode, setMode] = useLocalStorage("macc_mode", "capacity");
   const [costModel, setCostModel] = useLocalStorage("macc_costModel", "step");
   const [fitPositiveCostsOnly, setFitPositiveCostsOnly] = useLocalStorage("macc_fitPositiveCostsOnly", false);
+  const [fitMethod, setFitMethod] = useLocalStorage("macc_fitMethod", "isotonic"); // alternative fit (costModel "alt")
+  const [fitSegments, setFitSegments] = useLocalStorage("macc_fitSegments", 3);
   const [selectedSector, setSelectedSector] = useLocalStorage("macc_selected_sector", "All sectors");
   const [targetIntensityPct, setTargetIntensityPct] = useLocalStorage("macc_targetIntensityPct", 20);
+  const [maccYear, setMaccYear] = useLocalStorage("macc_year", "rep"); // "rep" = saved representative year, else a year
+  const [costBasis, setCostBasis] = useLocalStorage("macc_costBasis", "annual"); // annual | levelised
+  const [levelisedDiscountTonnes, setLevelisedDiscountTonnes] = useLocalStorage("macc_levelisedDiscountTonnes", true);
+  const [levelisedQuick, setLevelisedQuick] = useLocalStorage("macc_levelisedQuick", "repeat"); // repeat | exclude
+  const [interactionsOn, setInteractionsOn] = useLocalStorage("macc_interactionsOn", false);
+  const [optInteger, setOptInteger] = useLocalStorage("macc_optInteger", true); // all-or-nothing measures
+  const [optCapexCapCr, setOptCapexCapCr] = useLocalStorage("macc_optCapexCapCr", "");
+  const [showUncertainty, setShowUncertainty] = useLocalStorage("macc_showUncertainty", true);
+  const [cpSweepMax, setCpSweepMax] = useLocalStorage("macc_cpSweepMax", 5000);
+  const [budgetCapCr, setBudgetCapCr] = useLocalStorage("macc_budgetCapCr", ""); // ₹ cr, shared by budget-constrained mode and the optimiser
+  const [capexCeilingCr, setCapexCeilingCr] = useLocalStorage("macc_capexCeilingCr", "");
 
   // Data sources (global sample catalogs used by wizard)
   const [dataSources, setDataSources] = useState({
@@ -1765,6 +1957,12 @@ function MACCAppInner() {
     fuels: [], raw: [], transport: [], waste: [], electricity: []
   });
   const [catalogMode, setCatalogMode] = useState("merged"); // sample | custom | merged
+  const [horizon, setHorizon] = useState(DEFAULT_HORIZON); // { start, end, step }
+  const [pools, setPools] = useState([]); // shared emission pools [{ key, label, emissions_t }]
+  const [carbonPricePath, setCarbonPricePath] = useState(DEFAULT_CARBON_PRICE_PATH); // { enabled, escalation_pct, points: { year: price } }
+  const [scenarios, setScenarios] = useState([]); // named snapshots, see maccScenarios.js
+  const [roadmapTrajectory, setRoadmapTrajectory] = useState({}); // { year: % below baseline }, see maccRoadmap.js
+  const horizonYears = useMemo(() => buildYears(horizon), [horizon]);
 
   // Load sample data
   useEffect(() => {
@@ -1837,8 +2035,6 @@ function MACCAppInner() {
     fetchData();
   }, []);
   
-  const isFirmSectorLabel = (label) => typeof label === "string" && label.startsWith("Firm – ");
-
   // Helpers for firm storage
   const keyFor = (id, suffix) => `macc_firm_${id}_${suffix}`;
 
@@ -1867,6 +2063,11 @@ function MACCAppInner() {
       const wasteC = JSON.parse(localStorage.getItem(keyFor(id, "catalogs_waste")) || "[]");
       const electricityC = JSON.parse(localStorage.getItem(keyFor(id, "catalogs_electricity")) || "[]");
       const modeC = JSON.parse(localStorage.getItem(keyFor(id, "catalog_mode")) || JSON.stringify("merged"));
+      const horizonL = JSON.parse(localStorage.getItem(keyFor(id, "horizon")) || "null");
+      const poolsL = JSON.parse(localStorage.getItem(keyFor(id, "pools")) || "[]");
+      const cpPathL = JSON.parse(localStorage.getItem(keyFor(id, "carbon_price_path")) || "null");
+      const scenariosL = JSON.parse(localStorage.getItem(keyFor(id, "scenarios")) || "[]");
+      const trajectoryL = JSON.parse(localStorage.getItem(keyFor(id, "roadmap_trajectory")) || "{}");
 
       setSectors(sectorsL.length ? sectorsL : dataSources.sectors || []);
       setBaselines(Object.keys(baselinesL || {}).length ? baselinesL : dataSources.baselines || {});
@@ -1881,6 +2082,11 @@ function MACCAppInner() {
         electricity: (electricityC || []).map(normalizeElec),
       });
       setCatalogMode(modeC || "merged");
+      setHorizon(normalizeHorizon(horizonL || DEFAULT_HORIZON));
+      setPools(Array.isArray(poolsL) ? poolsL : []);
+      setCarbonPricePath(normalizeCarbonPricePath(cpPathL));
+      setScenarios(Array.isArray(scenariosL) ? scenariosL : []);
+      setRoadmapTrajectory(trajectoryL && typeof trajectoryL === "object" ? trajectoryL : {});
 
       if (selectedSector !== "All sectors" && !sectorsL.includes(selectedSector)) {
         setSelectedSector("All sectors");
@@ -1909,6 +2115,11 @@ function MACCAppInner() {
       localStorage.setItem(keyFor(1, "catalogs_waste"), JSON.stringify(dataSources.waste || []));
       localStorage.setItem(keyFor(1, "catalogs_electricity"), JSON.stringify(dataSources.electricity || []));
       localStorage.setItem(keyFor(1, "catalog_mode"), JSON.stringify("merged"));
+      localStorage.setItem(keyFor(1, "horizon"), JSON.stringify(DEFAULT_HORIZON));
+      localStorage.setItem(keyFor(1, "pools"), JSON.stringify([]));
+      localStorage.setItem(keyFor(1, "carbon_price_path"), JSON.stringify(DEFAULT_CARBON_PRICE_PATH));
+      localStorage.setItem(keyFor(1, "scenarios"), JSON.stringify([]));
+      localStorage.setItem(keyFor(1, "roadmap_trajectory"), JSON.stringify({}));
       loadFirmDataIntoState(1);
     } else {
       if (!activeFirmId) {
@@ -1937,6 +2148,11 @@ function MACCAppInner() {
       localStorage.setItem(keyFor(activeFirmId, "catalogs_waste"), JSON.stringify(customCatalogs.waste || []));
       localStorage.setItem(keyFor(activeFirmId, "catalogs_electricity"), JSON.stringify(customCatalogs.electricity || []));
       localStorage.setItem(keyFor(activeFirmId, "catalog_mode"), JSON.stringify(catalogMode));
+      localStorage.setItem(keyFor(activeFirmId, "horizon"), JSON.stringify(horizon));
+      localStorage.setItem(keyFor(activeFirmId, "pools"), JSON.stringify(pools));
+      localStorage.setItem(keyFor(activeFirmId, "carbon_price_path"), JSON.stringify(carbonPricePath));
+      localStorage.setItem(keyFor(activeFirmId, "scenarios"), JSON.stringify(scenarios));
+      localStorage.setItem(keyFor(activeFirmId, "roadmap_trajectory"), JSON.stringify(roadmapTrajectory));
 
       // also reflect currency / CP / mode in firms meta
       setFirms(f =>
@@ -1945,7 +2161,7 @@ function MACCAppInner() {
     } catch (e) {
       console.error("Failed to persist firm data:", e);
     }
-  }, [activeFirmId, sectors, baselines, measures, currency, carbonPrice, customCatalogs, catalogMode, setFirms]);
+  }, [activeFirmId, sectors, baselines, measures, currency, carbonPrice, customCatalogs, catalogMode, horizon, pools, carbonPricePath, scenarios, roadmapTrajectory, setFirms]);
 
   // Export/Import firm JSON
   const exportFirmAsJson = (id) => {
@@ -1954,7 +2170,12 @@ function MACCAppInner() {
       name: (firms.find(f => f.id === id)?.name) || `Firm ${id}`,
       currency,
       carbonPrice,
+      carbonPricePath,
       catalogMode,
+      horizon,
+      pools,
+      scenarios,
+      roadmapTrajectory,
       sectors,
       baselines,
       measures: measures || [],
@@ -1974,6 +2195,8 @@ function MACCAppInner() {
       const newCurrency = "₹"; // locked to INR
       const newCp = Number(obj.carbonPrice ?? carbonPrice);
       const newMode = obj.catalogMode ?? "merged";
+      const newHorizon = normalizeHorizon(obj.horizon || DEFAULT_HORIZON);
+      const newCpPath = normalizeCarbonPricePath(obj.carbonPricePath);
 
       localStorage.setItem(keyFor(activeFirmId, "sectors"), JSON.stringify(obj.sectors));
       localStorage.setItem(keyFor(activeFirmId, "baselines"), JSON.stringify(obj.baselines));
@@ -1986,6 +2209,11 @@ function MACCAppInner() {
       localStorage.setItem(keyFor(activeFirmId, "catalogs_waste"), JSON.stringify(obj.catalogs?.waste || []));
       localStorage.setItem(keyFor(activeFirmId, "catalogs_electricity"), JSON.stringify(obj.catalogs?.electricity || []));
       localStorage.setItem(keyFor(activeFirmId, "catalog_mode"), JSON.stringify(newMode));
+      localStorage.setItem(keyFor(activeFirmId, "horizon"), JSON.stringify(newHorizon));
+      localStorage.setItem(keyFor(activeFirmId, "pools"), JSON.stringify(Array.isArray(obj.pools) ? obj.pools : []));
+      localStorage.setItem(keyFor(activeFirmId, "carbon_price_path"), JSON.stringify(newCpPath));
+      localStorage.setItem(keyFor(activeFirmId, "scenarios"), JSON.stringify(Array.isArray(obj.scenarios) ? obj.scenarios : []));
+      localStorage.setItem(keyFor(activeFirmId, "roadmap_trajectory"), JSON.stringify(obj.roadmapTrajectory && typeof obj.roadmapTrajectory === "object" ? obj.roadmapTrajectory : {}));
 
       setSectors(obj.sectors);
       setBaselines(obj.baselines);
@@ -2000,6 +2228,11 @@ function MACCAppInner() {
         electricity: (obj.catalogs?.electricity || []).map(normalizeElec),
       });
       setCatalogMode(newMode);
+      setHorizon(newHorizon);
+      setPools(Array.isArray(obj.pools) ? obj.pools : []);
+      setCarbonPricePath(newCpPath);
+      setScenarios(Array.isArray(obj.scenarios) ? obj.scenarios : []);
+      setRoadmapTrajectory(obj.roadmapTrajectory && typeof obj.roadmapTrajectory === "object" ? obj.roadmapTrajectory : {});
       if (obj.name) {
         setFirms(firms.map(ff => ff.id === activeFirmId ? { ...ff, name: obj.name } : ff));
       }
@@ -2010,48 +2243,29 @@ function MACCAppInner() {
     }
   };
 
+  // Carbon price the engine & MACC see: the yearly path when enabled, else the flat price
+  const cpSchedule = useMemo(() => carbonPriceSchedule(carbonPrice, carbonPricePath), [carbonPrice, carbonPricePath]);
+  const cpLabel = typeof cpSchedule === "object" ? "path" : `${currency} ${formatNumber(cpSchedule)}/tCO₂`;
+
   // Resolve catalogs for wizard use
-  const mergedBy = (arrA, arrB, keyName) => {
-    const map = new Map();
-    (arrA || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); });
-    (arrB || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); }); // custom overrides
-    return Array.from(map.values());
-  };
-  const resolvedCatalogs = useMemo(() => {
-    const sample = dataSources;
-    const custom = customCatalogs;
-    if (catalogMode === "sample") {
-      return {
-        fuels: sample.fuels || [], raw: sample.raw || [], transport: sample.transport || [], waste: sample.waste || [], electricity: sample.electricity || []
-      };
-    } else if (catalogMode === "custom") {
-      return {
-        fuels: custom.fuels || [], raw: custom.raw || [], transport: custom.transport || [], waste: custom.waste || [], electricity: custom.electricity || []
-      };
-    }
-    // merged: sample + custom override by name/state
-    return {
-      fuels: mergedBy(sample.fuels || [], custom.fuels || [], "name"),
-      raw: mergedBy(sample.raw || [], custom.raw || [], "name"),
-      transport: mergedBy(sample.transport || [], custom.transport || [], "name"),
-      waste: mergedBy(sample.waste || [], custom.waste || [], "name"),
-      electricity: mergedBy(sample.electricity || [], custom.electricity || [], "state"),
-    };
-  }, [dataSources, customCatalogs, catalogMode]);
+  const resolvedCatalogs = useMemo(
+    () => resolveCatalogs(dataSources, customCatalogs, catalogMode),
+    [dataSources, customCatalogs, catalogMode]
+  );
 
   // UI helpers
   const sectorOptions = useMemo(() => ["All sectors", ...sectors], [sectors]);
 
-  const activeBaseline = useMemo(() => {
-    if (selectedSector === "All sectors") {
-      const entries = Object.entries(baselines || {}).filter(([key]) => !isFirmSectorLabel(key));
-      const emissions = entries.reduce((s, [, b]) => s + Number(b?.annual_emissions || 0), 0);
-      const production = entries.reduce((s, [, b]) => s + Number(b?.annual_production || 0), 0);
-      const production_label = entries[0]?.[1]?.production_label || "units";
-      return { production_label, annual_production: production, annual_emissions: emissions };
-    }
-    return baselines?.[selectedSector] || { production_label: "units", annual_production: 1, annual_emissions: 1 };
-  }, [selectedSector, baselines]);
+  const activeBaseline = useMemo(() => baselineFor(baselines, selectedSector), [selectedSector, baselines]);
+  // BAU projection of a sector (or the sum of sectors) in a year; year null → the static values
+  const bauBaseYear = normalizeHorizon(horizon).start;
+  const baselineAt = React.useCallback((bls, sector, year) => {
+    if (sector !== "All sectors") return bauAt(baselineFor(bls, sector), year, bauBaseYear);
+    return Object.entries(bls || {}).filter(([key]) => !isFirmSectorLabel(key)).reduce((acc, [, b]) => {
+      const p = bauAt(b, year, bauBaseYear);
+      return { production: acc.production + p.production, emissions: acc.emissions + p.emissions };
+    }, { production: 0, emissions: 0 });
+  }, [bauBaseYear]);
 
 
   const filtered = useMemo(() =>
@@ -2059,122 +2273,427 @@ function MACCAppInner() {
     [measures, selectedSector]
   );
 
+  // Evaluation year: template measures are re-read from details.per_year, quick measures stay flat
+  const evalYear = maccYear === "rep" ? null : Number(maccYear);
+  const yearOptions = useMemo(() => {
+    const set = new Set(horizonYears);
+    (measures || []).forEach(m => (isTemplateMeasure(m) ? (m.details.years || DEFAULT_YEARS) : []).forEach(y => set.add(Number(y))));
+    return Array.from(set).sort((a, b) => a - b);
+  }, [measures, horizonYears]);
+  const levelised = costBasis === "levelised";
+  // One measure on the chart's year / cost basis
+  const evaluateRow = React.useCallback((m) => {
+    if (levelised) {
+      return { ...m, ...levelisedMeasure(m, { discountTonnes: levelisedDiscountTonnes, quick: levelisedQuick, horizon, carbonPrice: cpSchedule }) };
+    }
+    return evalYear == null ? m : { ...m, ...measureAtYear(m, evalYear) };
+  }, [evalYear, levelised, levelisedDiscountTonnes, levelisedQuick, horizon, cpSchedule]);
+  const evaluated = useMemo(() => filtered.map(evaluateRow), [filtered, evaluateRow]);
+
+  // Emissions the X axis is measured against: one year, or the whole horizon in levelised mode
+  const emissionsWeight = useMemo(() => {
+    if (!levelised) return 1;
+    const h = normalizeHorizon(horizon);
+    return horizonWeight(h.start, h.end, TONNE_DISCOUNT_RATE, levelisedDiscountTonnes);
+  }, [levelised, horizon, levelisedDiscountTonnes]);
+  // Projected (BAU) emissions for the chart's year, or summed over the horizon like the tonnes in levelised mode
+  const baseEmissionsFor = React.useCallback((bls) => {
+    if (levelised) {
+      const h = normalizeHorizon(horizon);
+      return bauHorizonEmissions((y) => baselineAt(bls, selectedSector, y).emissions, h.start, h.end, TONNE_DISCOUNT_RATE, levelisedDiscountTonnes);
+    }
+    return baselineAt(bls, selectedSector, evalYear).emissions;
+  }, [levelised, horizon, levelisedDiscountTonnes, baselineAt, selectedSector, evalYear]);
+  const curveBaseEmissions = useMemo(() => baseEmissionsFor(baselines), [baseEmissionsFor, baselines]);
+
   // Effective cost (carbon price delta aware)
-  const sorted = useMemo(() => {
-    const copy = filtered.map(m => {
-      const baseCost = Number(m.cost_per_tco2 || 0);
-      const cpNow = Number(carbonPrice || 0);
-      const savedIncludesCP = Boolean(m?.details?.saved_cost_includes_carbon_price);
-      const cpAtSave = Number(m?.details?.carbon_price_at_save || 0);
-      const effective_cost = savedIncludesCP ? (baseCost - (cpNow - cpAtSave)) : (baseCost - cpNow);
-      return { ...m, effective_cost };
-    });
-    copy.sort((a, b) => (a.effective_cost || 0) - (b.effective_cost || 0));
-    return copy;
-  }, [filtered, carbonPrice]);
+  const sorted = useMemo(() => sortByEffectiveCost(evaluated, cpSchedule), [evaluated, cpSchedule]);
+
+  // Exclusive groups & prerequisites, then interactions: later measures only get what is left of shared pools
+  const poolScale = levelised ? emissionsWeight : 1;
+  const constrained = useMemo(
+    () => buildCurve(sorted, { pools, interactions: interactionsOn, scale: poolScale }),
+    [sorted, pools, interactionsOn, poolScale]
+  );
+  const curve = constrained.rows;
 
   const totals = useMemo(() => {
-    const totalAbatement = filtered.reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
-    const avgCost = filtered.length ? filtered.reduce((s, m) => s + Number(m.cost_per_tco2 || 0), 0) / filtered.length : 0;
-    const negCostAbatement = sorted.filter(m => (m.effective_cost) < 0).reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
+    const totalAbatement = evaluated.reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
+    const avgCost = evaluated.length ? evaluated.reduce((s, m) => s + Number(m.cost_per_tco2 || 0), 0) / evaluated.length : 0;
+    const negCostAbatement = curve.filter(m => (m.effective_cost) < 0).reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
     return { totalAbatement, avgCost, negCostAbatement };
-  }, [filtered, sorted]);
+  }, [evaluated, curve]);
 
+  // BAU intensity on the chart's basis (the year's projection, or Σ emissions ÷ Σ production over the horizon) and the target against it
   const baselineIntensity = useMemo(() => {
-    const prod = Number(activeBaseline.annual_production || 0);
-    const emis = Number(activeBaseline.annual_emissions || 0);
-    return prod > 0 ? emis / prod : 0;
-  }, [activeBaseline]);
+    let prod, emis;
+    if (levelised) {
+      const h = normalizeHorizon(horizon);
+      const sum = (key) => bauHorizonEmissions((y) => baselineAt(baselines, selectedSector, y)[key], h.start, h.end, TONNE_DISCOUNT_RATE, levelisedDiscountTonnes);
+      prod = sum("production"); emis = sum("emissions");
+    } else {
+      ({ production: prod, emissions: emis } = baselineAt(baselines, selectedSector, evalYear));
+    }
+    return Number(prod) > 0 ? Number(emis || 0) / Number(prod) : 0;
+  }, [levelised, horizon, levelisedDiscountTonnes, baselineAt, baselines, selectedSector, evalYear]);
+  const targetIntensity = baselineIntensity * (1 - Number(targetIntensityPct || 0) / 100);
+
+  // Cumulative capex in MACC order; measures past the ceiling are greyed out on the charts
+  const capexRows = useMemo(() => capexCurve(curve, capexCeilingCr), [curve, capexCeilingCr]);
+  const capexById = useMemo(() => new Map(capexRows.map(r => [r.id, r])), [capexRows]);
+  const capexChart = useMemo(() => {
+    const toX = (t) => (mode === "capacity" ? t : (curveBaseEmissions > 0 ? (t / curveBaseEmissions) * 100 : 0));
+    const pts = [{ x: 0, cum: 0, within: true }, ...capexRows.map(r => ({ x: toX(r.cum_abatement_t), cum: r.cum_capex_cr, within: r.within }))];
+    // The grey "beyond" line starts at the last point inside the ceiling
+    return pts.map((p, i) => ({
+      x: p.x,
+      within: p.within ? p.cum : null,
+      beyond: !p.within || (pts[i + 1] && !pts[i + 1].within) ? p.cum : null,
+    }));
+  }, [capexRows, mode, curveBaseEmissions]);
 
   const { segments, totalX } = useMemo(() => {
     let cum = 0; const segs = [];
-    sorted.forEach((m, idx) => {
+    curve.forEach((m, idx) => {
       const A = Number(m.abatement_tco2 || 0);
       const C = Number(m.effective_cost || 0);
       if (!Number.isFinite(A) || !Number.isFinite(C) || A <= 0) return;
       const x1_cap = cum, x2_cap = cum + Math.max(0, A); cum = x2_cap;
-      const denom = Number(activeBaseline.annual_emissions || 0);
+      const denom = Number(curveBaseEmissions || 0);
       const x1_plot = (mode === "capacity") ? x1_cap : (denom > 0 ? (x1_cap / denom) * 100 : 0);
       const x2_plot = (mode === "capacity") ? x2_cap : (denom > 0 ? (x2_cap / denom) * 100 : 0);
-      segs.push({ id: m.id, name: m.name, sector: m.sector, x1_plot, x2_plot, cost: C, abatement: A, color: PALETTE[idx % PALETTE.length] });
+      // P10–P90 from the measure's saved Monte Carlo run, moved onto the curve's basis:
+      // cost shifted by the carbon-price adjustment, abatement scaled like the row (overlaps, pools)
+      let band = null;
+      const unc = showUncertainty && !levelised ? uncertaintyAt(m, evalYear) : null;
+      if (unc) {
+        const off = C - Number(m.cost_per_tco2 || 0);
+        const det = Number(m.standalone_abatement_tco2 ?? A) || A;
+        const toX = (t) => (mode === "capacity" ? t : (denom > 0 ? (t / denom) * 100 : 0));
+        const f = A / det;
+        band = {
+          cost_p10: unc.cost.p10 + off, cost_p90: unc.cost.p90 + off,
+          abatement_p10: unc.abatement.p10 * f, abatement_p90: unc.abatement.p90 * f,
+          dx_lo: toX(Math.max(0, A - unc.abatement.p10 * f)), dx_hi: toX(Math.max(0, unc.abatement.p90 * f - A)),
+        };
+      }
+      const beyondCapex = capexById.get(m.id)?.within === false;
+      segs.push({ id: m.id, name: m.name, sector: m.sector, x1_plot, x2_plot, cost: C, abatement: A, standalone: m.standalone_abatement_tco2, band, beyondCapex, color: beyondCapex ? "#d1d5db" : PALETTE[idx % PALETTE.length] });
     });
     const totalX_plot = segs.length ? segs[segs.length - 1].x2_plot : 0;
     return { segments: segs, totalX: totalX_plot };
-  }, [sorted, mode, activeBaseline.annual_emissions]);
+  }, [curve, mode, curveBaseEmissions, showUncertainty, levelised, evalYear, capexById]);
 
   const maccData = useMemo(() => {
     let cumAbate = 0; const points = [];
-    for (const m of sorted) {
+    for (const m of curve) {
       const A = Number(m.abatement_tco2 || 0); const C = Number(m.effective_cost || 0);
       cumAbate += Math.max(0, A);
       const xCapacity = cumAbate;
-      const xIntensityPct = activeBaseline.annual_emissions > 0 ? (cumAbate / activeBaseline.annual_emissions) * 100 : 0;
+      const xIntensityPct = curveBaseEmissions > 0 ? (cumAbate / curveBaseEmissions) * 100 : 0;
       const x = mode === "capacity" ? xCapacity : xIntensityPct;
       points.push({ id: m.id, name: m.name, sector: m.sector, abatement: A, cost: C, cumAbate, x });
     }
     return points;
-  }, [sorted, mode, activeBaseline.annual_emissions]);
+  }, [curve, mode, curveBaseEmissions]);
 
+  // Quadratic fitted to the steps themselves (one point per step middle, weighted by its width)
   const quad = useMemo(() => {
-    const dataToFit = fitPositiveCostsOnly ? maccData.filter(p => p.cost >= 0) : maccData;
-    if (dataToFit.length < 3) return null;
-
-    const xs = dataToFit.map(p => p.x);
-    const ys = dataToFit.map(p => p.cost);
-
-    const { a, b, c, r2 } = quadraticFit(xs, ys);
-
-    // draw across full x-domain
-    const fitted = maccData.map(p => ({ x: p.x, y: a + b * p.x + c * p.x * p.x }));
-
-    return { a, b, c, r2, fitted };
-  }, [maccData, fitPositiveCostsOnly]);
-
+    const fit = weightedQuadraticFit(stepFitPoints(segments, { positiveOnly: fitPositiveCostsOnly }));
+    if (!fit) return null;
+    // draw across the full x-domain with the 95% band of the mean curve
+    const fitted = sampleFit(fit, totalX).map(p => ({ ...p, ...fit.band(p.x) }));
+    return { ...fit, fitted };
+  }, [segments, fitPositiveCostsOnly, totalX]);
+
+
+  // Alternative fits, weighted by step width and drawn over the steps
+  const altFit = useMemo(() => {
+    const points = stepFitPoints(segments, { positiveOnly: fitPositiveCostsOnly });
+    const fit = fitCurve(fitMethod, points, { segmentsCount: fitSegments });
+    return fit ? { ...fit, sampled: sampleFit(fit, totalX) } : null;
+  }, [segments, fitPositiveCostsOnly, fitMethod, fitSegments, totalX]);
+
+  const exportFitParams = () => {
+    if (!altFit) return;
+    const payload = {
+      method: altFit.method,
+      equation: altFit.equation,
+      x_unit: mode === "capacity" ? (levelised ? "tCO2 over horizon" : "tCO2") : "% of baseline emissions",
+      y_unit: `${currency}/tCO2`,
+      weights: "step width (abatement)",
+      positive_costs_only: !!fitPositiveCostsOnly,
+      sector: selectedSector,
+      year: levelised ? "levelised" : (evalYear ?? "representative"),
+      params: altFit.params,
+      r2: altFit.r2,
+      rmse: altFit.rmse,
+      n: altFit.n,
+    };
+    saveFile(`macc_fit_${altFit.method}.json`, JSON.stringify(payload, null, 2));
+  };
 
   useEffect(() => {
     if (costModel === 'fit' && !quad) setCostModel('step');
-  }, [costModel, quad, setCostModel]);
+    if (costModel === 'alt' && !altFit) setCostModel('step');
+  }, [costModel, quad, altFit, setCostModel]);
 
   const budgetToTarget = useMemo(() => {
     if (!maccData.length) return { targetReached: 0, budget: 0 };
-    const baseEmis = Number(activeBaseline.annual_emissions || 0);
+    const baseEmis = Number(curveBaseEmissions || 0);
     const targetPct = Number(targetIntensityPct || 0);
-    // Work in one unit U: tCO₂ (capacity) or % (intensity)
-    const targetU = mode === "capacity" ? (baseEmis * (targetPct / 100)) : targetPct;
-    let cumU = 0;       // cumulative progress in unit U
-    let budgetInr = 0;  // ₹
-    for (const p of maccData) {
-      const pU = mode === "capacity"
-        ? Math.max(0, Number(p.abatement || 0))                                  // tCO₂
-        : (baseEmis > 0 ? (Math.max(0, Number(p.abatement || 0)) / baseEmis) * 100 : 0); // %
-      const remainingU = Math.max(0, targetU - cumU);
-      const takeU = Math.min(remainingU, pU);
-      if (takeU > 0) {
-        // Convert the taken share back to tons for budgeting
-        const takeTons = mode === "capacity" ? takeU : (baseEmis * (takeU / 100));
-        budgetInr += takeTons * Number(p.cost || 0);
-        cumU += takeU;
-      }
-      if (cumU >= targetU) break;
-    }
-    return { targetReached: cumU, budget: budgetInr };
-  }, [maccData, activeBaseline.annual_emissions, mode, targetIntensityPct]);
+    const targetT = baseEmis * (targetPct / 100);
+    const { reachedT, budget, negativeT, marginalCost, lastName } = greedyToTarget(curve, targetT);
+    // Report progress in the view's unit: tCO₂ (capacity) or % (intensity)
+    const targetReached = mode === "capacity" ? reachedT : (baseEmis > 0 ? (reachedT / baseEmis) * 100 : 0);
+    return {
+      targetReached, budget, marginalCost, lastName,
+      met: reachedT >= targetT - 1e-9,
+      avgCost: reachedT > 0 ? budget / reachedT : null,
+      negativeShare: reachedT > 0 ? negativeT / reachedT : null,
+    };
+  }, [maccData, curve, curveBaseEmissions, mode, targetIntensityPct]);
+
+  // Abatement that pays for itself as a flat carbon price rises (rows of the current curve)
+  const cpNowForView = carbonPriceAt(cpSchedule, evalYear);
+  const cpSweep = useMemo(() => {
+    const baseEmis = Number(curveBaseEmissions || 0);
+    return carbonPriceSweep(curve, Number(cpSweepMax) || 0, 100).map(p => ({
+      ...p,
+      x: mode === "capacity" ? p.abatement_t : (baseEmis > 0 ? (p.abatement_t / baseEmis) * 100 : 0),
+    }));
+  }, [curve, cpSweepMax, mode, curveBaseEmissions]);
+
+  // Inverse MACC: cumulative abatement supplied at each ₹/tCO₂, with a movable price cursor
+  const supplyRef = useRef(null);
+  const [supplyPrice, setSupplyPrice] = useState(0);
+  const toViewX = React.useCallback((t) => {
+    const baseEmis = Number(curveBaseEmissions || 0);
+    return mode === "capacity" ? t : (baseEmis > 0 ? (t / baseEmis) * 100 : 0);
+  }, [mode, curveBaseEmissions]);
+  const supply = useMemo(() => {
+    const pts = supplyCurve(curve).map(p => ({ ...p, y: toViewX(p.abatement_t) }));
+    const prices = pts.map(p => p.price);
+    const lo = Math.min(0, ...prices), hi = Math.max(0, ...prices);
+    const pad = (hi - lo) * 0.05 || 1;
+    const domain = [Math.floor(lo - pad), Math.ceil(hi + pad)];
+    // Flat run-out past the dearest step so the cursor reads the total
+    if (pts.length) pts.push({ price: domain[1], abatement_t: pts[pts.length - 1].abatement_t, y: pts[pts.length - 1].y });
+    return { pts, domain };
+  }, [curve, toViewX]);
+  const supplyAt = useMemo(() => abatementAtPrice(curve, supplyPrice), [curve, supplyPrice]);
+
+  // Optimiser sees every measure (it handles groups & prerequisites itself); interactions use cost order
+  const optimal = useMemo(() => {
+    const rows = sorted.filter(m => Number(m.abatement_tco2 || 0) > 0);
+    return optimisePortfolio(interactionsOn ? applyInteractions(rows, pools, poolScale) : rows, {
+      targetT: Number(curveBaseEmissions || 0) * (Number(targetIntensityPct || 0) / 100),
+      capexCapCr: Number(optCapexCapCr || 0),
+      budgetCapInr: Number(budgetCapCr || 0) * INR_PER_CR,
+      integer: !!optInteger,
+    });
+  }, [sorted, interactionsOn, pools, poolScale, curveBaseEmissions, targetIntensityPct, optCapexCapCr, budgetCapCr, optInteger]);
+
+  // CCTS compliance: annual MACC of each target year against the sector's (or firm's) GEI trajectory
+  // null → no sector picked (targets are per unit of output), [] → no usable targets yet
+  const compliance = useMemo(() => {
+    if (selectedSector === "All sectors") return null;
+    return complianceByYear(
+      activeBaseline,
+      (year) => buildCurve(sortByEffectiveCost(filtered.map(m => ({ ...m, ...measureAtYear(m, year) })), cpSchedule), { pools, interactions: interactionsOn }).rows,
+      (year) => carbonPriceAt(cpSchedule, year),
+      (year) => baselineAt(baselines, selectedSector, year)
+    );
+  }, [selectedSector, activeBaseline, filtered, cpSchedule, pools, interactionsOn, baselineAt, baselines]);
 
-  const totalWidth = useMemo(() => (mode === 'capacity' ? (totalX > 0 ? totalX : 1) : Math.max(100, totalX || 1)), [totalX, mode]);
-  // PATCH: compute visual guide for the target (vertical line in the MACC)
-  const targetX = useMemo(() => {
-    const t = Number(targetIntensityPct || 0);
-    if (mode === 'capacity') {
-      const baseEmis = Number(activeBaseline.annual_emissions || 0);
-      return baseEmis > 0 ? baseEmis * (t / 100) : 0; // convert % target to tCO₂ along x
+  // GHG inventory of the selected sector: activity data × resolved catalog EFs, pushed into the baseline on request
+  const inventory = useMemo(
+    () => computeInventory(activeBaseline.inventory, resolvedCatalogs, customCatalogs, catalogMode),
+    [activeBaseline.inventory, resolvedCatalogs, customCatalogs, catalogMode]
+  );
+  const setInventory = (patch) => {
+    if (selectedSector === "All sectors") return;
+    setBaselines({ ...baselines, [selectedSector]: { ...activeBaseline, inventory: { lines: [], ...(activeBaseline.inventory || {}), ...patch } } });
+  };
+  const inventoryItems = (group) => (group === "electricity"
+    ? (resolvedCatalogs.electricity || []).map(x => x.state)
+    : (resolvedCatalogs[group] || []).map(x => x.name)
+  ).filter(Boolean);
+  const addInventoryLine = (group) => {
+    const lines = activeBaseline.inventory?.lines || [];
+    const nextId = Math.max(0, ...lines.map(l => Number(l.id) || 0)) + 1;
+    setInventory({ lines: [...lines, { id: nextId, group, item: group === "process" ? "Process emissions" : (inventoryItems(group)[0] || ""), qty: 0, efOv: null, note: "" }] });
+  };
+  const updateInventoryLine = (id, patch) => setInventory({ lines: (activeBaseline.inventory?.lines || []).map(l => (l.id === id ? { ...l, ...patch } : l)) });
+  const applyInventory = () => {
+    if (selectedSector === "All sectors") return;
+    const t = inventory.included_t;
+    if (!window.confirm(`Set ${selectedSector} baseline emissions to ${formatNumber(t)} tCO₂/yr (was ${formatNumber(activeBaseline.annual_emissions)})?`)) return;
+    setBaselines({
+      ...baselines,
+      [selectedSector]: {
+        ...activeBaseline,
+        annual_emissions: t,
+        emissions_by_scope: { ...inventory.byScope },
+        inventory: {
+          lines: [],
+          ...(activeBaseline.inventory || {}),
+          applied: {
+            at: new Date().toISOString(),
+            catalog_mode: catalogMode,
+            previous_emissions_t: Number(activeBaseline.annual_emissions || 0),
+            emissions_t: t,
+            by_scope: { ...inventory.byScope },
+            include: { ...inventory.include },
+            lines: inventoryAuditTable(inventory),
+          },
+        },
+      },
+    });
+  };
+  const exportInventoryCsv = () => {
+    const rows = inventoryAuditTable(inventory);
+    if (!rows.length) return;
+    saveBlob(`ghg_inventory_${selectedSector.replace(/\s+/g, "_")}.csv`, "text/csv", jsonToCsv(rows));
+  };
+
+  // Deployment roadmap: MACC order, saved measures' own ramps and capex stacks, one column per calendar year
+  const roadmapRef = useRef(null);
+  const roadmap = useMemo(() => {
+    const byId = new Map(filtered.map(m => [m.id, m]));
+    const rows = curve.map(r => ({ ...(byId.get(r.id) || r), effective_cost: r.effective_cost, interaction_factor: r.interaction_factor }));
+    return planRoadmap(rows, {
+      years: roadmapYears(normalizeHorizon(horizon)),
+      baselineT: (year) => baselineAt(baselines, selectedSector, year).emissions,
+      trajectory: roadmapTrajectory,
+    });
+  }, [curve, filtered, horizon, baselineAt, baselines, selectedSector, roadmapTrajectory]);
+  const roadmapShortYears = useMemo(() => roadmap.perYear.filter(r => r.shortfall_t > 1e-6).map(r => r.year), [roadmap]);
+
+  // BAU against the abated pathways: every MACC measure of each year, and the roadmap's planned abatement
+  const activeBau = useMemo(() => normalizeBau(activeBaseline.bau, bauBaseYear), [activeBaseline.bau, bauBaseYear]);
+  const setBau = (patch) => {
+    if (selectedSector === "All sectors") return;
+    setBaselines({ ...baselines, [selectedSector]: { ...activeBaseline, bau: { ...(activeBaseline.bau || {}), ...patch } } });
+  };
+  // Each calendar year's BAU and MACC (template measures at their per-year values, same constraints and interactions)
+  const yearlyCurves = useMemo(() => roadmapYears(normalizeHorizon(horizon)).map(year => ({
+    year,
+    bau_t: baselineAt(baselines, selectedSector, year).emissions,
+    rows: buildCurve(sortByEffectiveCost(filtered.map(m => ({ ...m, ...measureAtYear(m, year) })), cpSchedule), { pools, interactions: interactionsOn }).rows,
+  })), [horizon, baselineAt, baselines, selectedSector, filtered, cpSchedule, pools, interactionsOn]);
+  const bauPathway = useMemo(() => yearlyCurves.map(({ year, bau_t, rows }, k) => {
+    const macc = rows.reduce((s, m) => s + Math.max(0, Number(m.abatement_tco2 || 0)), 0);
+    return { year, bau_t, macc_t: Math.max(0, bau_t - macc), roadmap_t: Math.max(0, bau_t - (roadmap.perYear[k]?.planned_t || 0)) };
+  }), [yearlyCurves, roadmap]);
+
+  // Stabilisation wedges, coloured like the measure's step on the MACC
+  const wedges = useMemo(() => {
+    const w = wedgeSeries(yearlyCurves);
+    const onCurve = new Map(curve.map((m, idx) => [m.id, idx]));
+    let extra = curve.length;
+    return { ...w, measures: w.measures.map(m => ({ ...m, color: PALETTE[(onCurve.has(m.id) ? onCurve.get(m.id) : extra++) % PALETTE.length] })) };
+  }, [yearlyCurves, curve]);
+  const [wedgeHover, setWedgeHover] = useState(null);
+
+  // Portfolio analytics: the MACC's rows split by driver category and scope for the chart's year
+  const portfolio = useMemo(() => (levelised ? null : portfolioBreakdown(curve, evalYear)), [curve, evalYear, levelised]);
+  const portfolioSankey = useMemo(() => {
+    if (!portfolio) return null;
+    const idx = new Map(curve.map((m, i) => [m.id, i]));
+    return sankeyData(portfolio, (m) => PALETTE[(idx.get(m.id) ?? 0) % PALETTE.length]);
+  }, [portfolio, curve]);
+  const portfolioCategories = useMemo(
+    () => (portfolio ? DRIVER_CATEGORIES.filter(c => portfolio.measures.some(m => Math.abs(m.byCategory[c.key]) > 1e-9)) : []),
+    [portfolio]
+  );
+
+  const exportRoadmapCsv = () => {
+    const rows = roadmapTable(roadmap);
+    if (!rows.length) return;
+    saveBlob(`roadmap_${selectedSector.replace(/\s+/g, "_")}.csv`, "text/csv", jsonToCsv(rows));
+  };
+
+  /* ---------------- Scenarios ---------------- */
+  const [scenarioName, setScenarioName] = useState("");
+  const [compareIds, setCompareIds] = useState([]);
+  const [scenarioRecalc, setScenarioRecalc] = useLocalStorage("macc_scenarioRecalc", false);
+  const liveInputs = useMemo(() => ({ carbonPrice, carbonPricePath, catalogMode, baselines, measures }), [carbonPrice, carbonPricePath, catalogMode, baselines, measures]);
+
+  const saveScenario = () => {
+    const name = scenarioName.trim() || `Scenario ${scenarios.length + 1}`;
+    const existing = scenarios.find(x => x.name === name);
+    if (existing && !window.confirm(`Overwrite scenario “${name}” with the current inputs?`)) return;
+    const snap = snapshotScenario(name, liveInputs);
+    setScenarios(existing ? scenarios.map(x => x.id === existing.id ? { ...snap, id: existing.id } : x) : [...scenarios, snap]);
+    setScenarioName("");
+  };
+
+  const loadScenario = (scn) => {
+    setCarbonPrice(Number(scn.carbonPrice || 0));
+    setCarbonPricePath(normalizeCarbonPricePath(scn.carbonPricePath));
+    setCatalogMode(scn.catalogMode || "merged");
+    setBaselines(scn.baselines || {});
+    setMeasures(applySelection(measures, scn.selection));
+  };
+
+  const scenarioComparison = useMemo(() => {
+    const picked = scenarios.filter(x => compareIds.includes(x.id));
+    if (!picked.length) return [];
+    const ctx = {
+      measures,
+      sector: selectedSector,
+      evalYear,
+      levelised: levelised ? { discountTonnes: levelisedDiscountTonnes, quick: levelisedQuick, horizon } : null,
+      pools,
+      interactions: interactionsOn,
+      poolScale,
+      targetPct: targetIntensityPct,
+      baseEmissionsFor,
+      catalogsFor: scenarioRecalc ? (catMode) => resolveCatalogs(dataSources, customCatalogs, catMode) : null,
+    };
+    const current = { name: "Current", ...snapshotScenario("Current", liveInputs) };
+    return [current, ...picked].map((scn, i) => {
+      const res = scenarioCurve(scn, ctx);
+      return { id: i === 0 ? "current" : scn.id, name: scn.name, color: i === 0 ? "#111827" : PALETTE[(i - 1) % PALETTE.length], ...res, points: stepPoints(res.rows, mode, res.baseEmissions) };
+    });
+  }, [scenarios, compareIds, measures, selectedSector, evalYear, levelised, levelisedDiscountTonnes, levelisedQuick, horizon, pools, interactionsOn, poolScale, targetIntensityPct, baseEmissionsFor, scenarioRecalc, dataSources, customCatalogs, liveInputs, mode]);
+
+  const setGeiTargets = (targets) => {
+    setBaselines({ ...baselines, [selectedSector]: { ...activeBaseline, gei_targets: targets } });
+  };
+
+  const totalWidth = useMemo(() => (mode === 'capacity' ? (totalX > 0 ? totalX : 1) : Math.max(100, totalX || 1)), [totalX, mode]);
+  // PATCH: compute visual guide for the target (vertical line in the MACC)
+  const targetX = useMemo(() => {
+    const t = Number(targetIntensityPct || 0);
+    if (mode === 'capacity') {
+      const baseEmis = Number(curveBaseEmissions || 0);
+      return baseEmis > 0 ? baseEmis * (t / 100) : 0; // convert % target to tCO₂ along x
     }
     return t; // in intensity mode the X-axis already is %
-  }, [mode, activeBaseline.annual_emissions, targetIntensityPct]);
+  }, [mode, curveBaseEmissions, targetIntensityPct]);
+
+  // Budget-constrained mode: most abatement a spend buys, on the same axis as the target
+  const budgetReach = useMemo(() => {
+    if (budgetCapCr === "" || budgetCapCr == null) return null;
+    const baseEmis = Number(curveBaseEmissions || 0);
+    const r = greedyWithinBudget(curve, Number(budgetCapCr) * INR_PER_CR);
+    const pct = baseEmis > 0 ? (r.reachedT / baseEmis) * 100 : 0;
+    return { ...r, pct, x: mode === "capacity" ? r.reachedT : pct };
+  }, [budgetCapCr, curve, curveBaseEmissions, mode]);
+
+  // Marginal cost at the target on the fitted curve (the fit shown, else the quadratic)
+  const fitAtTarget = useMemo(() => {
+    const fit = costModel === 'alt' && altFit ? altFit : quad;
+    if (!fit || !(targetX > 0)) return null;
+    return { label: costModel === 'alt' && altFit ? altFit.label : "Quadratic", cost: fit.predict(targetX), extrapolated: targetX > totalX };
+  }, [costModel, altFit, quad, targetX, totalX]);
 
   const axisData = useMemo(() => [{ x: 0 }, { x: totalWidth > 0 ? totalWidth : 1 }], [totalWidth]);
   const yDomain = useMemo(() => {
     if (!segments.length) return [0, 1];
-    const ys = segments.map(s => Number(s.cost) || 0);
+    const ys = segments.flatMap(s => (s.band ? [s.cost, s.band.cost_p10, s.band.cost_p90] : [s.cost]).map(v => Number(v) || 0));
     const minY = Math.min(0, ...ys), maxY = Math.max(0, ...ys);
     return minY === maxY ? [minY - 1, maxY + 1] : [minY, maxY];
   }, [segments]);
@@ -2189,7 +2708,7 @@ function MACCAppInner() {
   const saveWizard = (obj) => {
     if (obj?.id != null) {
       // UPDATE existing
-      setMeasures((prev) => prev.map((m) => m.id === obj.id ? { ...m, ...obj } : m));
+      setMeasures((prev) => renameMeasure(prev, obj.id, obj.name).map((m) => m.id === obj.id ? { ...m, ...obj } : m));
     } else {
       // CREATE new
       const id = Math.max(0, ...(measures || []).map(m => m.id)) + 1;
@@ -2202,21 +2721,24 @@ function MACCAppInner() {
 
   const importCSV = (rows) => {
     const baseId = Math.max(0, ...(measures || []).map(m => m.id)) + 1;
-    const parsed = rows.map((r, i) => ({
-      id: baseId + i,
-      name: r.name || r.Measure || r.intervention || `Row ${i + 1}`,
-      sector: r.sector || r.Sector || "Power",
-      abatement_tco2: Number(r.abatement_tco2 || r.abatement || r.Abatement || 0),
-      cost_per_tco2: Number(r.cost_per_tco2 || r.cost || r.Cost || 0),
-      selected: String(r.selected ?? "true").toLowerCase() !== "false",
-      details: r.details,
-    }));
-    setMeasures([...(measures || []), ...parsed]);
+    setMeasures([...(measures || []), ...measuresFromCsvRows(rows, baseId)]);
   };
-  const exportCSV = () => {
-    const rows = (measures || []).map(({ id, ...rest }) => rest);
-    const text = jsonToCsv(rows);
-    saveBlob("macc_measures.csv", "text/csv", text);
+  const exportCSV = () => saveBlob("macc_measures.csv", "text/csv", measuresToCsv(measures));
+  // Keep `requires` links pointing at a measure after it is renamed
+  const renameMeasure = (list, id, newName) => {
+    const prev = list.find(x => x.id === id)?.name;
+    return list.map(x => {
+      if (x.id === id) return { ...x, name: newName };
+      if (prev && x.requires === prev) return { ...x, requires: newName };
+      return x;
+    });
+  };
+
+  // Re-run a template measure through the engine with the current catalogs & carbon price
+  const recalcMeasure = (m) => {
+    if (!isTemplateMeasure(m)) return;
+    const next = measureFromDetails(m.details, resolvedCatalogs, cpSchedule);
+    setMeasures((prev) => prev.map((x) => x.id === m.id ? { ...x, ...next } : x));
   };
   const clearAll = () => { if (typeof window !== 'undefined' && window.confirm("Clear all measures? This cannot be undone.")) setMeasures([]); };
 
@@ -2332,15 +2854,33 @@ function MACCAppInner() {
               <button className={`px-3 py-2 rounded-xl border ${mode === 'intensity' ? 'bg-black text-white' : ''}`} onClick={() => setMode("intensity")}>Intensity</button>
             </div>
             <p className="text-xs text-gray-500">Capacity: cumulative tCO₂. Intensity: cumulative % reduction vs. baseline.</p>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={interactionsOn} onChange={(e) => setInteractionsOn(e.target.checked)} />
+              Account for measure interactions
+            </label>
+            <p className="text-xs text-gray-500">Measures sharing an emission pool are applied in cost order; each later one is scaled by what is left of the pool.</p>
           </div>
 
           <div className="space-y-2">
             <label className="block text-sm font-medium">Marginal Cost Model</label>
             <div className="flex gap-2">
               <button className={`px-3 py-2 rounded-xl border ${costModel === 'step' ? 'bg-black text-white' : ''}`} onClick={() => setCostModel("step")}>Step </button>
-              <button className={`px-3 py-2 rounded-xl border ${costModel === 'fit' ? 'bg-black text-white' : ''}`} onClick={() => { if (maccData.length >= 3) setCostModel("fit"); }}>Quadratic Fit</button>
+              <button className={`px-3 py-2 rounded-xl border ${costModel === 'fit' ? 'bg-black text-white' : ''}`} onClick={() => { if (quad) setCostModel("fit"); }}>Quadratic Fit</button>
+              <button className={`px-3 py-2 rounded-xl border ${costModel === 'alt' ? 'bg-black text-white' : ''}`} onClick={() => { if (altFit) setCostModel("alt"); }}>Other fit</button>
             </div>
-            {costModel === 'fit' && (
+            {costModel === 'alt' && (
+              <div className="mt-2 text-sm flex flex-wrap items-center gap-2">
+                <select className="border rounded-lg px-2 py-1" value={fitMethod} onChange={(e) => setFitMethod(e.target.value)}>
+                  {FIT_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                </select>
+                {fitMethod === 'piecewise' && (
+                  <label className="flex items-center gap-1 text-gray-700">Segments
+                    <input type="number" min={2} max={8} className="w-14 border rounded-lg px-2 py-1 text-right" value={fitSegments} onChange={(e) => setFitSegments(Math.max(2, Math.min(8, Number(e.target.value) || 2)))} />
+                  </label>
+                )}
+              </div>
+            )}
+            {costModel !== 'step' && (
               <div className="mt-2 text-sm flex items-center gap-2">
                 <input
                   type="checkbox"
@@ -2354,6 +2894,29 @@ function MACCAppInner() {
                 </label>
               </div>
             )}
+            <div className="mt-2 text-sm flex items-center gap-2">
+              <span className="text-gray-700">Cost basis</span>
+              <select className="border rounded-lg px-2 py-1" value={costBasis} onChange={(e) => setCostBasis(e.target.value)}>
+                <option value="annual">Annual (selected year)</option>
+                <option value="levelised">Levelised (lifetime)</option>
+              </select>
+            </div>
+            {levelised && (
+              <div className="mt-1 space-y-1 text-sm">
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input type="checkbox" checked={levelisedDiscountTonnes} onChange={(e) => setLevelisedDiscountTonnes(e.target.checked)} />
+                  Discount abatement (bar widths)
+                </label>
+                <label className="flex items-center gap-2 text-gray-700">
+                  Quick measures
+                  <select className="border rounded-lg px-2 py-1" value={levelisedQuick} onChange={(e) => setLevelisedQuick(e.target.value)}>
+                    <option value="repeat">Repeat annual value over horizon</option>
+                    <option value="exclude">Exclude</option>
+                  </select>
+                </label>
+                <p className="text-xs text-gray-500">Widths = Σ tCO₂ over the firm horizon, within each measure’s project life (discounted at 10% from the horizon start, like the baseline); heights = Σ discounted net cost ÷ Σ discounted tCO₂ at the measure’s discount rate. Quick measures have no per‑year data, so they repeat their flat annual abatement over the horizon or are left out.</p>
+              </div>
+            )}
             <p className="text-xs text-gray-500">MACC costs reflect <b>savings − carbon price</b>. If a measure already included a carbon price, only the difference from the current carbon price is subtracted.</p>
           </div>
 
@@ -2381,7 +2944,10 @@ function MACCAppInner() {
                 }}
               />
             </div>
-            <p className="text-xs text-gray-500">Baseline intensity: {formatNumber(baselineIntensity)} tCO₂ per {activeBaseline.production_label}.</p>
+            <p className="text-xs text-gray-500">Baseline intensity ({levelised ? "BAU over the horizon" : evalYear != null ? `BAU ${evalYear}` : "static"}): {formatNumber(baselineIntensity)} tCO₂ per {activeBaseline.production_label}.</p>
+            {(levelised || evalYear != null) && (
+              <p className="text-xs text-gray-500">BAU emissions for the chart ({levelised ? "Σ over the horizon" : evalYear}): <b>{formatNumber(curveBaseEmissions)}</b> tCO₂.</p>
+            )}
           </div>
         </section>
 
@@ -2403,6 +2969,40 @@ function MACCAppInner() {
           </button>
         }
       >
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-medium">Model horizon</span>
+          {["start", "end"].map(k => (
+            <label key={k} className="flex items-center gap-1">{k === "start" ? "Start" : "End"}
+              {/* Committed on blur / Enter as a whole year, so typing does not rebuild the grid per keystroke */}
+              <input
+                key={`${k}:${horizon[k]}`}
+                type="number"
+                step={1}
+                className="w-24 border rounded-lg px-2 py-1 text-right"
+                defaultValue={horizon[k]}
+                onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                onBlur={(e) => {
+                  const v = Math.round(Number(e.target.value));
+                  if (e.target.value === "" || !Number.isFinite(v)) { e.target.value = horizon[k]; return; }
+                  const next = normalizeHorizon({ ...horizon, [k]: v });
+                  if (next.start !== horizon.start || next.end !== horizon.end) setHorizon(next);
+                  else e.target.value = horizon[k];
+                }}
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-1">Step
+            <select
+              className="border rounded-lg px-2 py-1"
+              value={horizon.step}
+              onChange={(e) => setHorizon({ ...horizon, step: Number(e.target.value) })}
+            >
+              <option value={1}>1 year</option>
+              <option value={5}>5 years</option>
+            </select>
+          </label>
+          <span className="text-xs text-gray-500">{horizonYears[0]}–{horizonYears[horizonYears.length - 1]}: {horizonYears.length} year columns for new template measures. Existing measures keep their grid until resampled in the wizard.</span>
+        </div>
         <div className="overflow-x-auto mt-3">
           <table className="min-w-full text-sm">
             <thead>
@@ -2481,6 +3081,425 @@ function MACCAppInner() {
         </div>
       </CollapsibleSection>
 
+      {/* GHG inventory */}
+      <CollapsibleSection
+        title={`GHG Inventory — ${selectedSector}`}
+        storageKey="macc_collapse_inventory"
+        defaultOpen={false}
+        headerRight={selectedSector !== "All sectors" && (
+          <div className="flex items-center gap-2">
+            <button className="px-3 py-1.5 rounded-xl border" disabled={!inventory.lines.length} onClick={exportInventoryCsv}>Export audit CSV</button>
+            <button className="px-3 py-1.5 rounded-xl bg-black text-white disabled:opacity-40" disabled={!inventory.lines.length} onClick={applyInventory}>Apply to baseline</button>
+          </div>
+        )}
+      >
+        {selectedSector === "All sectors" ? (
+          <div className="text-sm text-gray-600">An inventory builds one sector’s baseline. Pick a sector in the sector selector.</div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-1">Inventory year
+                <input
+                  type="number"
+                  className="w-24 border rounded-lg px-2 py-1 text-right"
+                  value={activeBaseline.inventory?.year ?? ""}
+                  placeholder={String(normalizeHorizon(horizon).start)}
+                  onChange={(e) => setInventory({ year: e.target.value === "" ? null : Number(e.target.value) })}
+                />
+              </label>
+              <span className="text-gray-500">Add line:</span>
+              {INVENTORY_GROUPS.map(g => (
+                <button key={g.key} className="px-2 py-1 rounded-lg border" onClick={() => addInventoryLine(g.key)}>+ {g.label}</button>
+              ))}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-100 text-gray-700">
+                    <th className="p-2 text-left">Category</th>
+                    <th className="p-2 text-left">Item</th>
+                    <th className="p-2 text-right">Annual quantity</th>
+                    <th className="p-2 text-left">Unit</th>
+                    <th className="p-2 text-right" title="Leave blank to use the catalog EF">EF override (tCO₂/unit)</th>
+                    <th className="p-2 text-right">EF used</th>
+                    <th className="p-2 text-left">EF source (audit)</th>
+                    <th className="p-2 text-right">Emissions (tCO₂)</th>
+                    <th className="p-2 text-left">Scope</th>
+                    <th className="p-2 text-left">Note</th>
+                    <th className="p-2 text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inventory.lines.map(l => (
+                    <tr key={l.id} className="border-b">
+                      <td className="p-2 whitespace-nowrap">{l.label}</td>
+                      <td className="p-2">
+                        {l.group === "process" ? (
+                          <input className="border rounded-lg px-2 py-1 w-44" value={l.item ?? ""} onChange={(e) => updateInventoryLine(l.id, { item: e.target.value })} />
+                        ) : (
+                          <select className="border rounded-lg px-2 py-1 w-44" value={l.item ?? ""} onChange={(e) => updateInventoryLine(l.id, { item: e.target.value })}>
+                            {!inventoryItems(l.group).includes(l.item) && <option value={l.item ?? ""}>{l.item || "—"} (not in catalog)</option>}
+                            {inventoryItems(l.group).map(n => <option key={n} value={n}>{n}</option>)}
+                          </select>
+                        )}
+                      </td>
+                      <td className="p-2 text-right">
+                        <input type="number" min={0} className="border rounded-lg px-2 py-1 w-32 text-right" value={l.qty ?? ""} onChange={(e) => updateInventoryLine(l.id, { qty: e.target.value === "" ? "" : Number(e.target.value) })} />
+                      </td>
+                      <td className="p-2">{l.unit}</td>
+                      <td className="p-2 text-right">
+                        {l.group === "process" ? "—" : (
+                          <input type="number" step="0.0001" className="border rounded-lg px-2 py-1 w-28 text-right" placeholder="catalog" value={l.efOv ?? ""} onChange={(e) => updateInventoryLine(l.id, { efOv: e.target.value === "" ? null : Number(e.target.value) })} />
+                        )}
+                      </td>
+                      <td className="p-2 text-right">{Number(l.ef).toFixed(4)}</td>
+                      <td className={`p-2 text-xs ${l.ef_source.startsWith("Not in catalog") || l.ef_source.includes("not found") ? "text-red-600" : "text-gray-600"}`}>{l.ef_source}</td>
+                      <td className="p-2 text-right">{formatNumber(l.emissions_t)}</td>
+                      <td className="p-2">{INVENTORY_SCOPES.find(sc => sc.key === l.scope)?.label}</td>
+                      <td className="p-2">
+                        <input className="border rounded-lg px-2 py-1 w-40" placeholder="meter, invoice…" value={l.note ?? ""} onChange={(e) => updateInventoryLine(l.id, { note: e.target.value })} />
+                      </td>
+                      <td className="p-2 text-right">
+                        <button className="px-2 py-1 rounded-lg border" onClick={() => setInventory({ lines: (activeBaseline.inventory?.lines || []).filter(x => x.id !== l.id) })}>Delete</button>
+                      </td>
+                    </tr>
+                  ))}
+                  {!inventory.lines.length && (
+                    <tr><td className="p-2 text-sm text-gray-500" colSpan={11}>No activity data yet. Add fuel, electricity, raw material, transport, waste or process lines above.</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 text-sm">
+              {INVENTORY_SCOPES.map(sc => (
+                <label key={sc.key} className="px-3 py-2 rounded-xl border flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={!!inventory.include[sc.key]}
+                    onChange={(e) => setInventory({ include: { ...inventory.include, [sc.key]: e.target.checked } })}
+                    title="Count this scope in the baseline's annual emissions"
+                  />
+                  <span>
+                    <span className="block text-xs text-gray-500">{sc.label}</span>
+                    <span className="font-semibold">{formatNumber(inventory.byScope[sc.key])} tCO₂</span>
+                  </span>
+                </label>
+              ))}
+              <div className="px-3 py-2 rounded-xl border bg-gray-50">
+                <div className="text-xs text-gray-500">Baseline emissions (ticked scopes)</div>
+                <div className="font-semibold">{formatNumber(inventory.included_t)} tCO₂/yr</div>
+                <div className="text-xs text-gray-500">Current baseline: {formatNumber(activeBaseline.annual_emissions)}</div>
+              </div>
+            </div>
+
+            {activeBaseline.inventory?.applied && (
+              <div className="text-xs text-gray-600">
+                Last applied {new Date(activeBaseline.inventory.applied.at).toLocaleString()}: {formatNumber(activeBaseline.inventory.applied.emissions_t)} tCO₂/yr
+                (was {formatNumber(activeBaseline.inventory.applied.previous_emissions_t)}) with the <b>{activeBaseline.inventory.applied.catalog_mode}</b> catalogs; its line‑by‑line EFs are saved with the baseline.
+              </div>
+            )}
+            <div className="text-xs text-gray-500">
+              Emissions = annual quantity × EF. The EF is the override when given, otherwise the resolved catalog EF ({catalogMode} catalogs); electricity states not in the grid catalog use its first row, as in the wizard. Scope 1: fuels and process/other direct; Scope 2: electricity; Scope 3: raw materials, transport (ton‑km), water & waste. <b>Apply to baseline</b> sets this sector’s annual emissions to the ticked scopes and keeps the scope split and the audit trail on the baseline.
+            </div>
+          </div>
+        )}
+      </CollapsibleSection>
+
+
+        {/* Scenarios */}
+        <CollapsibleSection
+          title="Scenarios"
+          storageKey="macc_collapse_scenarios"
+          defaultOpen={false}
+          headerRight={
+            <>
+              <input
+                className="border rounded-xl px-3 py-1.5 w-48"
+                placeholder="e.g. BAU, High CP"
+                value={scenarioName}
+                onChange={(e) => setScenarioName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Enter") saveScenario(); }}
+              />
+              <button className="px-3 py-1.5 rounded-xl border" onClick={saveScenario}>Save current as scenario</button>
+            </>
+          }
+        >
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-gray-700">
+                  <th className="p-2 text-left">Compare</th>
+                  <th className="p-2 text-left">Scenario</th>
+                  <th className="p-2 text-left">Saved</th>
+                  <th className="p-2 text-right">Carbon price ({currency}/tCO₂)</th>
+                  <th className="p-2 text-left">Catalogs</th>
+                  <th className="p-2 text-right">Measures selected</th>
+                  <th className="p-2 text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scenarios.map(scn => (
+                  <tr key={scn.id} className="border-b">
+                    <td className="p-2">
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(scn.id)}
+                        onChange={(e) => setCompareIds(e.target.checked ? [...compareIds, scn.id] : compareIds.filter(x => x !== scn.id))}
+                      />
+                    </td>
+                    <td className="p-2">
+                      <input className="border rounded-lg px-2 py-1 w-44" value={scn.name} onChange={(e) => setScenarios(scenarios.map(x => x.id === scn.id ? { ...x, name: e.target.value } : x))} />
+                    </td>
+                    <td className="p-2 text-xs text-gray-600">{scn.saved_at ? new Date(scn.saved_at).toLocaleString() : "—"}</td>
+                    <td className="p-2 text-right">{formatNumber(scn.carbonPrice)}{scn.carbonPricePath?.enabled ? " (path)" : ""}</td>
+                    <td className="p-2">{scn.catalogMode}</td>
+                    <td className="p-2 text-right">{Object.values(scn.selection || {}).filter(Boolean).length}</td>
+                    <td className="p-2 text-right whitespace-nowrap">
+                      <button className="px-2 py-1 rounded-lg border mr-1" onClick={() => loadScenario(scn)}>Load</button>
+                      <button
+                        className="px-2 py-1 rounded-lg border mr-1"
+                        onClick={() => { if (window.confirm(`Overwrite “${scn.name}” with the current inputs?`)) setScenarios(scenarios.map(x => x.id === scn.id ? { ...snapshotScenario(scn.name, liveInputs), id: scn.id } : x)); }}
+                      >
+                        Update
+                      </button>
+                      <button
+                        className="px-2 py-1 rounded-lg border"
+                        onClick={() => { setScenarios(scenarios.filter(x => x.id !== scn.id)); setCompareIds(compareIds.filter(x => x !== scn.id)); }}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {scenarios.length === 0 && (
+                  <tr><td className="p-2 text-sm text-gray-500" colSpan={7}>No scenarios yet. Set the carbon price, catalogs, baselines and measure selection, then “Save current as scenario”.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            A scenario snapshots the carbon price (and path), catalog mode, baselines and which measures are selected. <b>Load</b> switches the firm to it; measures added later keep their own selection.
+          </div>
+
+          {scenarioComparison.length > 0 && (
+            <div className="mt-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-base font-semibold">
+                  Comparison — {selectedSector}{levelised ? " — Levelised" : evalYear != null ? ` — ${evalYear}` : ""}
+                </h3>
+                <label className="flex items-center gap-2 text-sm" title="Re-run template measures with each scenario's catalog mode and carbon price before building its curve">
+                  <input type="checkbox" checked={scenarioRecalc} onChange={(e) => setScenarioRecalc(e.target.checked)} />
+                  Recalculate template measures per scenario
+                </label>
+              </div>
+              <div className="h-[320px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart margin={{ top: 10, right: 24, left: 24, bottom: 24 }}>
+                    <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+                    <XAxis
+                      type="number"
+                      dataKey="x"
+                      domain={[0, "dataMax"]}
+                      tickFormatter={(v) => (mode === "capacity" ? formatNumber(v) : Number(v).toFixed(1) + "%")}
+                      label={{ value: mode === "capacity" ? "Cumulative abatement (tCO₂)" : "Cumulative intensity reduction (%)", position: "insideBottom", dy: 16, fill: "#374151" }}
+                    />
+                    <YAxis type="number" tickFormatter={(v) => `${currency} ${formatNumber(v)}`} />
+                    <Tooltip
+                      formatter={(v, _n, p) => [`${currency} ${formatNumber(v)}/tCO₂`, p?.payload?.name]}
+                      labelFormatter={(v) => (mode === "capacity" ? `${formatNumber(v)} tCO₂` : `${Number(v).toFixed(2)}%`)}
+                    />
+                    <ReferenceLine y={0} stroke="#9ca3af" />
+                    {scenarioComparison.map(sc => (
+                      <Line key={sc.id} data={sc.points} dataKey="y" name={sc.name} type="linear" stroke={sc.color} strokeWidth={2} dot={false} isAnimationActive={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="flex flex-wrap gap-3 text-xs">
+                {scenarioComparison.map(sc => (
+                  <span key={sc.id} className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded" style={{ background: sc.color }} />{sc.name}</span>
+                ))}
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="bg-gray-100 text-gray-700">
+                      <th className="p-2 text-left">Scenario</th>
+                      <th className="p-2 text-right">Total abatement (tCO₂)</th>
+                      <th className="p-2 text-right">Δ vs current</th>
+                      <th className="p-2 text-right">Negative‑cost abatement (tCO₂)</th>
+                      <th className="p-2 text-right">Δ vs current</th>
+                      <th className="p-2 text-right">Budget to {targetIntensityPct}% target ({currency})</th>
+                      <th className="p-2 text-right">Δ vs current</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {scenarioComparison.map((sc, i) => {
+                      const base = scenarioComparison[0];
+                      const delta = (v, b) => (i === 0 ? "—" : `${v - b >= 0 ? "+" : "−"}${formatNumber(Math.abs(v - b))}`);
+                      return (
+                        <tr key={sc.id} className="border-b">
+                          <td className="p-2"><span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: sc.color }} />{sc.name}</td>
+                          <td className="p-2 text-right">{formatNumber(sc.totalAbatement)}</td>
+                          <td className="p-2 text-right">{delta(sc.totalAbatement, base.totalAbatement)}</td>
+                          <td className="p-2 text-right">{formatNumber(sc.negCostAbatement)}</td>
+                          <td className="p-2 text-right">{delta(sc.negCostAbatement, base.negCostAbatement)}</td>
+                          <td className="p-2 text-right">
+                            {formatNumber(sc.budget)}
+                            {sc.reachedT + 1e-9 < sc.baseEmissions * (Number(targetIntensityPct || 0) / 100) && <span className="text-xs text-red-600"> (target not reached)</span>}
+                          </td>
+                          <td className="p-2 text-right">{delta(sc.budget, base.budget)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </CollapsibleSection>
+
+        {/* Carbon price path */}
+        <CollapsibleSection
+          title="Carbon Price Path"
+          storageKey="macc_collapse_cp_path"
+          defaultOpen={false}
+          headerRight={
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={carbonPricePath.enabled} onChange={(e) => setCarbonPricePath({ ...carbonPricePath, enabled: e.target.checked })} />
+              Use yearly path
+            </label>
+          }
+        >
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+            <span className="text-gray-600">Preset from {currency} {formatNumber(carbonPrice)}/tCO₂ in {horizonYears[0]}:</span>
+            {Object.entries(CARBON_PRICE_PRESETS).map(([k, p]) => (
+              <button
+                key={k}
+                className="px-3 py-1.5 rounded-xl border"
+                title={`+${p.escalation_pct}%/yr`}
+                onClick={() => setCarbonPricePath({ ...carbonPricePath, enabled: true, escalation_pct: p.escalation_pct, points: escalatedPath(carbonPrice, p.escalation_pct, horizonYears) })}
+              >
+                {p.label} (+{p.escalation_pct}%/yr)
+              </button>
+            ))}
+            <span className="ml-2 text-gray-600">Escalation</span>
+            <input
+              type="number"
+              className="w-20 border rounded-lg px-2 py-1 text-right"
+              value={carbonPricePath.escalation_pct}
+              onChange={(e) => setCarbonPricePath({ ...carbonPricePath, escalation_pct: (e.target.value === "" ? "" : Number(e.target.value)) })}
+            />
+            <span className="text-gray-600">%/yr</span>
+            <button
+              className="px-3 py-1.5 rounded-xl border"
+              onClick={() => setCarbonPricePath({ ...carbonPricePath, enabled: true, points: escalatedPath(carbonPrice, carbonPricePath.escalation_pct, horizonYears) })}
+            >
+              Apply escalation
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-gray-700">
+                  <th className="p-2 text-left">Year</th>
+                  {horizonYears.map(y => <th key={y} className="p-2 text-right">{y}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td className="p-2 whitespace-nowrap">{currency}/tCO₂</td>
+                  {horizonYears.map(y => (
+                    <td key={y} className="p-1">
+                      <input
+                        type="number"
+                        className="w-24 border rounded-lg px-2 py-1 text-right"
+                        placeholder={formatNumber(carbonPriceAt(carbonPricePath.points, y))}
+                        value={carbonPricePath.points[y] ?? ""}
+                        onChange={(e) => {
+                          const { [y]: _, ...rest } = carbonPricePath.points;
+                          setCarbonPricePath({ ...carbonPricePath, points: e.target.value === "" ? rest : { ...rest, [y]: Number(e.target.value) } });
+                        }}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            {carbonPricePath.enabled && Object.keys(carbonPricePath.points).length
+              ? "The path replaces the flat carbon price: prices are linear between listed years and flat beyond them. The wizard’s with‑CP cash flows, NPV/IRR, the MACC (for the selected year, or each measure’s representative year), levelised costs and compliance credits all use the year’s price."
+              : "Off: the flat carbon price in the header applies to every year."}
+          </div>
+        </CollapsibleSection>
+
+        {/* Shared emission pools (interactions) */}
+        <CollapsibleSection
+          title="Interactions — Shared Emission Pools"
+          storageKey="macc_collapse_pools"
+          defaultOpen={false}
+          headerRight={
+            <>
+              <button
+                className="px-3 py-1.5 rounded-xl border"
+                title="Add a pool for every catalog item cut by a template measure or named in Acts on"
+                onClick={() => {
+                  const have = new Set(pools.map(p => p.key));
+                  const found = Array.from(new Set((measures || []).flatMap(poolKeysFor))).filter(k => !have.has(k));
+                  if (!found.length) { alert("No new pool keys found in measures."); return; }
+                  setPools([...pools, ...found.map(k => ({ key: k, label: k, emissions_t: 0 }))]);
+                }}
+              >
+                Suggest from measures
+              </button>
+              <button className="px-3 py-1.5 rounded-xl border" onClick={() => setPools([...pools, { key: `pool-${pools.length + 1}`, label: "New pool", emissions_t: 0 }])}>+ Add pool</button>
+            </>
+          }
+        >
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-gray-700">
+                  <th className="p-2 text-left">Key</th>
+                  <th className="p-2 text-left">Label</th>
+                  <th className="p-2 text-right">Baseline emissions in pool (tCO₂/yr)</th>
+                  <th className="p-2 text-left">Measures acting on it</th>
+                  <th className="p-2 text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pools.map((p, idx) => (
+                  <tr key={idx} className="border-b">
+                    <td className="p-2">
+                      <input className="border rounded-lg px-2 py-1 w-48" value={p.key} onChange={(e) => setPools(pools.map((x, i) => i === idx ? { ...x, key: e.target.value } : x))} />
+                    </td>
+                    <td className="p-2">
+                      <input className="border rounded-lg px-2 py-1 w-48" value={p.label} onChange={(e) => setPools(pools.map((x, i) => i === idx ? { ...x, label: e.target.value } : x))} />
+                    </td>
+                    <td className="p-2 text-right">
+                      <input type="number" className="border rounded-lg px-2 py-1 w-40 text-right" value={p.emissions_t} onChange={(e) => setPools(pools.map((x, i) => i === idx ? { ...x, emissions_t: (e.target.value === "" ? "" : Number(e.target.value)) } : x))} />
+                    </td>
+                    <td className="p-2 text-xs text-gray-600">
+                      {(measures || []).filter(m => poolKeysFor(m).includes(p.key)).map(m => m.name).join(", ") || "—"}
+                    </td>
+                    <td className="p-2 text-right">
+                      <button className="px-2 py-1 rounded-lg border" onClick={() => setPools(pools.filter((_, i) => i !== idx))}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+                {pools.length === 0 && (
+                  <tr><td className="p-2 text-sm text-gray-500" colSpan={5}>No pools yet. Click “Suggest from measures” or “+ Add pool”, then give each pool its baseline emissions.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            Measures list pools in the Measures table (<b>Acts on</b>); template measures also act on every catalog item they cut (e.g. <code>fuel:Coal</code>). With <b>Account for measure interactions</b> on, each measure’s abatement is split over its pools and scaled by the share of each pool still unabated.
+          </div>
+        </CollapsibleSection>
 
         {/* Firm Catalogs Editor */}
         <CollapsibleSection
@@ -2510,8 +3529,9 @@ function MACCAppInner() {
             onSave={saveWizard}
             sectors={sectors}
             currency={currency}
-            carbonPrice={carbonPrice}
+            carbonPrice={cpSchedule}
             dataSources={resolvedCatalogs}  
+            horizonYears={horizonYears}
             initialMeasure={editingMeasure} 
           />
         )}
@@ -2521,178 +3541,178 @@ function MACCAppInner() {
 <section className="bg-white rounded-2xl shadow border p-6 space-y-4">
   <div className="flex items-center justify-between">
     <h2 className="text-lg font-semibold">
-      Sectoral MACC — {selectedSector}{" "}
+      Sectoral MACC — {selectedSector}{levelised ? " — Levelised (lifetime)" : evalYear != null ? ` — ${evalYear}` : ""}{" "}
       ({mode === 'capacity'
         ? 'Cumulative tCO₂ abated'
         : 'Cumulative intensity reduction %'} on X; Marginal cost on Y)
     </h2>
-    <button
-      className="px-3 py-1.5 rounded-xl border"
-      onClick={() => exportContainerSvgToPng(maccRef.current, "macc.png")}
-    >
-      Export PNG
-    </button>
+    <div className="flex items-center gap-2">
+      <label className="text-sm flex items-center gap-2">Year
+        <select
+          className="border rounded-xl px-2 py-1"
+          value={maccYear}
+          disabled={levelised}
+          onChange={(e) => setMaccYear(e.target.value === "rep" ? "rep" : Number(e.target.value))}
+          title="Template measures are re-read from their per-year results; quick measures keep their flat values."
+        >
+          <option value="rep">Representative (saved)</option>
+          {yearOptions.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+      </label>
+      <label className="text-sm flex items-center gap-1" title="P10–P90 error bars from each measure's saved Monte Carlo run (year views only)">
+        <input type="checkbox" checked={showUncertainty} disabled={levelised} onChange={(e) => setShowUncertainty(e.target.checked)} />
+        Uncertainty
+      </label>
+      <button
+        className="px-3 py-1.5 rounded-xl border"
+        onClick={() => exportContainerSvgToPng(maccRef.current, evalYear != null ? `macc_${evalYear}.png` : "macc.png")}
+      >
+        Export PNG
+      </button>
+    </div>
   </div>
 
   <div className="flex flex-col lg:flex-row gap-6">
     <div className="flex-1 relative" ref={maccRef}>
       <ResponsiveContainer width="100%" height={380}>
-        {costModel === 'fit' && quad ? (
-          <LineChart
-            data={quad.fitted}
-            margin={{ top: 20, right: 24, left: 24, bottom: 48 }}
-          >
-            <defs>
-              {/* Soft shadow for elegance */}
-              <filter id="softShadow" x="-10%" y="-10%" width="120%" height="120%">
-                <feDropShadow dx="0" dy="1" stdDeviation="1.5" floodOpacity="0.08" />
-              </filter>
-            </defs>
-
-            <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-            <XAxis
-              dataKey="x"
-              type="number"
-              domain={[0, totalWidth]}
-              tickFormatter={(v) =>
-                mode === 'capacity' ? formatNumber(v) : Number(v).toFixed(1) + '%'
-              }
-              label={{
-                value:
-                  mode === 'capacity'
-                    ? 'Cumulative abatement (tCO₂)'
-                    : 'Cumulative intensity reduction (%)',
-                position: 'insideBottom',
-                dy: 24,
-                fill: '#374151',
-              }}
-              tickLine={false}
-              axisLine={{ stroke: '#d1d5db' }}
-              tick={{ fill: '#374151', fontSize: 12 }}
+        <ComposedChart
+          data={axisData}
+          margin={{ top: 20, right: 24, left: 24, bottom: 48 }}
+        >
+          <defs>
+            {/* Soft shadow for the step rectangles */}
+            <filter id="softShadow" x="-10%" y="-10%" width="120%" height="120%">
+              <feDropShadow dx="0" dy="1" stdDeviation="1.5" floodOpacity="0.08" />
+            </filter>
+          </defs>
+
+          <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+          <XAxis
+            type="number"
+            dataKey="x"
+            domain={[0, totalWidth]}
+            tickFormatter={(v) =>
+              mode === 'capacity' ? formatNumber(v) : Number(v).toFixed(1) + '%'
+            }
+            label={{
+              value:
+                mode === 'capacity'
+                  ? (levelised ? 'Cumulative abatement over horizon (tCO₂)' : 'Cumulative abatement (tCO₂)')
+                  : 'Cumulative intensity reduction (%)',
+              position: 'insideBottom',
+              dy: 24,
+              fill: '#374151',
+            }}
+            tickLine={false}
+            axisLine={{ stroke: '#d1d5db' }}
+            tick={{ fill: '#374151', fontSize: 12 }}
+          />
+          <YAxis
+            type="number"
+            domain={yDomain}
+            tickFormatter={(v) => `${currency} ${formatNumber(v)}`}
+            label={{
+              value: levelised ? `Levelised cost (${currency}/tCO₂)` : `Marginal cost (${currency}/tCO₂)`,
+              angle: -90,
+              position: 'insideLeft',
+              fill: '#374151',
+            }}
+            tickLine={false}
+            axisLine={{ stroke: '#d1d5db' }}
+            tick={{ fill: '#374151', fontSize: 12 }}
+          />
+          {/* darker zero-line */}
+          <ReferenceLine y={0} stroke="#111827" strokeWidth={1.25} strokeDasharray="4 4" />
+          {/* target guide (if inside domain) */}
+          {(targetX > 0 && targetX <= totalWidth) && (
+            <ReferenceLine
+              x={targetX}
+              stroke="#111827"
+              strokeDasharray="3 3"
+              label={(props) => (
+                <TargetLabel
+                  {...props}
+                  lines={[
+                    "Target",
+                    budgetToTarget.marginalCost != null ? `MAC ${currency} ${formatNumber(budgetToTarget.marginalCost)}/t` : null,
+                    fitAtTarget ? `Fit ${currency} ${formatNumber(fitAtTarget.cost)}/t` : null,
+                    budgetToTarget.avgCost != null ? `Avg ${currency} ${formatNumber(budgetToTarget.avgCost)}/t` : null,
+                    budgetToTarget.negativeShare != null ? `${(budgetToTarget.negativeShare * 100).toFixed(0)}% at −ve cost` : null,
+                  ].filter(Boolean)}
+                />
+              )}
             />
-            <YAxis
-              tickFormatter={(v) => `${currency} ${formatNumber(v)}`}
-              label={{
-                value: `Marginal cost (${currency}/tCO₂)`,
-                angle: -90,
-                position: 'insideLeft',
-                fill: '#374151',
-              }}
-              tickLine={false}
-              axisLine={{ stroke: '#d1d5db' }}
-              tick={{ fill: '#374151', fontSize: 12 }}
+          )}
+          {budgetReach && budgetReach.x > 0 && budgetReach.x <= totalWidth && (
+            <ReferenceLine
+              x={budgetReach.x}
+              stroke="#b45309"
+              strokeDasharray="6 3"
+              label={{ value: `Budget ${currency} ${formatNumber(Number(budgetCapCr))} cr`, position: 'insideTopRight', fill: '#b45309', fontSize: 11 }}
             />
-            {/* darker zero-line */}
-            <ReferenceLine y={0} stroke="#111827" strokeWidth={1.25} strokeDasharray="4 4" />
-            {/* target guide (if inside domain) */}
-            {(targetX > 0 && targetX <= totalWidth) && (
-              <ReferenceLine
-                x={targetX}
-                stroke="#111827"
-                strokeDasharray="3 3"
-                label={{ value: 'Target', position: 'top', fill: '#111827', fontSize: 11 }}
-              />
-            )}
+          )}
 
-            <Tooltip />
+          {/* Elegant rectangles with soft shadow & subtle separator strokes */}
+          {segments.map((s) => (
+            <ReferenceArea
+              key={s.id}
+              x1={s.x1_plot}
+              x2={s.x2_plot}
+              y1={0}
+              y2={s.cost}
+              fill={s.color}
+              fillOpacity={0.9}
+              stroke="#ffffff"
+              strokeOpacity={0.7}
+              filter="url(#softShadow)"
+            />
+          ))}
+
+          {/* Fitted curve over the steps (quadratic with its 95% band) */}
+          {costModel === 'fit' && quad && (
             <Line
-              type="monotone"
+              data={quad.fitted}
               dataKey="y"
-              name={`Quadratic MACC${
-                quad?.r2 != null && Number.isFinite(quad.r2)
-                  ? ` (R² = ${quad.r2.toFixed(3)})`
-                  : ""
-              }`}
+              type="monotone"
+              name="Quadratic MACC"
               dot={false}
-              stroke={PALETTE[0]}
+              stroke="#111827"
               strokeWidth={2.25}
-              filter="url(#softShadow)"
-            />
-          </LineChart>
-        ) : (
-          <ComposedChart
-            data={axisData}
-            margin={{ top: 20, right: 24, left: 24, bottom: 48 }}
-          >
-            <defs>
-              {/* Soft shadow for the step rectangles */}
-              <filter id="softShadow" x="-10%" y="-10%" width="120%" height="120%">
-                <feDropShadow dx="0" dy="1" stdDeviation="1.5" floodOpacity="0.08" />
-              </filter>
-            </defs>
-
-            <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-            <XAxis
-              type="number"
-              dataKey="x"
-              domain={[0, totalWidth]}
-              tickFormatter={(v) =>
-                mode === 'capacity' ? formatNumber(v) : Number(v).toFixed(1) + '%'
-              }
-              label={{
-                value:
-                  mode === 'capacity'
-                    ? 'Cumulative abatement (tCO₂)'
-                    : 'Cumulative intensity reduction (%)',
-                position: 'insideBottom',
-                dy: 24,
-                fill: '#374151',
-              }}
-              tickLine={false}
-              axisLine={{ stroke: '#d1d5db' }}
-              tick={{ fill: '#374151', fontSize: 12 }}
+              isAnimationActive={false}
             />
-            <YAxis
-              type="number"
-              domain={yDomain}
-              tickFormatter={(v) => `${currency} ${formatNumber(v)}`}
-              label={{
-                value: `Marginal cost (${currency}/tCO₂)`,
-                angle: -90,
-                position: 'insideLeft',
-                fill: '#374151',
-              }}
-              tickLine={false}
-              axisLine={{ stroke: '#d1d5db' }}
-              tick={{ fill: '#374151', fontSize: 12 }}
+          )}
+          {costModel === 'fit' && quad?.df > 0 && (
+            <>
+              <Line data={quad.fitted} dataKey="hi" type="monotone" name="95% CI (upper)" dot={false} stroke="#111827" strokeOpacity={0.55} strokeDasharray="5 4" strokeWidth={1.25} isAnimationActive={false} />
+              <Line data={quad.fitted} dataKey="lo" type="monotone" name="95% CI (lower)" dot={false} stroke="#111827" strokeOpacity={0.55} strokeDasharray="5 4" strokeWidth={1.25} isAnimationActive={false} />
+            </>
+          )}
+
+          {costModel === 'alt' && altFit && (
+            <Line
+              data={altFit.sampled}
+              dataKey="y"
+              type="linear"
+              name={altFit.label}
+              dot={false}
+              stroke="#111827"
+              strokeWidth={2.25}
+              isAnimationActive={false}
             />
-            {/* darker zero-line */}
-            <ReferenceLine y={0} stroke="#111827" strokeWidth={1.25} strokeDasharray="4 4" />
-            {/* target guide (if inside domain) */}
-            {(targetX > 0 && targetX <= totalWidth) && (
-              <ReferenceLine
-                x={targetX}
-                stroke="#111827"
-                strokeDasharray="3 3"
-                label={{ value: 'Target', position: 'top', fill: '#111827', fontSize: 11 }}
-              />
-            )}
+          )}
 
-            {/* Elegant rectangles with soft shadow & subtle separator strokes */}
-            {segments.map((s) => (
-              <ReferenceArea
-                key={s.id}
-                x1={s.x1_plot}
-                x2={s.x2_plot}
-                y1={0}
-                y2={s.cost}
-                fill={s.color}
-                fillOpacity={0.9}
-                stroke="#ffffff"
-                strokeOpacity={0.7}
-                filter="url(#softShadow)"
-              />
-            ))}
+          {segments.some(s => s.band) && (
+            <Customized component={(props) => <UncertaintyBars {...props} segments={segments} />} />
+          )}
 
-            {/* Keep your performant hover overlay for rich details */}
-            <Customized component={(props) => (
-                <HoverOverlay {...props} segments={segments}
-                  maccRef={maccRef}
-                  setHoverInfo={setHoverInfo}
-                />
-              )} />
-          </ComposedChart>
-        )}
+          {/* Keep your performant hover overlay for rich details */}
+          <Customized component={(props) => (
+              <HoverOverlay {...props} segments={segments}
+                maccRef={maccRef}
+                setHoverInfo={setHoverInfo}
+              />
+            )} />
+        </ComposedChart>
       </ResponsiveContainer>
 
       {/* Hover tooltip (kept; just a slightly tighter look) */}
@@ -2704,13 +3724,41 @@ function MACCAppInner() {
           <div className="font-semibold">{hoverInfo.seg.name}</div>
           <div className="text-gray-600">Sector: {hoverInfo.seg.sector}</div>
           <div>Abatement: <b>{formatNumber(hoverInfo.seg.abatement)}</b> tCO₂</div>
+          {hoverInfo.seg.standalone != null && hoverInfo.seg.standalone !== hoverInfo.seg.abatement && (
+            <div className="text-gray-600">Standalone: {formatNumber(hoverInfo.seg.standalone)} tCO₂ (overlap −{formatNumber(hoverInfo.seg.standalone - hoverInfo.seg.abatement)})</div>
+          )}
           <div>
             Effective cost: <b>{currency} {formatNumber(hoverInfo.seg.cost)}</b> /tCO₂
           </div>
+          {hoverInfo.seg.band && (
+            <div className="text-gray-600">
+              P10–P90: {currency} {formatNumber(hoverInfo.seg.band.cost_p10)} … {formatNumber(hoverInfo.seg.band.cost_p90)} /tCO₂;{" "}
+              {formatNumber(hoverInfo.seg.band.abatement_p10)} … {formatNumber(hoverInfo.seg.band.abatement_p90)} tCO₂
+            </div>
+          )}
         </div>
       )}
 
+      {costModel === 'fit' && quad && (
+        <div className="mt-1 text-xs text-gray-600">
+          ━ Quadratic fit{quad.r2 != null && Number.isFinite(quad.r2) ? ` (R² = ${quad.r2.toFixed(3)})` : ""}{quad.df > 0 ? " · ┅ 95% confidence band" : ""}
+        </div>
+      )}
+      {costModel === 'alt' && altFit && (
+        <div className="mt-1 text-xs text-gray-600">
+          ━ {altFit.label} fit{altFit.r2 != null && Number.isFinite(altFit.r2) ? ` (R² = ${altFit.r2.toFixed(3)})` : ""}
+        </div>
+      )}
       <ColorLegend items={segments} max={16} />
+
+      {constrained.dropped.length > 0 && (
+        <div className="mt-2 text-xs text-gray-600">
+          <span className="font-medium">Not on the curve:</span>
+          <ul className="list-disc pl-5">
+            {constrained.dropped.map(d => <li key={d.id}><b>{d.name}</b> — {d.reason}</li>)}
+          </ul>
+        </div>
+      )}
     </div>
 
     <div className="w-full lg:w-[380px]">
@@ -2730,6 +3778,9 @@ function MACCAppInner() {
       <div className="mt-1 text-[11px] text-gray-500">
         In <b>Intensity</b> mode, % refers to share of baseline emissions per <b>{activeBaseline.production_label}</b>.
       </div>
+      <div className="mt-1 text-[11px] text-gray-500">
+        Target intensity: <b>{formatNumber(targetIntensity)}</b> tCO₂ per {activeBaseline.production_label} ({targetIntensityPct}% below the {levelised ? "horizon" : evalYear != null ? `${evalYear}` : "static"} BAU intensity of {formatNumber(baselineIntensity)}).
+      </div>
       <div className="mt-3 space-y-1 text-sm">
         <div>
           Target reached:{" "}
@@ -2743,8 +3794,114 @@ function MACCAppInner() {
           Budget required (Σ cost × tCO₂):{" "}
           <b>{currency} {formatNumber(budgetToTarget.budget)}</b>
         </div>
+        <div>
+          Marginal cost at target (step):{" "}
+          <b>{budgetToTarget.marginalCost != null ? `${currency} ${formatNumber(budgetToTarget.marginalCost)}/tCO₂` : "—"}</b>
+          {budgetToTarget.lastName && <span className="text-xs text-gray-500"> — {budgetToTarget.lastName}{budgetToTarget.met ? "" : " (target not reached)"}</span>}
+        </div>
+        <div>
+          Marginal cost at target ({fitAtTarget?.label || "fit"}):{" "}
+          <b>{fitAtTarget ? `${currency} ${formatNumber(fitAtTarget.cost)}/tCO₂` : "—"}</b>
+          {fitAtTarget?.extrapolated && <span className="text-xs text-amber-700"> extrapolated</span>}
+        </div>
+        <div>
+          Average cost up to target:{" "}
+          <b>{budgetToTarget.avgCost != null ? `${currency} ${formatNumber(budgetToTarget.avgCost)}/tCO₂` : "—"}</b>
+        </div>
+        <div>
+          Negative‑cost share of abatement:{" "}
+          <b>{budgetToTarget.negativeShare != null ? `${(budgetToTarget.negativeShare * 100).toFixed(1)}%` : "—"}</b>
+        </div>
+        <div className="text-[11px] text-gray-500">Greedy walk down the curve (partial last measure). The marginal cost at the target is the implied (shadow) carbon price: every tonne up to it costs no more.</div>
+      </div>
+
+      <div className="mt-4 border-t pt-3">
+        <h4 className="font-medium">Budget‑constrained</h4>
+        <div className="text-[11px] text-gray-500">Most abatement a fixed spend buys, walking the curve in cost order. Negative‑cost measures are taken first and their savings add to the budget. {levelised ? "On the levelised basis the budget is the lifetime spend (Σ levelised cost × horizon tCO₂)." : "On the annual basis it is one year's spend."} The optimal portfolio below uses the same budget as its cap.</div>
+        <label className="flex items-center gap-2 mt-2 text-sm">
+          <span className="text-xs text-gray-600">Budget ({currency} cr{levelised ? ", lifetime" : " / yr"})</span>
+          <input type="number" className="border rounded-lg px-2 py-1 w-28" placeholder="none" value={budgetCapCr} onChange={(e) => setBudgetCapCr(e.target.value)} />
+        </label>
+        {budgetReach && (
+          <div className="mt-2 space-y-1 text-sm">
+            <div>
+              Abatement bought: <b>{formatNumber(budgetReach.reachedT)} tCO₂</b> ({budgetReach.pct.toFixed(2)}% of baseline emissions{levelised ? " over the horizon" : ""})
+            </div>
+            <div>
+              Net spend: <b>{currency} {formatNumber(budgetReach.spend / INR_PER_CR)} cr</b>
+              {budgetReach.spend < 0 && <span className="text-xs text-gray-500"> (net saving)</span>}
+            </div>
+            <div>
+              Marginal cost at budget: <b>{budgetReach.marginalCost != null ? `${currency} ${formatNumber(budgetReach.marginalCost)}/tCO₂` : "—"}</b>
+              {budgetReach.lastName && <span className="text-xs text-gray-500"> — {budgetReach.lastName}</span>}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 border-t pt-3">
+        <h4 className="font-medium">Optimal portfolio</h4>
+        <div className="text-[11px] text-gray-500">Least‑cost set meeting the target, respecting exclusive groups and prerequisites.</div>
+        <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
+          <label className="flex flex-col">
+            <span className="text-xs text-gray-600">Capex cap (₹ cr)</span>
+            <input type="number" min={0} className="border rounded-lg px-2 py-1" placeholder="none" value={optCapexCapCr} onChange={(e) => setOptCapexCapCr(e.target.value)} />
+          </label>
+          <div className="flex flex-col">
+            <span className="text-xs text-gray-600">Budget cap ({currency} cr{levelised ? ", lifetime" : " / yr"})</span>
+            <span className="px-2 py-1">{Number(budgetCapCr) > 0 ? formatNumber(Number(budgetCapCr)) : "none"} <span className="text-[11px] text-gray-500">(Budget‑constrained)</span></span>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 mt-2 text-sm">
+          <input type="checkbox" checked={!!optInteger} onChange={(e) => setOptInteger(e.target.checked)} />
+          All‑or‑nothing measures (MILP)
+        </label>
+        {optimal.feasible ? (
+          <div className="mt-2 space-y-1 text-sm">
+            <div>Abatement: <b>{formatNumber(optimal.abatement_t)} tCO₂</b></div>
+            <div>
+              Total cost: <b>{currency} {formatNumber(optimal.cost_inr)}</b>
+              {budgetToTarget.budget !== 0 && (
+                <span className="text-xs text-gray-500"> ({optimal.cost_inr <= budgetToTarget.budget ? "−" : "+"}{currency} {formatNumber(Math.abs(budgetToTarget.budget - optimal.cost_inr))} vs greedy)</span>
+              )}
+            </div>
+            <div>Capex: <b>₹ {formatNumber(optimal.capex_cr)} cr</b></div>
+            <div title="∂cost/∂target from the LP relaxation: cost of one more tCO₂ of target">
+              Shadow price: <b>{optimal.shadowPrice == null ? "— (target at the limit)" : `${currency} ${formatNumber(optimal.shadowPrice)}/tCO₂`}</b>
+            </div>
+            <ul className="list-disc pl-5 text-xs text-gray-700 max-h-40 overflow-auto">
+              {optimal.chosen.map(c => (
+                <li key={c.id}>{c.name}{c.share < 0.999 ? ` (${(c.share * 100).toFixed(0)}%)` : ""} — {formatNumber(c.abatement)} tCO₂</li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <div className="mt-2 text-sm text-red-600">No feasible portfolio: the target cannot be met within the caps.</div>
+        )}
       </div>
 
+      {costModel === 'alt' && altFit && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between">
+            <h4 className="font-medium">{altFit.label} fit</h4>
+            <button className="px-2 py-1 rounded-lg border text-sm" onClick={exportFitParams}>Export parameters</button>
+          </div>
+          <div className="text-sm text-gray-600">{altFit.equation}</div>
+          <div className="text-sm mt-1 space-y-0.5">
+            {altFit.method === 'cubic' && Object.entries(altFit.params).map(([k, v]) => <div key={k}>{k} = {Number(v).toPrecision(5)}</div>)}
+            {altFit.method === 'exponential' && Object.entries(altFit.params).map(([k, v]) => <div key={k}>{k} = {Number(v).toPrecision(5)}</div>)}
+            {altFit.method === 'piecewise' && altFit.params.segments.map((sg, i) => (
+              <div key={i}>from x = {formatNumber(sg.from_x)}: slope {Number(sg.slope).toPrecision(4)}, cost {formatNumber(sg.cost_at_from)}</div>
+            ))}
+            {altFit.method === 'isotonic' && <div>{altFit.params.blocks.length} monotone blocks</div>}
+          </div>
+          <div className="text-sm text-gray-700 mt-1">
+            R² = {altFit.r2 != null && Number.isFinite(altFit.r2) ? altFit.r2.toFixed(4) : "—"} · RMSE = {currency} {formatNumber(altFit.rmse)}/tCO₂
+          </div>
+          <div className="text-[11px] text-gray-500">Weighted by step width; n = {altFit.n} steps.</div>
+        </div>
+      )}
+
       {quad && (
         <div className="mt-4">
           <h4 className="font-medium">Quadratic fit</h4>
@@ -2765,7 +3922,13 @@ function MACCAppInner() {
             </code>
           </div>
           <div className="text-sm text-gray-700 mt-1">
-            R² = {quad.r2 != null && Number.isFinite(quad.r2) ? quad.r2.toFixed(4) : "—"}
+            R² = {quad.r2 != null && Number.isFinite(quad.r2) ? quad.r2.toFixed(4) : "—"} · RMSE = {currency} {formatNumber(quad.rmse)}/tCO₂
+          </div>
+          <div className="text-sm text-gray-700 mt-1">
+            Std. errors: a ± {quad.se.a != null ? quad.se.a.toFixed(4) : "—"}, b ± {quad.se.b != null ? quad.se.b.toFixed(4) : "—"}, c ± {quad.se.c != null ? quad.se.c.toFixed(6) : "—"}
+          </div>
+          <div className="text-[11px] text-gray-500">
+            Weighted by step width (n = {quad.n} steps); dashed lines are the 95% confidence band of the fitted curve{quad.df > 0 ? ` (t, ${quad.df} d.f.)` : " (needs ≥ 4 steps)"}.
           </div>
         </div>
       )}
@@ -2777,6 +3940,802 @@ function MACCAppInner() {
   </p>
 </section>
 
+        {/* Capex screening */}
+        <CollapsibleSection
+          title="Capex Screening"
+          storageKey="macc_collapse_capex"
+          defaultOpen={false}
+          headerRight={(
+            <label className="text-sm flex items-center gap-2">Capex ceiling ({currency} cr)
+              <input type="number" min={0} className="w-28 border rounded-lg px-2 py-1 text-right" placeholder="none" value={capexCeilingCr} onChange={(e) => setCapexCeilingCr(e.target.value)} />
+            </label>
+          )}
+        >
+          <div className="h-[260px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={capexChart}
+                margin={{ top: 10, right: 24, left: 24, bottom: 28 }}
+              >
+                <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+                <XAxis
+                  type="number" dataKey="x" domain={[0, totalWidth]}
+                  tickFormatter={(v) => (mode === "capacity" ? formatNumber(v) : `${Number(v).toFixed(1)}%`)}
+                  label={{ value: mode === "capacity" ? "Cumulative abatement (tCO₂)" : "Cumulative intensity reduction (%)", position: "insideBottom", dy: 18, fill: "#374151" }}
+                />
+                <YAxis tickFormatter={(v) => formatNumber(v)} label={{ value: `Cumulative capex (${currency} cr)`, angle: -90, position: "insideLeft", fill: "#374151" }} />
+                <Tooltip formatter={(v, n) => [`${currency} ${formatNumber(v)} cr`, n === "beyond" ? "Cumulative capex (beyond ceiling)" : "Cumulative capex"]} labelFormatter={(v) => (mode === "capacity" ? `${formatNumber(v)} tCO₂` : `${Number(v).toFixed(2)}%`)} />
+                {capexCeilingCr !== "" && <ReferenceLine y={Number(capexCeilingCr)} stroke="#b45309" strokeDasharray="6 3" label={{ value: "Ceiling", position: "insideTopLeft", fill: "#b45309", fontSize: 11 }} />}
+                <Line type="linear" dataKey="within" stroke={PALETTE[0]} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} connectNulls={false} />
+                <Line type="linear" dataKey="beyond" stroke="#9ca3af" strokeWidth={2} strokeDasharray="4 3" dot={{ r: 2 }} isAnimationActive={false} connectNulls={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto mt-3">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-gray-700">
+                  <th className="p-2 text-left">#</th>
+                  <th className="p-2 text-left">Measure</th>
+                  <th className="p-2 text-right">Abatement (tCO₂)</th>
+                  <th className="p-2 text-right">Effective cost ({currency}/tCO₂)</th>
+                  <th className="p-2 text-right">Capex ({currency} cr)</th>
+                  <th className="p-2 text-right">Capex per annual tCO₂ ({currency})</th>
+                  <th className="p-2 text-right">Cumulative abatement (tCO₂)</th>
+                  <th className="p-2 text-right">Cumulative capex ({currency} cr)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {capexRows.map((r, i) => (
+                  <tr key={r.id} className={`border-b ${r.within ? "" : "text-gray-400"}`} title={r.within ? "" : "Beyond the capex ceiling"}>
+                    <td className="p-2">{i + 1}</td>
+                    <td className="p-2">{r.name}</td>
+                    <td className="p-2 text-right">{formatNumber(r.abatement_t)}</td>
+                    <td className="p-2 text-right">{formatNumber(r.effective_cost)}</td>
+                    <td className="p-2 text-right">{formatNumber(r.capex_cr)}</td>
+                    <td className="p-2 text-right">{r.abatement_t > 0 && !levelised ? formatNumber((r.capex_cr * INR_PER_CR) / r.abatement_t) : "—"}</td>
+                    <td className="p-2 text-right">{formatNumber(r.cum_abatement_t)}</td>
+                    <td className="p-2 text-right">{formatNumber(r.cum_capex_cr)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            Capex is the upfront investment: Σ upfront + financed capex for template measures, the <b>Capex</b> entered in the Measures table for quick measures. Measures whose cumulative capex passes the ceiling are greyed out here and on the MACC.
+          </div>
+        </CollapsibleSection>
+
+        {/* Carbon price sweep */}
+        <CollapsibleSection
+          title="Carbon Price Sweep"
+          storageKey="macc_collapse_cpSweep"
+          defaultOpen={false}
+          headerRight={(
+            <label className="text-sm flex items-center gap-2">Max CP ({currency}/tCO₂)
+              <input type="number" min={0} step={100} className="w-28 border rounded-lg px-2 py-1 text-right" value={cpSweepMax} onChange={(e) => setCpSweepMax(Math.max(0, Number(e.target.value) || 0))} />
+            </label>
+          )}
+        >
+          <div className="h-[280px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={cpSweep} margin={{ top: 10, right: 24, left: 24, bottom: 28 }}>
+                <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+                <XAxis
+                  type="number" dataKey="price" domain={[0, Number(cpSweepMax) || 1]}
+                  tickFormatter={(v) => formatNumber(v)}
+                  label={{ value: `Carbon price (${currency}/tCO₂)`, position: "insideBottom", dy: 18, fill: "#374151" }}
+                />
+                <YAxis
+                  tickFormatter={(v) => (mode === "capacity" ? formatNumber(v) : `${Number(v).toFixed(1)}%`)}
+                  label={{ value: mode === "capacity" ? "Cost‑effective abatement (tCO₂)" : "Cost‑effective reduction (%)", angle: -90, position: "insideLeft", fill: "#374151" }}
+                />
+                <Tooltip
+                  labelFormatter={(v) => `${currency} ${formatNumber(v)}/tCO₂`}
+                  formatter={(v, _n, item) => [
+                    `${mode === "capacity" ? `${formatNumber(v)} tCO₂` : `${Number(v).toFixed(2)}%`} (${item?.payload?.measures ?? 0} measures)`,
+                    "Cost‑effective",
+                  ]}
+                />
+                {cpNowForView > 0 && cpNowForView <= Number(cpSweepMax) && (
+                  <ReferenceLine x={cpNowForView} stroke="#111827" strokeDasharray="3 3" label={{ value: "Current CP", position: "top", fill: "#111827", fontSize: 11 }} />
+                )}
+                <Line type="stepAfter" dataKey="x" stroke={PALETTE[0]} strokeWidth={2} dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            Measures on the current MACC ({selectedSector}{levelised ? ", levelised" : evalYear != null ? `, ${evalYear}` : ""}) count once the carbon price reaches their <b>switching CP</b> — their cost before any carbon price. Measures that save money count at 0.
+          </div>
+        </CollapsibleSection>
+
+
+        {/* Abatement supply curve (inverse MACC) */}
+        <CollapsibleSection
+          title="Abatement Supply Curve"
+          storageKey="macc_collapse_supply"
+          defaultOpen={false}
+          headerRight={(
+            <button
+              className="px-3 py-1.5 rounded-xl border"
+              onClick={() => exportContainerSvgToPng(supplyRef.current, evalYear != null ? `abatement_supply_${evalYear}.png` : "abatement_supply.png")}
+            >
+              Export PNG
+            </button>
+          )}
+        >
+          <div className="flex flex-wrap items-center gap-3 text-sm mb-2">
+            <label className="flex items-center gap-2">Price
+              <input
+                type="range" className="w-64"
+                min={supply.domain[0]} max={supply.domain[1]} step={Math.max(1, Math.round((supply.domain[1] - supply.domain[0]) / 200))}
+                value={Math.min(supply.domain[1], Math.max(supply.domain[0], supplyPrice))}
+                onChange={(e) => setSupplyPrice(Number(e.target.value))}
+              />
+              <input type="number" className="w-28 border rounded-lg px-2 py-1 text-right" value={supplyPrice} onChange={(e) => setSupplyPrice(Number(e.target.value) || 0)} />
+              <span className="text-gray-600">{currency}/tCO₂</span>
+            </label>
+            <div>
+              At {currency} {formatNumber(supplyPrice)}/tCO₂:{" "}
+              <b>{mode === "capacity" ? `${formatNumber(supplyAt.abatement_t)} tCO₂` : `${toViewX(supplyAt.abatement_t).toFixed(2)}%`}</b>{" "}
+              from {supplyAt.measures.length} measure{supplyAt.measures.length === 1 ? "" : "s"}
+            </div>
+          </div>
+          <div ref={supplyRef} className="h-[300px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart
+                data={supply.pts}
+                margin={{ top: 16, right: 24, left: 24, bottom: 28 }}
+                onClick={(e) => { if (e && Number.isFinite(Number(e.activeLabel))) setSupplyPrice(Number(e.activeLabel)); }}
+              >
+                <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+                <XAxis
+                  type="number" dataKey="price" domain={supply.domain}
+                  tickFormatter={(v) => formatNumber(v)}
+                  label={{ value: levelised ? `Levelised cost / carbon price (${currency}/tCO₂)` : `Carbon price (${currency}/tCO₂)`, position: "insideBottom", dy: 18, fill: "#374151" }}
+                />
+                <YAxis
+                  tickFormatter={(v) => (mode === "capacity" ? formatNumber(v) : `${Number(v).toFixed(1)}%`)}
+                  label={{ value: mode === "capacity" ? "Cumulative abatement (tCO₂)" : "Cumulative intensity reduction (%)", angle: -90, position: "insideLeft", fill: "#374151" }}
+                />
+                <Tooltip
+                  labelFormatter={(v) => `${currency} ${formatNumber(v)}/tCO₂`}
+                  formatter={(v, _n, item) => [mode === "capacity" ? `${formatNumber(v)} tCO₂` : `${Number(v).toFixed(2)}%`, item?.payload?.name || "Cumulative"]}
+                />
+                <ReferenceLine x={0} stroke="#111827" strokeWidth={1.25} strokeDasharray="4 4" />
+                <ReferenceLine x={supplyPrice} stroke={PALETTE[1]} label={{ value: "Price", position: "top", fill: "#111827", fontSize: 11 }} />
+                <ReferenceLine y={toViewX(supplyAt.abatement_t)} stroke={PALETTE[1]} strokeDasharray="3 3" />
+                <Line type="linear" dataKey="y" stroke={PALETTE[0]} strokeWidth={2} dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            The current MACC read sideways: each measure is supplied once the price reaches its effective cost (already net of the current carbon price), so the price here is what a tonne has to be worth on top of it. Click the chart or move the slider to set the cursor.
+          </div>
+        </CollapsibleSection>
+
+        {/* CCTS compliance */}
+        <CollapsibleSection
+          title={`CCTS Compliance — ${compliance === null ? "select a sector" : selectedSector}`}
+          storageKey="macc_collapse_compliance"
+          defaultOpen={false}
+          headerRight={compliance !== null && (
+            <button
+              className="px-3 py-1.5 rounded-xl border"
+              onClick={() => {
+                const t = activeBaseline.gei_targets || {};
+                const ys = Object.keys(t).map(Number).filter(Number.isFinite);
+                const next = ys.length ? Math.max(...ys) + 1 : normalizeHorizon(horizon).start;
+                const prod = Number(activeBaseline.annual_production || 0);
+                const last = ys.length ? t[Math.max(...ys)] : (prod > 0 ? Number(activeBaseline.annual_emissions || 0) / prod : 0);
+                setGeiTargets({ ...t, [next]: last });
+              }}
+            >
+              + Add target year
+            </button>
+          )}
+        >
+          {compliance === null ? (
+            <div className="px-3 py-2 rounded-xl border bg-gray-50 text-sm text-amber-700">
+              <b>Select a sector</b> to see its compliance position. GEI targets are per unit of output, so “All sectors” has none; pick a sector (or the firm’s own sector) in the sector selector.
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex flex-col lg:flex-row gap-6">
+                <div className="lg:w-[360px]">
+                  <h3 className="text-base font-semibold mb-2">GEI target trajectory</h3>
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="bg-gray-100 text-gray-700">
+                        <th className="p-2 text-left">Compliance year</th>
+                        <th className="p-2 text-right">Target (tCO₂e / {activeBaseline.production_label})</th>
+                        <th className="p-2 text-right">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(activeBaseline.gei_targets || {}).sort(([a], [b]) => Number(a) - Number(b)).map(([y, v]) => (
+                        <tr key={y} className="border-b">
+                          <td className="p-2">
+                            <input
+                              type="number"
+                              className="border rounded-lg px-2 py-1 w-24"
+                              defaultValue={y}
+                              onBlur={(e) => {
+                                const ny = Number(e.target.value);
+                                if (!Number.isFinite(ny) || String(ny) === y) return;
+                                const { [y]: val, ...rest } = activeBaseline.gei_targets || {};
+                                setGeiTargets({ ...rest, [ny]: val });
+                              }}
+                            />
+                          </td>
+                          <td className="p-2 text-right">
+                            <input
+                              type="number"
+                              step="0.0001"
+                              className="border rounded-lg px-2 py-1 w-32 text-right"
+                              value={v}
+                              onChange={(e) => setGeiTargets({ ...(activeBaseline.gei_targets || {}), [y]: (e.target.value === "" ? "" : Number(e.target.value)) })}
+                            />
+                          </td>
+                          <td className="p-2 text-right">
+                            <button
+                              className="px-2 py-1 rounded-lg border"
+                              onClick={() => { const { [y]: _, ...rest } = activeBaseline.gei_targets || {}; setGeiTargets(rest); }}
+                            >
+                              Delete
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                      {!Object.keys(activeBaseline.gei_targets || {}).length && (
+                        <tr><td className="p-2 text-sm text-gray-500" colSpan={3}>No targets yet. Click “+ Add target year” and enter the notified GEI.</td></tr>
+                      )}
+                    </tbody>
+                  </table>
+                  <div className="mt-2 text-xs text-gray-500">
+                    Baseline GEI: <b>{Number(activeBaseline.annual_production) > 0 ? (Number(activeBaseline.annual_emissions || 0) / Number(activeBaseline.annual_production)).toFixed(4) : "—"}</b> tCO₂e / {activeBaseline.production_label} (baseline emissions ÷ production).
+                  </div>
+                </div>
+
+                <div className="flex-1 min-h-[260px]">
+                  <h3 className="text-base font-semibold mb-2">Credits earned (+) / to purchase (−)</h3>
+                  {compliance.length ? (
+                    <ResponsiveContainer width="100%" height={260}>
+                      <BarChart data={compliance} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="year" />
+                        <YAxis tickFormatter={(v) => formatNumber(v)} />
+                        <Tooltip formatter={(v) => `${formatNumber(v)} tCO₂e`} />
+                        <ReferenceLine y={0} stroke="#000" />
+                        <Bar dataKey="credits_t" name="Credits">
+                          {compliance.map(r => <Cell key={r.year} fill={r.credits_t >= 0 ? "#16a34a" : "#dc2626"} />)}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="text-sm text-gray-500">Add GEI targets (and a baseline production above zero) to see the compliance position.</div>
+                  )}
+                </div>
+              </div>
+
+              {compliance.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="bg-gray-100 text-gray-700">
+                        <th className="p-2 text-left">Year</th>
+                        <th className="p-2 text-right">Target GEI</th>
+                        <th className="p-2 text-right">GEI with MACC</th>
+                        <th className="p-2 text-right">Gap (per {activeBaseline.production_label})</th>
+                        <th className="p-2 text-right">Abatement needed (tCO₂e)</th>
+                        <th className="p-2 text-right">MACC abatement (tCO₂e)</th>
+                        <th className="p-2 text-right">Credits (tCO₂e)</th>
+                        <th className="p-2 text-right">Credit value ({currency})</th>
+                        <th className="p-2 text-right">Measure cost ({currency})</th>
+                        <th className="p-2 text-right">Net cost ({currency})</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {compliance.map(r => (
+                        <tr key={r.year} className="border-b">
+                          <td className="p-2">{r.year}</td>
+                          <td className="p-2 text-right">{r.target_gei.toFixed(4)}</td>
+                          <td className="p-2 text-right">{r.achieved_gei.toFixed(4)}</td>
+                          <td className={`p-2 text-right ${r.gap_gei > 0 ? "text-red-600" : "text-green-700"}`}>{r.gap_gei > 0 ? "+" : ""}{r.gap_gei.toFixed(4)}</td>
+                          <td className="p-2 text-right">{formatNumber(r.required_t)}</td>
+                          <td className="p-2 text-right">{formatNumber(r.abatement_t)}</td>
+                          <td className={`p-2 text-right font-medium ${r.credits_t >= 0 ? "text-green-700" : "text-red-600"}`}>{formatNumber(r.credits_t)}</td>
+                          <td className="p-2 text-right">{formatNumber(r.credit_value)}</td>
+                          <td className="p-2 text-right">{formatNumber(r.measure_cost)}</td>
+                          <td className="p-2 text-right">{formatNumber(r.net_cost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="mt-2 text-xs text-gray-500">
+                    Each year uses every selected measure in that year’s MACC (template measures at their per‑year values). Credits = (target GEI − GEI with MACC) × production, valued at that year’s carbon price ({cpLabel}). Net cost = measure cost (before carbon price) − credit value; a shortfall adds its purchase cost.
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </CollapsibleSection>
+
+        {/* BAU projection */}
+        <CollapsibleSection
+          title={`Baseline Projection (BAU) — ${selectedSector}`}
+          storageKey="macc_collapse_bau"
+          defaultOpen={false}
+        >
+          <div className="flex flex-col lg:flex-row gap-6">
+            <div className="lg:w-[380px] space-y-3">
+              {selectedSector === "All sectors" ? (
+                <div className="text-sm text-gray-600">BAU growth is set per sector; this view adds up the sectors’ projections. Pick a sector in the sector selector to edit its settings.</div>
+              ) : (
+                <>
+                  <label className="block text-sm">Growth
+                    <select
+                      className="mt-1 w-full border rounded-xl px-3 py-2"
+                      value={activeBau.mode}
+                      onChange={(e) => setBau({ mode: e.target.value })}
+                    >
+                      {BAU_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                    </select>
+                  </label>
+                  {activeBau.mode === "growth" && (
+                    <div className="grid grid-cols-3 gap-2 items-center text-sm">
+                      <div className="text-xs text-gray-600">Base year</div>
+                      <input type="number" className="col-span-2 border rounded-lg px-2 py-1 text-right" value={activeBau.base_year ?? ""} onChange={(e) => setBau({ base_year: e.target.value === "" ? null : Number(e.target.value) })} />
+                      <div className="text-xs text-gray-600">Production CAGR (%/yr)</div>
+                      <input type="number" step="0.1" className="col-span-2 border rounded-lg px-2 py-1 text-right" value={activeBaseline.bau?.production_cagr_pct ?? ""} onChange={(e) => setBau({ production_cagr_pct: e.target.value === "" ? "" : Number(e.target.value) })} />
+                      <div className="text-xs text-gray-600">Intensity drift (%/yr)</div>
+                      <input type="number" step="0.1" className="col-span-2 border rounded-lg px-2 py-1 text-right" value={activeBaseline.bau?.intensity_drift_pct ?? ""} onChange={(e) => setBau({ intensity_drift_pct: e.target.value === "" ? "" : Number(e.target.value) })} />
+                    </div>
+                  )}
+                  {activeBau.mode === "series" && (
+                    <div>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="bg-gray-100 text-gray-700">
+                            <th className="p-2 text-left">Year</th>
+                            <th className="p-2 text-right">BAU emissions (tCO₂)</th>
+                            <th className="p-2 text-right">Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {Object.entries(activeBau.series).sort(([a], [b]) => Number(a) - Number(b)).map(([y, v]) => (
+                            <tr key={y} className="border-b">
+                              <td className="p-2">
+                                <input
+                                  type="number"
+                                  className="border rounded-lg px-2 py-1 w-24"
+                                  defaultValue={y}
+                                  onBlur={(e) => {
+                                    const ny = Number(e.target.value);
+                                    if (!Number.isFinite(ny) || String(ny) === y) return;
+                                    const { [y]: val, ...rest } = activeBau.series;
+                                    setBau({ series: { ...rest, [ny]: val } });
+                                  }}
+                                />
+                              </td>
+                              <td className="p-2 text-right">
+                                <input
+                                  type="number"
+                                  className="border rounded-lg px-2 py-1 w-36 text-right"
+                                  value={v}
+                                  onChange={(e) => setBau({ series: { ...activeBau.series, [y]: (e.target.value === "" ? "" : Number(e.target.value)) } })}
+                                />
+                              </td>
+                              <td className="p-2 text-right">
+                                <button className="px-2 py-1 rounded-lg border" onClick={() => { const { [y]: _, ...rest } = activeBau.series; setBau({ series: rest }); }}>Delete</button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <button
+                        className="mt-2 px-3 py-1.5 rounded-xl border"
+                        onClick={() => {
+                          const pts = seriesPoints(activeBau.series);
+                          const h = normalizeHorizon(horizon);
+                          const next = pts.length ? pts[pts.length - 1][0] + h.step : h.start;
+                          setBau({ series: { ...activeBau.series, [next]: pts.length ? pts[pts.length - 1][1] : Number(activeBaseline.annual_emissions || 0) } });
+                        }}
+                      >
+                        + Add year
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+              <div className="text-xs text-gray-500">
+                Static: {formatNumber(activeBaseline.annual_emissions)} tCO₂/yr every year. With growth, production compounds at the CAGR and intensity by the drift from the base year (flat before it); a series is read linearly between its years and held flat outside them. The MACC’s intensity axis, target and budget use the projection for the chart’s year ({levelised ? "summed over the horizon" : evalYear ?? "static values for the representative year"}).
+              </div>
+            </div>
+
+            <div className="flex-1 min-h-[280px]">
+              <h3 className="text-base font-semibold mb-2">BAU vs abated pathway (tCO₂/yr)</h3>
+              <ResponsiveContainer width="100%" height={280}>
+                <LineChart data={bauPathway} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" />
+                  <YAxis tickFormatter={(v) => formatNumber(v)} />
+                  <Tooltip formatter={(v, n) => [`${formatNumber(v)} tCO₂`, n]} />
+                  <Line type="linear" dataKey="bau_t" name="BAU" stroke="#111827" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  <Line type="linear" dataKey="macc_t" name="With all MACC measures" stroke={PALETTE[4]} strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {roadmap.schedule.length > 0 && <Line type="linear" dataKey="roadmap_t" name="With roadmap" stroke={PALETTE[1]} strokeWidth={2} strokeDasharray="5 3" dot={false} isAnimationActive={false} />}
+                  {evalYear != null && !levelised && <ReferenceLine x={evalYear} stroke="#9ca3af" strokeDasharray="4 3" />}
+                </LineChart>
+              </ResponsiveContainer>
+              <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-1">
+                <span><span className="inline-block w-4 border-t-2 align-middle mr-1" style={{ borderColor: "#111827" }} />BAU</span>
+                <span><span className="inline-block w-4 border-t-2 align-middle mr-1" style={{ borderColor: PALETTE[4] }} />With all MACC measures (that year’s MACC)</span>
+                {roadmap.schedule.length > 0 && <span><span className="inline-block w-4 border-t-2 border-dashed align-middle mr-1" style={{ borderColor: PALETTE[1] }} />With the deployment roadmap</span>}
+              </div>
+            </div>
+          </div>
+        </CollapsibleSection>
+
+        {/* Wedge chart */}
+        <CollapsibleSection
+          title={`Abatement Wedges — ${selectedSector}`}
+          storageKey="macc_collapse_wedges"
+          defaultOpen={false}
+        >
+          {wedges.measures.length ? (
+            <>
+              <div className="h-[340px]" onMouseLeave={() => setWedgeHover(null)}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={wedges.data} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis tickFormatter={(v) => formatNumber(v)} label={{ value: "Emissions (tCO₂/yr)", angle: -90, position: "insideLeft", fill: "#374151" }} />
+                    <Tooltip content={<WedgeTooltip measures={wedges.measures} hovered={wedgeHover} />} />
+                    <Area type="linear" dataKey="residual_t" name="Left after measures" stackId="wedge" stroke="#9ca3af" fill="#e5e7eb" fillOpacity={1} isAnimationActive={false} onMouseEnter={() => setWedgeHover(null)} />
+                    {wedges.measures.map(m => (
+                      <Area
+                        key={m.key}
+                        type="linear"
+                        dataKey={m.key}
+                        name={m.name}
+                        stackId="wedge"
+                        stroke={m.color}
+                        fill={m.color}
+                        fillOpacity={wedgeHover && wedgeHover !== m.key ? 0.45 : 0.9}
+                        isAnimationActive={false}
+                        onMouseEnter={() => setWedgeHover(m.key)}
+                      />
+                    ))}
+                    <Line type="linear" dataKey="bau_t" name="BAU" stroke="#111827" strokeWidth={2} dot={false} isAnimationActive={false} />
+                    {evalYear != null && !levelised && <ReferenceLine x={evalYear} stroke="#6b7280" strokeDasharray="4 3" />}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <ColorLegend items={wedges.measures} max={16} />
+            </>
+          ) : (
+            <div className="text-sm text-gray-500">No selected measure abates in the horizon years.</div>
+          )}
+          <div className="mt-2 text-xs text-gray-500">
+            The top of the stack is the BAU projection; each wedge is a measure's reduction in that year's MACC (template measures from <code>per_year.reduction_t</code>, quick measures flat), so the grey area is what is left. Colours follow the MACC steps; hover a wedge to bring it to the top of the card.
+          </div>
+        </CollapsibleSection>
+
+        {/* Portfolio analytics */}
+        <CollapsibleSection
+          title={`Portfolio Analytics — Drivers & Scopes — ${selectedSector}${evalYear != null && !levelised ? ` — ${evalYear}` : ""}`}
+          storageKey="macc_collapse_portfolio"
+          defaultOpen={false}
+        >
+          {!portfolio ? (
+            <div className="text-sm text-gray-600">The driver split is per year. Switch the cost basis to <b>Annual</b> to see it.</div>
+          ) : !portfolio.measures.length ? (
+            <div className="text-sm text-gray-500">No measures on the MACC for this view.</div>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-3 text-sm">
+                {portfolio.scopes.filter(sc => Math.abs(sc.abatement_t) > 1e-9).map(sc => (
+                  <div key={sc.key} className="px-3 py-2 rounded-xl border">
+                    <div className="text-xs text-gray-500">{sc.label}</div>
+                    <div className="font-semibold">{formatNumber(sc.abatement_t)} tCO₂</div>
+                    <div className="text-xs text-gray-500">{portfolio.total_t > 0 ? `${((sc.abatement_t / portfolio.total_t) * 100).toFixed(1)}% of net` : ""}</div>
+                  </div>
+                ))}
+                <div className="px-3 py-2 rounded-xl border bg-gray-50">
+                  <div className="text-xs text-gray-500">Net abatement</div>
+                  <div className="font-semibold">{formatNumber(portfolio.total_t)} tCO₂</div>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <div>
+                  <div className="text-sm font-medium mb-1">By measure and driver category (tCO₂)</div>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <BarChart data={portfolio.measures.map(m => ({ name: m.name, ...m.byCategory }))} stackOffset="sign" margin={{ top: 10, right: 20, left: 20, bottom: 40 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" interval={0} angle={-25} textAnchor="end" height={60} tick={{ fontSize: 11 }} />
+                      <YAxis tickFormatter={(v) => formatNumber(v)} />
+                      <Tooltip formatter={(v, n) => [`${formatNumber(v)} tCO₂`, n]} />
+                      <ReferenceLine y={0} stroke="#000" />
+                      {portfolioCategories.map(c => <Bar key={c.key} dataKey={c.key} name={c.label} stackId="cat" fill={c.color} isAnimationActive={false} />)}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <div className="text-sm font-medium mb-1">By scope (tCO₂)</div>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <BarChart data={portfolio.scopes.filter(sc => Object.values(sc.byCategory).some(v => Math.abs(v) > 1e-9)).map(sc => ({ name: sc.label, ...sc.byCategory }))} stackOffset="sign" margin={{ top: 10, right: 20, left: 20, bottom: 40 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" height={60} />
+                      <YAxis tickFormatter={(v) => formatNumber(v)} />
+                      <Tooltip formatter={(v, n) => [`${formatNumber(v)} tCO₂`, n]} />
+                      <ReferenceLine y={0} stroke="#000" />
+                      {portfolioCategories.map(c => <Bar key={c.key} dataKey={c.key} name={c.label} stackId="scope" fill={c.color} isAnimationActive={false} />)}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              <ColorLegend items={portfolioCategories.map(c => ({ id: c.key, name: `${c.label} (${SCOPES.find(sc => sc.key === c.scope).label})`, color: c.color }))} />
+
+              {portfolioSankey.links.length > 0 && (
+                <div>
+                  <div className="text-sm font-medium mb-1">Drivers → measures → total</div>
+                  <ResponsiveContainer width="100%" height={Math.max(260, 28 * portfolio.measures.length)}>
+                    <Sankey
+                      data={portfolioSankey}
+                      node={<SankeyNodeShape />}
+                      link={{ stroke: "#94a3b8", strokeOpacity: 0.35 }}
+                      nodePadding={14}
+                      nodeWidth={10}
+                      iterations={32}
+                      margin={{ top: 10, right: 170, bottom: 10, left: 130 }}
+                    >
+                      <Tooltip formatter={(v) => `${formatNumber(v)} tCO₂`} />
+                    </Sankey>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="bg-gray-100 text-gray-700">
+                      <th className="p-2 text-left">Driver category</th>
+                      <th className="p-2 text-left">Scope</th>
+                      <th className="p-2 text-right">Abatement (tCO₂)</th>
+                      <th className="p-2 text-right">Share of net (%)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {portfolio.categories.filter(c => Math.abs(c.abatement_t) > 1e-9).map(c => (
+                      <tr key={c.key} className="border-b">
+                        <td className="p-2"><span className="inline-block w-2.5 h-2.5 rounded-sm mr-2" style={{ backgroundColor: c.color }} />{c.label}</td>
+                        <td className="p-2">{SCOPES.find(sc => sc.key === c.scope).label}</td>
+                        <td className={`p-2 text-right ${c.abatement_t < 0 ? "text-red-600" : ""}`}>{formatNumber(c.abatement_t)}</td>
+                        <td className="p-2 text-right">{portfolio.total_t > 0 ? ((c.abatement_t / portfolio.total_t) * 100).toFixed(1) : "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+          <div className="mt-2 text-xs text-gray-500">
+            Template measures are split by the signed emission changes of their driver lines in {evalYear ?? "each measure's representative year"} (fuel, raw materials, transport, water & waste, electricity, other direct), scaled like their step on the MACC. A negative value is an increase — e.g. extra grid electricity from electrifying a fuel use — and flows to <i>Added emissions</i> in the Sankey. Scope 1: fuel and other direct; Scope 2: electricity; Scope 3: raw materials, transport, water & waste. Quick measures have no driver split.
+          </div>
+        </CollapsibleSection>
+
+        {/* Deployment roadmap */}
+        <CollapsibleSection
+          title="Deployment Roadmap"
+          storageKey="macc_collapse_roadmap"
+          defaultOpen={false}
+          headerRight={(
+            <div className="flex items-center gap-2">
+              <button className="px-3 py-1.5 rounded-xl border" disabled={!roadmap.schedule.length} onClick={exportRoadmapCsv}>Export CSV</button>
+              <button className="px-3 py-1.5 rounded-xl border" disabled={!roadmap.schedule.length} onClick={() => printContainer(roadmapRef.current, `Deployment roadmap — ${selectedSector}`)}>Print</button>
+            </div>
+          )}
+        >
+          <div className="space-y-4">
+            <div className="lg:w-[420px]">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-base font-semibold">Reduction trajectory</h3>
+                <button
+                  className="px-3 py-1.5 rounded-xl border"
+                  onClick={() => {
+                    const pts = trajectoryPoints(roadmapTrajectory);
+                    const h = normalizeHorizon(horizon);
+                    const next = pts.length ? Math.min(h.end, pts[pts.length - 1][0] + h.step) : h.start;
+                    setRoadmapTrajectory({ ...roadmapTrajectory, [next]: pts.length ? pts[pts.length - 1][1] : 0 });
+                  }}
+                >
+                  + Add year
+                </button>
+              </div>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-100 text-gray-700">
+                    <th className="p-2 text-left">Year</th>
+                    <th className="p-2 text-right">Reduction (% of baseline)</th>
+                    <th className="p-2 text-right">Required (tCO₂)</th>
+                    <th className="p-2 text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(roadmapTrajectory || {}).sort(([a], [b]) => Number(a) - Number(b)).map(([y, v]) => (
+                    <tr key={y} className="border-b">
+                      <td className="p-2">
+                        <input
+                          type="number"
+                          className="border rounded-lg px-2 py-1 w-24"
+                          defaultValue={y}
+                          onBlur={(e) => {
+                            const ny = Number(e.target.value);
+                            if (!Number.isFinite(ny) || String(ny) === y) return;
+                            const { [y]: val, ...rest } = roadmapTrajectory;
+                            setRoadmapTrajectory({ ...rest, [ny]: val });
+                          }}
+                        />
+                      </td>
+                      <td className="p-2 text-right">
+                        <input
+                          type="number"
+                          min={0}
+                          max={100}
+                          step="0.1"
+                          className="border rounded-lg px-2 py-1 w-24 text-right"
+                          value={v}
+                          onChange={(e) => setRoadmapTrajectory({ ...roadmapTrajectory, [y]: (e.target.value === "" ? "" : Number(e.target.value)) })}
+                        />
+                      </td>
+                      <td className="p-2 text-right">{formatNumber(baselineAt(baselines, selectedSector, Number(y)).emissions * Number(v || 0) / 100)}</td>
+                      <td className="p-2 text-right">
+                        <button
+                          className="px-2 py-1 rounded-lg border"
+                          onClick={() => { const { [y]: _, ...rest } = roadmapTrajectory; setRoadmapTrajectory(rest); }}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {!Object.keys(roadmapTrajectory || {}).length && (
+                    <tr><td className="p-2 text-sm text-gray-500" colSpan={4}>No trajectory yet. Click “+ Add year” and enter the % below baseline emissions to reach.</td></tr>
+                  )}
+                </tbody>
+              </table>
+              <div className="mt-2 text-xs text-gray-500">
+                % of each year’s BAU emissions ({selectedSector}; {formatNumber(activeBaseline.annual_emissions)} tCO₂/yr before growth). Linear between years, 0 before the first, flat after the last.
+              </div>
+            </div>
+
+            <div ref={roadmapRef} className="space-y-4">
+              <h3 className="text-base font-semibold">Roadmap — {selectedSector} ({roadmap.years[0]}–{roadmap.years[roadmap.years.length - 1]})</h3>
+              {roadmap.schedule.length ? (
+                <>
+                  <div className={`text-sm ${roadmapShortYears.length ? "text-red-600" : "text-green-700"}`}>
+                    {roadmapShortYears.length
+                      ? <>Falls short of the trajectory in <b>{roadmapShortYears.length}</b> year(s): {roadmapShortYears.join(", ")}.</>
+                      : <>Meets the trajectory in every year.</>}
+                    {roadmap.unscheduled.length > 0 && <span className="text-gray-600"> {roadmap.unscheduled.length} measure(s) not needed: {roadmap.unscheduled.map(m => m.name).join(", ")}.</span>}
+                  </div>
+
+                  <div className="overflow-x-auto">
+                    <table className="text-xs border-collapse">
+                      <thead>
+                        <tr className="bg-gray-100 text-gray-700">
+                          <th className="p-1 text-left">Measure</th>
+                          <th className="p-1 text-right">{currency}/tCO₂</th>
+                          <th className="p-1 text-right">Start</th>
+                          {roadmap.years.map(y => (
+                            <th key={y} className={`p-1 text-center font-normal ${roadmapShortYears.includes(y) ? "text-red-600" : ""}`}>{String(y).slice(2)}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {roadmap.schedule.map((s, i) => {
+                          const peak = Math.max(...s.abatement_t, 0);
+                          const color = PALETTE[i % PALETTE.length];
+                          return (
+                            <tr key={s.id} className="border-b">
+                              <td className="p-1 pr-3 whitespace-nowrap">{s.name}</td>
+                              <td className="p-1 text-right">{formatNumber(s.effective_cost)}</td>
+                              <td className="p-1 text-right">{s.start}</td>
+                              {s.abatement_t.map((a, k) => (
+                                <td
+                                  key={roadmap.years[k]}
+                                  className="p-0 w-4 h-5"
+                                  title={`${s.name} — ${roadmap.years[k]}: ${formatNumber(a)} tCO₂`}
+                                  style={{ backgroundColor: a > 0 ? color : "transparent", opacity: a > 0 && peak > 0 ? 0.35 + 0.65 * (a / peak) : 1, borderLeft: roadmap.years[k] === s.start ? "2px solid #111827" : undefined }}
+                                />
+                              ))}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                    <div>
+                      <div className="text-sm font-medium mb-1">Abatement vs trajectory (tCO₂/yr)</div>
+                      <ResponsiveContainer width="100%" height={240}>
+                        <ComposedChart data={roadmap.perYear} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis tickFormatter={(v) => formatNumber(v)} />
+                          <Tooltip formatter={(v, n) => [`${formatNumber(v)} tCO₂`, n]} />
+                          <Bar dataKey="planned_t" name="Planned abatement" isAnimationActive={false}>
+                            {roadmap.perYear.map(r => <Cell key={r.year} fill={r.shortfall_t > 1e-6 ? "#dc2626" : PALETTE[4]} />)}
+                          </Bar>
+                          <Line type="linear" dataKey="required_t" name="Trajectory" stroke="#111827" strokeWidth={2} dot={false} isAnimationActive={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div>
+                      <div className="text-sm font-medium mb-1">Capex and opex ({currency} cr/yr)</div>
+                      <ResponsiveContainer width="100%" height={240}>
+                        <BarChart data={roadmap.perYear} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis tickFormatter={(v) => formatNumber(v)} />
+                          <Tooltip formatter={(v, n) => [`${currency} ${formatNumber(v)} cr`, n]} />
+                          <ReferenceLine y={0} stroke="#000" />
+                          <Bar dataKey="capex_cr" name="Capex" fill={PALETTE[0]} isAnimationActive={false} />
+                          <Bar dataKey="opex_cr" name="Opex (net of savings)" fill={PALETTE[1]} isAnimationActive={false} />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="bg-gray-100 text-gray-700">
+                          <th className="p-2 text-left">Year</th>
+                          <th className="p-2 text-right">BAU (tCO₂)</th>
+                          <th className="p-2 text-right">Trajectory (%)</th>
+                          <th className="p-2 text-right">Required (tCO₂)</th>
+                          <th className="p-2 text-right">Planned (tCO₂)</th>
+                          <th className="p-2 text-right">Shortfall (tCO₂)</th>
+                          <th className="p-2 text-right">Cumulative required (tCO₂)</th>
+                          <th className="p-2 text-right">Cumulative planned (tCO₂)</th>
+                          <th className="p-2 text-right">Capex ({currency} cr)</th>
+                          <th className="p-2 text-right">Opex ({currency} cr)</th>
+                          <th className="p-2 text-left">Starts</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {roadmap.perYear.map(r => (
+                          <tr key={r.year} className={`border-b ${r.shortfall_t > 1e-6 ? "bg-red-50" : ""}`}>
+                            <td className="p-2">{r.year}</td>
+                            <td className="p-2 text-right">{formatNumber(r.baseline_t)}</td>
+                            <td className="p-2 text-right">{r.target_pct.toFixed(1)}</td>
+                            <td className="p-2 text-right">{formatNumber(r.required_t)}</td>
+                            <td className="p-2 text-right">{formatNumber(r.planned_t)}</td>
+                            <td className={`p-2 text-right ${r.shortfall_t > 1e-6 ? "text-red-600 font-medium" : ""}`}>{r.shortfall_t > 1e-6 ? formatNumber(r.shortfall_t) : "—"}</td>
+                            <td className="p-2 text-right">{formatNumber(r.cum_required_t)}</td>
+                            <td className="p-2 text-right">{formatNumber(r.cum_planned_t)}</td>
+                            <td className="p-2 text-right">{formatNumber(r.capex_cr)}</td>
+                            <td className="p-2 text-right">{formatNumber(r.opex_cr)}</td>
+                            <td className="p-2">{r.starts.join(", ")}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              ) : (
+                <div className="text-sm text-gray-500">{curve.length ? "Nothing to schedule yet — add a reduction trajectory above." : "No measures on the MACC for this view."}</div>
+              )}
+              <div className="text-xs text-gray-500">
+                Measures are taken in MACC order: negative‑cost ones start in {roadmap.years[0]}, every other one in the first year the measures already started fall short of the trajectory. A template measure follows its saved adoption ramp and capex stack from its start year (shifted from its first year with capex or abatement); a quick measure abates in full from its start year, with its capex in that year and cost × tonnes as opex. Shaded Gantt cells show each measure's abatement relative to its peak.
+              </div>
+            </div>
+          </div>
+        </CollapsibleSection>
 
         {/* Measures table */}
         <CollapsibleSection title="Measures" storageKey="macc_collapse_measures" defaultOpen={true}>
@@ -2797,6 +4756,12 @@ function MACCAppInner() {
                   <th className="p-2 text-left">Sector</th>
                   <th className="p-2 text-right">Abatement (tCO₂)</th>
                   <th className="p-2 text-right">Marginal cost (input) ({currency}/tCO₂)</th>
+                  <th className="p-2 text-right" title="Upfront investment: Σ upfront + financed capex for template measures; entered for quick measures">Capex ({currency} cr)</th>
+                  <th className="p-2 text-right" title="Flat carbon price at which the measure's NPV with carbon price is zero (template measures)">Break‑even CP ({currency}/tCO₂)</th>
+                  <th className="p-2 text-right" title="Carbon price at which the measure's effective cost on the MACC crosses zero, on the chart's year / cost basis">Switching CP ({currency}/tCO₂)</th>
+                  <th className="p-2 text-left" title="Emission pools this measure acts on (comma separated). Catalog items cut by template drivers are added automatically.">Acts on</th>
+                  <th className="p-2 text-left" title="Only the cheapest measure of each group enters the MACC">Exclusive group</th>
+                  <th className="p-2 text-left" title="Measure that must be on the MACC before this one">Requires</th>
                   <th className="p-2 text-right">Actions</th>
                 </tr>
               </thead>
@@ -2809,7 +4774,7 @@ function MACCAppInner() {
                         <input type="checkbox" checked={m.selected} onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, selected: e.target.checked }; setMeasures(copy); }} />
                       </td>
                       <td className="p-2">
-                        <input className="border rounded-lg px-2 py-1 w-56" value={m.name} onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, name: e.target.value }; setMeasures(copy); }} />
+                        <input className="border rounded-lg px-2 py-1 w-56" value={m.name} onChange={(e) => setMeasures(renameMeasure(measures || [], m.id, e.target.value))} />
                         {m.details?.per_year && (
                           <div className="text-[11px] text-blue-600 mt-1 cursor-pointer" onClick={() => setInspectedId(m.id)}>View timeseries</div>
                         )}
@@ -2825,6 +4790,41 @@ function MACCAppInner() {
                       <td className="p-2 text-right">
                         <input type="number" className="border rounded-lg px-2 py-1 w-40 text-right" value={m.cost_per_tco2} onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, cost_per_tco2: Number(e.target.value) }; setMeasures(copy); }} />
                       </td>
+                      <td className="p-2 text-right">
+                        {isTemplateMeasure(m) ? formatNumber(measureCapexCr(m)) : (
+                          <input type="number" min={0} className="border rounded-lg px-2 py-1 w-24 text-right" placeholder="0" value={m.capex_cr ?? ""} onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = withCapexCr(m, e.target.value); setMeasures(copy); }} />
+                        )}
+                      </td>
+                      <td className="p-2 text-right">{isTemplateMeasure(m) ? formatNumber(breakEvenCarbonPrice(m.details)) : "—"}</td>
+                      <td className="p-2 text-right">{formatNumber(switchingPrice(evaluateRow(m)))}</td>
+                      <td className="p-2">
+                        <input
+                          className="border rounded-lg px-2 py-1 w-44"
+                          placeholder={driverKeys(m).join(", ") || "e.g. Coal – BF"}
+                          value={Array.isArray(m.acts_on) ? m.acts_on.join(", ") : (m.acts_on || "")}
+                          onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, acts_on: e.target.value }; setMeasures(copy); }}
+                          onBlur={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, acts_on: parseKeyList(e.target.value) }; setMeasures(copy); }}
+                        />
+                        {driverKeys(m).length > 0 && <div className="text-[11px] text-gray-500 mt-1">auto: {driverKeys(m).join(", ")}</div>}
+                      </td>
+                      <td className="p-2">
+                        <input
+                          className="border rounded-lg px-2 py-1 w-32"
+                          placeholder="e.g. kiln lining"
+                          value={m.exclusive_group || ""}
+                          onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, exclusive_group: e.target.value }; setMeasures(copy); }}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <select
+                          className="border rounded-lg px-2 py-1 w-40"
+                          value={m.requires || ""}
+                          onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, requires: e.target.value }; setMeasures(copy); }}
+                        >
+                          <option value="">—</option>
+                          {(measures || []).filter(x => x.id !== m.id).map(x => <option key={x.id} value={x.name}>{x.name}</option>)}
+                        </select>
+                      </td>
                       <td className="p-2 text-right space-x-2">
                         <button
                           className="px-2 py-1 rounded-lg border"
@@ -2832,6 +4832,15 @@ function MACCAppInner() {
                         >
                           Edit
                         </button>
+                        {isTemplateMeasure(m) && (
+                          <button
+                            className="px-2 py-1 rounded-lg border"
+                            title="Recompute abatement & cost from the saved template with the current catalogs and carbon price"
+                            onClick={() => recalcMeasure(m)}
+                          >
+                            Recalc
+                          </button>
+                        )}
                         <button
                           className="px-2 py-1 rounded-lg border"
                           onClick={() => setMeasures(measures.filter(x => x.id !== m.id))}
@@ -2846,7 +4855,7 @@ function MACCAppInner() {
           </div>
 
           <div className="mt-3 text-xs text-gray-500">
-CSV columns: <code>id, name, sector, abatement_tco2, cost_per_tco2, selected, details</code>. If <code>details.saved_cost_includes_carbon_price = true</code>, the chart subtracts only the difference between the current carbon price and <code>details.carbon_price_at_save</code>.          </div>
+CSV columns: <code>id, name, sector, abatement_tco2, cost_per_tco2, selected, acts_on, exclusive_group, requires, capex_cr, details</code>. If <code>details.saved_cost_includes_carbon_price = true</code>, the chart subtracts only the difference between the current carbon price and <code>details.carbon_price_at_save</code>.          </div>
         </CollapsibleSection>
 
         {/* Timeseries viewer */}
@@ -2886,9 +4895,24 @@ CSV columns: <code>id, name, sector, abatement_tco2, cost_per_tco2, selected, de
             <li>Wizard uses the selected <b>data source</b> (Sample / Custom / Merged). In Merged mode, custom entries override sample by <code>name</code> (or <code>state</code> for electricity).</li>
             <li>The step MACC uses colored rectangles (width = potential; height = cost − carbon price, adjusted if already included).</li>
             <li>Wizard computes per‑year reductions via Σ(Δquantity × EF × adoption).</li>
-            <li>Costs include drivers + opex + other − savings + financed annuity; upfront capex is added as that year’s cash flow.</li>
+            <li>The MACC <b>Year</b> selector rebuilds the curve from each template measure’s per‑year results (linear between grid years); quick measures keep their flat values.</li>
+            <li>Costs include drivers + opex + other − savings + financed annuity + upfront capex annualised over project life at the real discount rate; upfront capex is also that year’s cash flow for NPV/IRR.</li>
             <li>NPV/IRR are computed from yearly cash flows (with/without carbon price) discounted at the real rate.</li>
-            <li>Interpolation buttons linearly fill missing 5‑year columns.</li>
+            <li>The <b>optimal portfolio</b> minimises Σ cost × abatement × share subject to the target, optional capex and budget caps, one measure per exclusive group and share ≤ prerequisite share; shares are 0/1 in all‑or‑nothing mode. Its shadow price is the LP marginal cost of the target.</li>
+            <li><b>CCTS compliance</b>: for each GEI target year, GEI with MACC = (baseline emissions − that year’s MACC abatement) ÷ production; credits = (target − achieved) × production, valued at the carbon price.</li>
+            <li>With a <b>carbon price path</b>, each year uses its own price; a cost saved with the price included is shifted by the change between the path at save and now, for the same year.</li>
+            <li><b>Scenarios</b> rebuild the MACC from each snapshot’s carbon price, baselines and selection with the current view settings (sector, year/basis, interactions, target).</li>
+            <li><b>Uncertainty</b>: a saved Monte Carlo run adds P10–P90 error bars — cost (vertical, at the step middle) and abatement (horizontal, at the step edge).</li>
+            <li><b>Switching CP</b> = cost before any carbon price (the price at which a step crosses zero); <b>break‑even CP</b> = −NPV<sub>w/o CP</sub> / Σ discounted tCO₂ (NPV with CP = 0). The sweep adds up steps whose switching CP is at or below each price.</li>
+            <li><b>Other fits</b> (cubic, exponential, piecewise‑linear, isotonic) use one point per step at its middle, weighted by its width; R² and RMSE are weighted too.</li>
+            <li><b>Quadratic fit</b>: weighted least squares over the steps (weight = step width), with standard errors σ²·(XᵀWX)⁻¹ and a 95% band t·√(gᵀ·Cov·g) for the fitted mean.</li>
+            <li><b>GHG inventory</b>: emissions = Σ quantity × EF per activity line (override, else catalog EF); the ticked scopes become the sector's annual emissions.</li>
+            <li><b>BAU baseline</b>: E(y) = P₀·(1+g)^(y−y₀) × I₀·(1+d)^(y−y₀), or the entered series; the intensity axis, target and budget divide by E of the chart's year (Σ over the horizon when levelised).</li>
+            <li><b>Wedges</b>: BAU(y) − Σ reductions of that year's MACC = what is left; each wedge is one measure's tCO₂ in year y.</li>
+            <li><b>Drivers & scopes</b>: a category's abatement = −(its signed <code>pieces</code> delta) × the step's interaction factor; Σ categories = the step's net abatement.</li>
+            <li><b>Roadmap</b>: required tCO₂ = BAU emissions of the year × trajectory %; measures start in MACC order in the first year the started ones fall short, each on its own shifted adoption ramp and capex stack.</li>
+            <li>Within an <b>exclusive group</b> only the cheapest measure enters the MACC; a measure that <b>requires</b> another enters only after it (and is dropped if its prerequisite is off the curve).</li>
+            <li>The year grid follows the firm’s model horizon (start, end, 1‑ or 5‑year step); saved measures keep their own grid until resampled in the wizard. Interpolation buttons linearly fill missing year columns.</li>
             <li>Firm data and catalogs are stored locally per firm and portable via JSON export/import.</li>
           </ul>
         </section>
@@ -0,0 +1,238 @@
+/* Smooth models of a step MACC — weighted least squares over the steps
+   - One point per step: x at the step middle, y = its cost, weight = its width (abatement)
+   - x is in the chart's unit (tCO₂ or % of baseline); polynomial work is done on u = x / xMax
+   - Every fit returns { method, label, params, predict(x), r2, rmse, n } with weighted R² and RMSE
+*/
+
+export const FIT_METHODS = [
+  { key: "cubic", label: "Cubic polynomial" },
+  { key: "exponential", label: "Exponential" },
+  { key: "piecewise", label: "Piecewise‑linear" },
+  { key: "isotonic", label: "Isotonic (monotone)" },
+];
+
+/* Steps → weighted points; `positiveOnly` drops negative-cost steps */
+export function stepFitPoints(segments, { positiveOnly = false } = {}) {
+  return (segments || [])
+    .map(s => ({ x: (Number(s.x1_plot) + Number(s.x2_plot)) / 2, y: Number(s.cost), w: Math.abs(Number(s.x2_plot) - Number(s.x1_plot)) }))
+    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y) && p.w > 0 && (!positiveOnly || p.y >= 0));
+}
+
+/* Weighted R² and RMSE of a predictor over the points */
+export function fitStats(points, predict) {
+  const W = points.reduce((s, p) => s + p.w, 0);
+  if (!(W > 0)) return { r2: null, rmse: null };
+  const yBar = points.reduce((s, p) => s + p.w * p.y, 0) / W;
+  let sse = 0, sst = 0;
+  points.forEach(p => { sse += p.w * (p.y - predict(p.x)) ** 2; sst += p.w * (p.y - yBar) ** 2; });
+  return { r2: sst > 0 ? 1 - sse / sst : null, rmse: Math.sqrt(sse / W) };
+}
+
+/* Solve A·β = b (Gaussian elimination, partial pivoting); null when singular */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-12) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+/* Weighted least squares on basis functions; returns β, or null when the normal equations are singular */
+export function weightedLeastSquares(points, basis) {
+  const k = basis.length;
+  const XtWX = Array.from({ length: k }, () => new Array(k).fill(0));
+  const XtWy = new Array(k).fill(0);
+  points.forEach(p => {
+    const row = basis.map(f => f(p.x));
+    for (let i = 0; i < k; i++) {
+      XtWy[i] += p.w * row[i] * p.y;
+      for (let j = 0; j < k; j++) XtWX[i][j] += p.w * row[i] * row[j];
+    }
+  });
+  const beta = solveLinear(XtWX, XtWy);
+  return beta ? { beta, XtWX } : null;
+}
+
+const xMaxOf = (points) => Math.max(1e-12, ...points.map(p => Math.abs(p.x)));
+
+/* Weighted polynomial of `degree`; params are the coefficients in x (c0 + c1·x + …) */
+export function polynomialFit(points, degree) {
+  if (points.length < degree + 1) return null;
+  const xMax = xMaxOf(points);
+  const basis = Array.from({ length: degree + 1 }, (_, d) => (x) => Math.pow(x / xMax, d));
+  const ls = weightedLeastSquares(points, basis);
+  if (!ls) return null;
+  const coef = ls.beta.map((b, d) => b / Math.pow(xMax, d));
+  const predict = (x) => coef.reduce((s, c, d) => s + c * Math.pow(x, d), 0);
+  return { coef, predict, xMax, ls };
+}
+
+function cubic(points) {
+  const f = polynomialFit(points, 3);
+  if (!f) return null;
+  const [c0, c1, c2, c3] = f.coef;
+  return { params: { c0, c1, c2, c3 }, predict: f.predict, equation: "cost(x) = c0 + c1·x + c2·x² + c3·x³" };
+}
+
+/* cost(x) = a + b·e^(k·x): k by a grid + golden-section search on u = x/xMax, (a, b) by weighted LS at each k */
+function exponential(points) {
+  if (points.length < 3) return null;
+  const xMax = xMaxOf(points);
+  const at = (ku) => {
+    const ls = weightedLeastSquares(points, [() => 1, (x) => Math.exp(ku * x / xMax)]);
+    if (!ls) return null;
+    const [a, b] = ls.beta;
+    const predict = (x) => a + b * Math.exp(ku * x / xMax);
+    const sse = points.reduce((s, p) => s + p.w * (p.y - predict(p.x)) ** 2, 0);
+    return { a, b, ku, predict, sse };
+  };
+  let best = null;
+  for (let ku = -10; ku <= 10; ku += 0.25) {
+    if (Math.abs(ku) < 1e-9) continue;
+    const r = at(ku);
+    if (r && (!best || r.sse < best.sse)) best = r;
+  }
+  if (!best) return null;
+  // Refine around the best grid value
+  let lo = best.ku - 0.25, hi = best.ku + 0.25;
+  const g = (Math.sqrt(5) - 1) / 2;
+  for (let it = 0; it < 40; it++) {
+    const m1 = hi - g * (hi - lo), m2 = lo + g * (hi - lo);
+    const r1 = at(m1), r2 = at(m2);
+    if ((r1?.sse ?? Infinity) < (r2?.sse ?? Infinity)) hi = m2; else lo = m1;
+  }
+  const refined = at((lo + hi) / 2);
+  if (refined && refined.sse < best.sse) best = refined;
+  return { params: { a: best.a, b: best.b, k: best.ku / xMax }, predict: best.predict, equation: "cost(x) = a + b·e^(k·x)" };
+}
+
+/* Continuous piecewise-linear with knots at weighted quantiles of x (hinge basis) */
+function piecewise(points, { segmentsCount = 3 } = {}) {
+  const nSeg = Math.max(2, Math.round(segmentsCount));
+  if (points.length < nSeg + 1) return null;
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  const W = sorted.reduce((s, p) => s + p.w, 0);
+  const knots = [];
+  for (let j = 1; j < nSeg; j++) {
+    let acc = 0;
+    const target = (W * j) / nSeg;
+    const p = sorted.find(q => (acc += q.w) >= target) || sorted[sorted.length - 1];
+    if (!knots.includes(p.x)) knots.push(p.x);
+  }
+  const basis = [() => 1, (x) => x, ...knots.map(t => (x) => Math.max(0, x - t))];
+  const ls = weightedLeastSquares(points, basis);
+  if (!ls) return null;
+  const [a, b, ...c] = ls.beta;
+  const predict = (x) => a + b * x + c.reduce((s, cj, j) => s + cj * Math.max(0, x - knots[j]), 0);
+  // Report each segment as its own line: start x, slope, value at start
+  const starts = [Math.min(...points.map(p => p.x)), ...knots];
+  const segs = starts.map((x0, j) => ({ from_x: x0, slope: b + c.slice(0, j).reduce((s, v) => s + v, 0), cost_at_from: predict(x0) }));
+  return { params: { knots, segments: segs }, predict, equation: "cost(x) = a + b·x + Σ cⱼ·max(0, x − tⱼ)" };
+}
+
+/* Weighted pool-adjacent-violators: the best non-decreasing step function */
+function isotonic(points) {
+  if (points.length < 2) return null;
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  const blocks = [];
+  sorted.forEach(p => {
+    blocks.push({ y: p.y, w: p.w, x0: p.x, x1: p.x });
+    while (blocks.length > 1 && blocks[blocks.length - 2].y > blocks[blocks.length - 1].y) {
+      const b2 = blocks.pop(), b1 = blocks.pop();
+      const w = b1.w + b2.w;
+      blocks.push({ y: (b1.y * b1.w + b2.y * b2.w) / w, w, x0: b1.x0, x1: b2.x1 });
+    }
+  });
+  // Linear between block ends, flat outside
+  const knotsX = [], knotsY = [];
+  blocks.forEach(b => { knotsX.push(b.x0); knotsY.push(b.y); if (b.x1 !== b.x0) { knotsX.push(b.x1); knotsY.push(b.y); } });
+  const predict = (x) => {
+    if (x <= knotsX[0]) return knotsY[0];
+    const last = knotsX.length - 1;
+    if (x >= knotsX[last]) return knotsY[last];
+    const k = knotsX.findIndex(v => v >= x);
+    const w = (x - knotsX[k - 1]) / ((knotsX[k] - knotsX[k - 1]) || 1);
+    return knotsY[k - 1] + (knotsY[k] - knotsY[k - 1]) * w;
+  };
+  return {
+    params: { blocks: blocks.map(b => ({ from_x: b.x0, to_x: b.x1, cost: b.y, weight: b.w })) },
+    predict,
+    equation: "non‑decreasing cost, constant on each block, linear between blocks",
+  };
+}
+
+/* Inverse of a small square matrix (null when singular) */
+function invert(A) {
+  const n = A.length;
+  const cols = Array.from({ length: n }, (_, j) => solveLinear(A, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0))));
+  if (cols.some(c => !c)) return null;
+  return Array.from({ length: n }, (_, i) => cols.map(c => c[i]));
+}
+
+// Two-sided 95% Student t quantiles by degrees of freedom (normal beyond 30)
+const T975 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131,
+  2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+export const tQuantile975 = (df) => (df >= 1 ? (T975[Math.round(df) - 1] ?? 1.96) : null);
+
+/**
+ * Weighted quadratic cost(x) = a + b·x + c·x² with parameter standard errors and a 95% band for the mean curve.
+ * Residual variance σ² = Σ w·r² / (n − 3), Cov(β) = σ²·(XᵀWX)⁻¹ (invariant to the scale of the weights).
+ * @returns { a, b, c, se: { a, b, c }, r2, rmse, n, df, predict(x), band(x) → { lo, hi } } or null
+ */
+export function weightedQuadraticFit(points) {
+  const f = polynomialFit(points, 2);
+  if (!f) return null;
+  const [a, b, c] = f.coef;
+  const n = points.length, df = n - 3;
+  const stats = fitStats(points, f.predict);
+  const sse = points.reduce((s, p) => s + p.w * (p.y - f.predict(p.x)) ** 2, 0);
+  const inv = df > 0 ? invert(f.ls.XtWX) : null;
+  const sigma2 = df > 0 ? sse / df : null;
+  const cov = inv ? inv.map(row => row.map(v => v * sigma2)) : null; // in u = x/xMax units
+  const scale = [1, f.xMax, f.xMax * f.xMax];
+  const se = cov ? { a: Math.sqrt(cov[0][0]) / scale[0], b: Math.sqrt(cov[1][1]) / scale[1], c: Math.sqrt(cov[2][2]) / scale[2] } : { a: null, b: null, c: null };
+  const t = tQuantile975(df);
+  const band = (x) => {
+    const y = f.predict(x);
+    if (!cov || t == null) return { lo: null, hi: null };
+    const u = x / f.xMax, g = [1, u, u * u];
+    let v = 0;
+    for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) v += g[i] * cov[i][j] * g[j];
+    const h = t * Math.sqrt(Math.max(0, v));
+    return { lo: y - h, hi: y + h };
+  };
+  return { a, b, c, se, ...stats, n, df, predict: f.predict, band };
+}
+
+const FITTERS = { cubic, exponential, piecewise, isotonic };
+
+/**
+ * Fit one method to weighted points.
+ * @returns { method, label, equation, params, predict, r2, rmse, n } or null when there are too few points
+ */
+export function fitCurve(method, points, opts = {}) {
+  const fitter = FITTERS[method];
+  if (!fitter) return null;
+  const f = fitter(points, opts);
+  if (!f) return null;
+  const label = FIT_METHODS.find(m => m.key === method)?.label || method;
+  return { method, label, ...f, ...fitStats(points, f.predict), n: points.length };
+}
+
+/* Fitted values on an even grid over [0, xMax] for drawing */
+export function sampleFit(fit, xMax, n = 120) {
+  if (!fit || !(xMax > 0)) return [];
+  return Array.from({ length: n + 1 }, (_, i) => {
+    const x = (xMax * i) / n;
+    return { x, y: fit.predict(x) };
+  });
+}
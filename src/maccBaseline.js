@@ -0,0 +1,108 @@
+/* BAU baseline projection per sector
+   - Settings live on the baseline: baselines[sector].bau = { mode, base_year, production_cagr_pct, intensity_drift_pct, series }
+   - "growth": production grows at the CAGR and intensity drifts by %/yr from the base year (emissions = production × intensity)
+   - "series": explicit { year: tCO₂ } emissions, linear between years and flat outside; production moves with
+     emissions at the base intensity
+   - No settings (or mode "static") → the static annual values in every year; years before the base year are flat
+   - Wedges: BAU less each measure's yearly reduction, for the stabilisation chart
+*/
+
+export const BAU_MODES = [
+  { key: "static", label: "Static" },
+  { key: "growth", label: "Production CAGR + intensity drift" },
+  { key: "series", label: "Explicit yearly series" },
+];
+
+export function normalizeBau(bau, defaultBaseYear) {
+  const b = bau || {};
+  const mode = BAU_MODES.some(m => m.key === b.mode) ? b.mode : "static";
+  const baseYear = Math.round(Number(b.base_year ?? defaultBaseYear));
+  return {
+    mode,
+    base_year: Number.isFinite(baseYear) ? baseYear : null,
+    production_cagr_pct: Number(b.production_cagr_pct || 0),
+    intensity_drift_pct: Number(b.intensity_drift_pct || 0),
+    series: b.series && typeof b.series === "object" ? b.series : {},
+  };
+}
+
+/* Sorted [year, tCO₂] points of an explicit series (blank or non-numeric entries skipped) */
+export function seriesPoints(series) {
+  return Object.entries(series || {})
+    .filter(([y, v]) => Number.isFinite(Number(y)) && v !== "" && v != null && Number.isFinite(Number(v)))
+    .map(([y, v]) => [Number(y), Number(v)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+function seriesAt(pts, y) {
+  if (y <= pts[0][0]) return pts[0][1];
+  const k = pts.findIndex(([py]) => py >= y);
+  if (k === -1) return pts[pts.length - 1][1];
+  const [y0, v0] = pts[k - 1], [y1, v1] = pts[k];
+  return v0 + ((v1 - v0) * (y - y0)) / (y1 - y0);
+}
+
+/**
+ * Projected production and emissions of one sector baseline in a year (`year == null` → the static values).
+ * @returns { production, emissions, intensity }
+ */
+export function bauAt(baseline, year, defaultBaseYear) {
+  const P0 = Number(baseline?.annual_production || 0);
+  const E0 = Number(baseline?.annual_emissions || 0);
+  const I0 = P0 > 0 ? E0 / P0 : 0;
+  const bau = normalizeBau(baseline?.bau, defaultBaseYear);
+  const flat = { production: P0, emissions: E0, intensity: I0 };
+  if (year == null || bau.mode === "static") return flat;
+
+  if (bau.mode === "series") {
+    const pts = seriesPoints(bau.series);
+    if (!pts.length) return flat;
+    const E = Math.max(0, seriesAt(pts, Number(year)));
+    return { production: I0 > 0 ? E / I0 : P0, emissions: E, intensity: I0 };
+  }
+
+  const t = bau.base_year == null ? 0 : Math.max(0, Number(year) - bau.base_year);
+  const P = P0 * Math.pow(1 + bau.production_cagr_pct / 100, t);
+  const I = I0 * Math.pow(1 + bau.intensity_drift_pct / 100, t);
+  // Without production the drift applies to emissions directly
+  return P0 > 0 ? { production: P, emissions: P * I, intensity: I } : { production: 0, emissions: E0 * Math.pow(1 + bau.intensity_drift_pct / 100, t), intensity: 0 };
+}
+
+/* Σ BAU emissions of the calendar years in [start, end]; discounted at r from `start` when `discount` is set */
+export function bauHorizonEmissions(emissionsAt, start, end, r, discount) {
+  let total = 0;
+  for (let y = Number(start); y <= Number(end); y++) {
+    total += Number(emissionsAt(y) || 0) * (discount ? 1 / Math.pow(1 + Number(r || 0), y - start) : 1);
+  }
+  return total;
+}
+
+/**
+ * Stabilisation wedges: each year's BAU emissions split into what is left and each measure's reduction.
+ * Measures keep the order they first appear in (MACC order of the earliest year they abate in).
+ * @param yearly [{ year, bau_t, rows }] — `rows` are that year's MACC rows (`id`, `name`, `abatement_tco2`)
+ * @returns { measures: [{ key, id, name }], data: [{ year, bau_t, residual_t, abated_t, [key]: tCO₂ }] }
+ */
+export function wedgeSeries(yearly) {
+  const measures = [], keyOf = new Map();
+  const data = (yearly || []).map(({ year, bau_t, rows }) => {
+    const point = { year, bau_t: Number(bau_t || 0) };
+    let abated = 0;
+    (rows || []).forEach(m => {
+      const t = Math.max(0, Number(m.abatement_tco2 || 0));
+      if (!(t > 0)) return;
+      if (!keyOf.has(m.id)) {
+        keyOf.set(m.id, `w${measures.length}`);
+        measures.push({ key: keyOf.get(m.id), id: m.id, name: m.name });
+      }
+      point[keyOf.get(m.id)] = t;
+      abated += t;
+    });
+    point.abated_t = abated;
+    point.residual_t = Math.max(0, point.bau_t - abated);
+    return point;
+  });
+  // Missing years are 0 so every wedge stacks over the whole axis
+  data.forEach(p => measures.forEach(({ key }) => { if (p[key] == null) p[key] = 0; }));
+  return { measures, data };
+}
@@ -0,0 +1,57 @@
+/* CCTS compliance — notified GEI targets vs. what the MACC can deliver
+   - Targets live on the baseline: baselines[sector].gei_targets = { "2026": 0.95, ... } (tCO₂e per unit of output)
+   - The firm's own sector row carries firm targets; the other rows carry sector trajectories
+   - One credit = one tCO₂e below (target intensity × production)
+   - Production and emissions of a target year can come from the BAU projection (maccBaseline.js)
+*/
+
+export function geiTargetYears(baseline) {
+  return Object.entries(baseline?.gei_targets || {})
+    .filter(([y, v]) => Number.isFinite(Number(y)) && v !== "" && v != null && Number.isFinite(Number(v)))
+    .map(([y]) => Number(y))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Per compliance year: intensity gap, MACC abatement, and credits earned (+) or to buy (−).
+ * @param baseline       { annual_production, annual_emissions, gei_targets }
+ * @param curveAt        (year) => MACC rows for that year (`abatement_tco2`, `effective_cost`)
+ * @param carbonPriceAt  (year) => ₹/tCO₂ used to value credits
+ * @param projectAt      optional (year) => { production, emissions } — the BAU baseline of that year (default: static)
+ * @returns [{ year, target_gei, baseline_gei, achieved_gei, gap_gei, required_t, abatement_t,
+ *             credits_t, carbon_price, credit_value, measure_cost, net_cost }]
+ */
+export function complianceByYear(baseline, curveAt, carbonPriceAt, projectAt) {
+  if (!(Number(baseline?.annual_production || 0) > 0)) return [];
+
+  return geiTargetYears(baseline).map(year => {
+    const bau = projectAt ? projectAt(year) : null;
+    const P = Number(bau?.production ?? baseline.annual_production ?? 0);
+    const E = Number(bau?.emissions ?? baseline.annual_emissions ?? 0);
+    const baseline_gei = P > 0 ? E / P : 0;
+    const target_gei = Number(baseline.gei_targets[year] ?? baseline.gei_targets[String(year)]);
+    const cp = Number(carbonPriceAt(year) || 0);
+    const rows = curveAt(year) || [];
+    const abatement_t = rows.reduce((s, m) => s + Math.max(0, Number(m.abatement_tco2 || 0)), 0);
+    // effective_cost is net of the carbon price; add it back so credits are not counted twice
+    const measure_cost = rows.reduce((s, m) => s + Math.max(0, Number(m.abatement_tco2 || 0)) * (Number(m.effective_cost || 0) + cp), 0);
+
+    const achieved_gei = P > 0 ? (E - abatement_t) / P : 0;
+    const credits_t = (target_gei - achieved_gei) * P;
+    const credit_value = credits_t * cp;
+    return {
+      year,
+      target_gei,
+      baseline_gei,
+      achieved_gei,
+      gap_gei: achieved_gei - target_gei,
+      required_t: Math.max(0, E - target_gei * P),
+      abatement_t,
+      credits_t,
+      carbon_price: cp,
+      credit_value,
+      measure_cost,
+      net_cost: measure_cost - credit_value,
+    };
+  });
+}
@@ -0,0 +1,80 @@
+/* CSV import/export
+   - `details` (template measures) travels as a JSON string in its own column
+   - The header is the union of every row's keys, in order of first appearance, so optional columns
+     set only on later rows (acts_on, exclusive_group, requires, capex_cr) are not dropped
+*/
+
+import { parseKeyList } from "./maccCurve.js";
+
+export function csvToJson(text) {
+  const clean = (text || "").replace(/^\uFEFF/, "");
+  const lines = clean.split(/\r?\n/).filter((ln) => ln.trim().length > 0);
+  if (lines.length === 0) return [];
+  const parseLine = (line) => {
+    const result = []; let cur = ""; let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
+        else { inQuotes = !inQuotes; }
+      } else if (ch === ',' && !inQuotes) { result.push(cur); cur = ""; }
+      else { cur += ch; }
+    }
+    result.push(cur);
+    return result.map((s) => s.trim());
+  };
+  const headers = parseLine(lines.shift());
+  return lines.map((line) => {
+    const cells = parseLine(line); const obj = {};
+    headers.forEach((h, i) => obj[h] = cells[i] !== undefined ? cells[i] : "");
+    if (obj.details) {
+      try { obj.details = JSON.parse(obj.details); } catch (e) { console.error("Failed to parse details JSON:", e); }
+    }
+    return obj;
+  });
+}
+
+export function jsonToCsv(arr) {
+  if (!arr || arr.length === 0) return "";
+  const processedArr = arr.map(row => {
+    const newRow = { ...row };
+    if (newRow.details) newRow.details = JSON.stringify(newRow.details);
+    return newRow;
+  });
+  const headers = [];
+  const seen = new Set();
+  processedArr.forEach(row => Object.keys(row).forEach(h => { if (!seen.has(h)) { seen.add(h); headers.push(h); } }));
+  const esc = (v) => {
+    if (v === null || v === undefined) return "";
+    const s = String(v);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const headerLine = headers.map(esc).join(",");
+  const body = processedArr.map((row) => headers.map((h) => esc(row[h])).join(",")).join("\n");
+  return headerLine + "\n" + body;
+}
+
+/* Measures as exported to macc_measures.csv (ids are reassigned on import) */
+export function measuresToCsv(measures) {
+  return jsonToCsv((measures || []).map(({ id, ...rest }) => rest));
+}
+
+/**
+ * Measures from parsed CSV rows, numbered from `baseId`.
+ * Accepts the legacy column names (Measure, abatement, cost, …); blank `capex_cr` leaves the key off.
+ */
+export function measuresFromCsvRows(rows, baseId = 1) {
+  return (rows || []).map((r, i) => ({
+    id: baseId + i,
+    name: r.name || r.Measure || r.intervention || `Row ${i + 1}`,
+    sector: r.sector || r.Sector || "Power",
+    abatement_tco2: Number(r.abatement_tco2 || r.abatement || r.Abatement || 0),
+    cost_per_tco2: Number(r.cost_per_tco2 || r.cost || r.Cost || 0),
+    selected: String(r.selected ?? "true").toLowerCase() !== "false",
+    acts_on: parseKeyList(r.acts_on),
+    exclusive_group: r.exclusive_group || "",
+    requires: r.requires || "",
+    ...(r.capex_cr !== undefined && r.capex_cr !== "" ? { capex_cr: Number(r.capex_cr) || 0 } : {}),
+    details: r.details,
+  }));
+}
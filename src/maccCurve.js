@@ -0,0 +1,291 @@
+/* MACC curve builders — pure functions over cost‑sorted measure rows
+   - Rows are measures already evaluated for the chosen year/basis, with `effective_cost`
+   - Each builder returns new rows; the input array is never mutated
+*/
+
+import { isTemplateMeasure, carbonPriceAt, representativeYear, savedCarbonPrice, measureCapexCr } from "./maccEngine.js";
+
+/* ---------------- Cost ordering ---------------- */
+
+/**
+ * ₹/tCO₂ after the current carbon price; a cost saved with a price baked in only moves by the change since.
+ * Prices are read for the row's year (`cp_year` from the evaluation year, else the representative year);
+ * levelised rows bring their own `cp_now` / `cp_at_save`.
+ * @param carbonPrice flat ₹/tCO₂ or a { year: price } path
+ */
+export function effectiveCost(m, carbonPrice) {
+  const baseCost = Number(m?.cost_per_tco2 || 0);
+  const year = m?.cp_year ?? representativeYear(m);
+  const cpNow = m?.cp_now ?? carbonPriceAt(carbonPrice, year);
+  const savedIncludesCP = Boolean(m?.details?.saved_cost_includes_carbon_price);
+  const cpAtSave = m?.cp_at_save ?? savedCarbonPrice(m?.details, year);
+  return savedIncludesCP ? (baseCost - (cpNow - cpAtSave)) : (baseCost - cpNow);
+}
+
+export function sortByEffectiveCost(rows, carbonPrice) {
+  return (rows || [])
+    .map(m => ({ ...m, effective_cost: effectiveCost(m, carbonPrice) }))
+    .sort((a, b) => (a.effective_cost || 0) - (b.effective_cost || 0));
+}
+
+/**
+ * Carbon price at which a row's effective cost crosses zero — its cost before any carbon price
+ * (a cost saved with a price baked in gets that price added back).
+ */
+export function switchingPrice(m) {
+  const baseCost = Number(m?.cost_per_tco2 || 0);
+  if (!m?.details?.saved_cost_includes_carbon_price) return baseCost;
+  const year = m?.cp_year ?? representativeYear(m);
+  return baseCost + (m?.cp_at_save ?? savedCarbonPrice(m.details, year));
+}
+
+/**
+ * Cost-effective abatement as a flat carbon price rises from 0 to `maxPrice`.
+ * A row counts once its switching price is at or below the price.
+ * @returns [{ price, abatement_t, measures }]
+ */
+export function carbonPriceSweep(rows, maxPrice, steps = 50) {
+  const list = (rows || [])
+    .map(m => ({ A: Math.max(0, Number(m.abatement_tco2 || 0)), s: switchingPrice(m) }))
+    .filter(x => x.A > 0 && Number.isFinite(x.s));
+  const top = Math.max(0, Number(maxPrice) || 0);
+  const n = Math.max(1, Math.round(steps));
+  return Array.from({ length: n + 1 }, (_, k) => {
+    const price = (top * k) / n;
+    const on = list.filter(x => x.s <= price);
+    return { price, abatement_t: on.reduce((s, x) => s + x.A, 0), measures: on.length };
+  });
+}
+
+/* ---------------- Abatement supply (inverse MACC) ---------------- */
+
+/**
+ * Cumulative abatement against ₹/tCO₂ — the MACC read sideways. A row is supplied once the price
+ * reaches its `effective_cost`; every row is a vertical jump of its tonnes.
+ * @returns [{ price, abatement_t }] step outline from the cheapest to the dearest row
+ */
+export function supplyCurve(rows) {
+  const list = (rows || [])
+    .filter(m => Number(m.abatement_tco2 || 0) > 0 && Number.isFinite(Number(m.effective_cost)))
+    .sort((a, b) => Number(a.effective_cost) - Number(b.effective_cost));
+  const pts = [];
+  let cum = 0;
+  list.forEach(m => {
+    const c = Number(m.effective_cost);
+    pts.push({ price: c, abatement_t: cum, name: m.name });
+    cum += Number(m.abatement_tco2);
+    pts.push({ price: c, abatement_t: cum, name: m.name });
+  });
+  return pts;
+}
+
+/* Tonnes (and measures) available at or below a price */
+export function abatementAtPrice(rows, price) {
+  const on = (rows || []).filter(m => Number(m.abatement_tco2 || 0) > 0 && Number(m.effective_cost) <= Number(price));
+  return { abatement_t: on.reduce((s, m) => s + Number(m.abatement_tco2), 0), measures: on.map(m => m.name) };
+}
+
+/* ---------------- Interactions (shared emission pools) ---------------- */
+
+const DRIVER_GROUPS = [
+  ["fuel", "fuel_lines", "name", "delta"],
+  ["raw", "raw_lines", "name", "delta"],
+  ["transport", "transport_lines", "name", "delta"],
+  ["waste", "waste_lines", "name", "delta"],
+  ["electricity", "electricity_lines", "state", "deltaMWh"],
+];
+
+/* Catalog items a template measure cuts (any negative Δ), as "group:item" pool keys */
+export function driverKeys(m) {
+  if (!isTemplateMeasure(m)) return [];
+  const drivers = m.details.drivers || {};
+  const keys = [];
+  DRIVER_GROUPS.forEach(([group, linesKey, nameKey, seriesKey]) => {
+    (drivers[linesKey] || []).forEach(ln => {
+      const cuts = (ln[seriesKey] || []).some(v => Number(v) < 0);
+      if (cuts && ln[nameKey]) keys.push(`${group}:${ln[nameKey]}`);
+    });
+  });
+  return Array.from(new Set(keys));
+}
+
+export function parseKeyList(v) {
+  if (Array.isArray(v)) return v.map(x => String(x).trim()).filter(Boolean);
+  return String(v ?? "").split(/[;,]/).map(x => x.trim()).filter(Boolean);
+}
+
+/* Pools a measure acts on: declared `acts_on` plus the catalog items its drivers cut */
+export const poolKeysFor = (m) => Array.from(new Set([...parseKeyList(m?.acts_on), ...driverKeys(m)]));
+
+/**
+ * Apply measures in cost order against shared emission pools.
+ * A measure's standalone abatement is split evenly over the pools it acts on; in each pool it
+ * realises share × (remaining / pool size), capped at what is left, and that amount is used up.
+ * Measures with no matching pool keep their abatement.
+ * @param rows  cost‑sorted rows
+ * @param pools [{ key, label, emissions_t }] (tCO₂/yr)
+ * @param scale multiplier on pool sizes (e.g. horizon weight in levelised mode)
+ */
+export function applyInteractions(rows, pools, scale = 1) {
+  const size = new Map(), left = new Map();
+  (pools || []).forEach(p => {
+    const e = Number(p?.emissions_t || 0) * scale;
+    if (p?.key && e > 0) { size.set(p.key, e); left.set(p.key, e); }
+  });
+  return (rows || []).map(m => {
+    const A = Math.max(0, Number(m.abatement_tco2 || 0));
+    const keys = poolKeysFor(m).filter(k => size.has(k));
+    if (!keys.length || A <= 0) return m;
+    const share = A / keys.length;
+    let realised = 0;
+    keys.forEach(k => {
+      const rem = left.get(k);
+      const take = Math.min(rem, share * (rem / size.get(k)));
+      left.set(k, rem - take);
+      realised += take;
+    });
+    return { ...m, abatement_tco2: realised, standalone_abatement_tco2: A, interaction_factor: realised / A, pools_used: keys };
+  });
+}
+
+/* ---------------- Exclusive groups & prerequisites ---------------- */
+
+/**
+ * Keep only the cheapest member of each `exclusive_group` and let a measure with `requires`
+ * (name of another measure) enter only once its prerequisite is on the curve.
+ * Rows must already be cost-sorted; dependants keep cost order among themselves but are
+ * moved to just after their prerequisite when they are cheaper than it.
+ * @returns { rows, dropped: [{ id, name, reason }] }
+ */
+export function applyConstraints(rows) {
+  const dropped = [];
+  let live = [...(rows || [])];
+  const requiresOf = (m) => String(m?.requires ?? "").trim();
+
+  // Iterate until stable: dropping a prerequisite can drop its dependants, which can free a group slot
+  for (let pass = 0; pass < live.length + 1; pass++) {
+    const names = new Set(live.map(m => m.name));
+    const missing = live.filter(m => requiresOf(m) && !names.has(requiresOf(m)));
+    missing.forEach(m => dropped.push({ id: m.id, name: m.name, reason: `needs “${requiresOf(m)}”, which is not on the curve` }));
+
+    const kept = new Map();
+    const excl = [];
+    live.filter(m => !missing.includes(m)).forEach(m => {
+      const g = String(m.exclusive_group ?? "").trim();
+      if (!g) return;
+      if (!kept.has(g)) kept.set(g, m);
+      else excl.push(m);
+    });
+    excl.forEach(m => dropped.push({ id: m.id, name: m.name, reason: `alternative in group “${m.exclusive_group}”; kept “${kept.get(String(m.exclusive_group).trim()).name}”` }));
+
+    if (!missing.length && !excl.length) break;
+    live = live.filter(m => !missing.includes(m) && !excl.includes(m));
+  }
+
+  // Order: a dependant waits until its prerequisite has been placed
+  const placed = new Set(), out = [];
+  let pending = [];
+  const flush = () => {
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const m of pending) {
+        if (placed.has(requiresOf(m))) {
+          out.push(m); placed.add(m.name);
+          pending = pending.filter(x => x !== m);
+          moved = true;
+          break;
+        }
+      }
+    }
+  };
+  live.forEach(m => {
+    if (requiresOf(m) && !placed.has(requiresOf(m))) { pending.push(m); return; }
+    out.push(m); placed.add(m.name);
+    flush();
+  });
+  pending.forEach(m => dropped.push({ id: m.id, name: m.name, reason: `circular prerequisite via “${requiresOf(m)}”` }));
+
+  return { rows: out, dropped };
+}
+
+/* ---------------- Full curve ---------------- */
+
+/* Cost-sorted rows → constraints → (optional) interactions, as drawn on the MACC */
+export function buildCurve(sortedRows, { pools = [], interactions = false, scale = 1 } = {}) {
+  const { rows, dropped } = applyConstraints((sortedRows || []).filter(m => Number(m.abatement_tco2 || 0) > 0));
+  return { rows: interactions ? applyInteractions(rows, pools, scale) : rows, dropped };
+}
+
+/* ---------------- Budget to target ---------------- */
+
+/**
+ * Greedy walk down the curve: take measures (the last one in part) until `targetT` tCO₂ is reached.
+ * `marginalCost` is the ₹/tCO₂ of the last measure taken — the step curve's marginal cost at the target;
+ * `negativeT` is the part of `reachedT` that comes from negative-cost measures.
+ */
+export function greedyToTarget(curveRows, targetT) {
+  const target = Math.max(0, Number(targetT) || 0);
+  let reachedT = 0, budget = 0, negativeT = 0, marginalCost = null, lastName = null;
+  for (const m of curveRows || []) {
+    if (reachedT >= target) break;
+    const take = Math.min(target - reachedT, Math.max(0, Number(m.abatement_tco2 || 0)));
+    if (!(take > 0)) continue;
+    const c = Number(m.effective_cost || 0);
+    budget += take * c;
+    reachedT += take;
+    if (c < 0) negativeT += take;
+    marginalCost = c; lastName = m.name;
+  }
+  return { reachedT, budget, negativeT, marginalCost, lastName };
+}
+
+/**
+ * Reverse of the target walk: the most tCO₂ a spend of `budgetInr` buys (the budget-limited measure in part).
+ * Rows are taken in curve order, so negative-cost measures come first and their savings add headroom;
+ * for divisible measures this is the abatement-maximising set. A row the remaining budget cannot pay for
+ * is skipped, not the end of the walk: a negative-cost dependant placed after its prerequisite still counts.
+ * `marginalCost`/`lastName` are those of the last positive-cost row taken (else the last row taken).
+ * @returns { reachedT, spend, marginalCost, lastName }
+ */
+export function greedyWithinBudget(curveRows, budgetInr) {
+  const budget = Number(budgetInr) || 0;
+  let reachedT = 0, spend = 0, marginalCost = null, lastName = null;
+  for (const m of curveRows || []) {
+    const A = Math.max(0, Number(m.abatement_tco2 || 0));
+    const c = Number(m.effective_cost || 0);
+    if (!(A > 0)) continue;
+    const take = c <= 0 ? A : Math.min(A, Math.max(0, (budget - spend) / c));
+    if (!(take > 0)) continue;
+    spend = take < A ? budget : spend + take * c; // a part take spends exactly what was left
+    reachedT += take;
+    if (c > 0 || !(marginalCost > 0)) { marginalCost = c; lastName = m.name; }
+  }
+  return { reachedT, spend, marginalCost, lastName };
+}
+
+/* ---------------- Capex screening ---------------- */
+
+/**
+ * Cumulative upfront investment along the curve (MACC order).
+ * A row is `within` the ceiling while the cumulative capex up to and including it stays at or below `ceilingCr`
+ * (no ceiling → every row is within).
+ * @returns [{ id, name, abatement_t, effective_cost, capex_cr, cum_abatement_t, cum_capex_cr, within }]
+ */
+export function capexCurve(curveRows, ceilingCr) {
+  const ceiling = ceilingCr === "" || ceilingCr == null ? null : Number(ceilingCr);
+  let cumT = 0, cumCr = 0;
+  return (curveRows || [])
+    .filter(m => Number(m.abatement_tco2 || 0) > 0)
+    .map(m => {
+      const capex = measureCapexCr(m);
+      cumT += Number(m.abatement_tco2);
+      cumCr += capex;
+      return {
+        id: m.id, name: m.name,
+        abatement_t: Number(m.abatement_tco2), effective_cost: Number(m.effective_cost || 0),
+        capex_cr: capex, cum_abatement_t: cumT, cum_capex_cr: cumCr,
+        within: ceiling == null || !Number.isFinite(ceiling) || cumCr <= ceiling + 1e-9,
+      };
+    });
+}
@@ -0,0 +1,570 @@
+/* MACC engine — pure per‑measure calculations (no React, no DOM)
+   - Shared by the Measure Wizard, the Measures table and the CLI (src/macc_cli.js)
+   - Implements the README "Methodology (Formulas)" section
+   - Catalog rows are read through the same tolerant getters the wizard uses
+*/
+
+export const DEFAULT_YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
+export const INR_PER_CR = 10_000_000;
+
+/* ---------------- Catalog getters ---------------- */
+export const getUnitPrice = (row) => (row?.price ?? row?.price_per_unit_inr ?? 0);
+export const getEFperUnit = (row) => (row?.ef_tco2_per_unit ?? row?.ef_t_per_unit ?? 0);
+export const getElecPricePerMWh = (row) => (row?.price_per_mwh ?? row?.price_per_mwh_inr ?? 500);
+export const getElecEFperMWh = (row) => (row?.ef_tco2_per_mwh ?? 0.710);
+
+// Catalog field helpers (tolerant)
+export function normalizeFRTW(row) { // Fuels/Raw/Transport/Waste
+  return {
+    name: row.name ?? row.fuel ?? row.material ?? row.transport ?? row.item ?? "",
+    unit: row.unit ?? "",
+    price_per_unit_inr: Number(row.price_per_unit_inr ?? row.price_per_unit ?? row.price ?? 0),
+    ef_tco2_per_unit: Number(row.ef_tco2_per_unit ?? row.ef_t_per_unit ?? row.ef_t ?? 0),
+  };
+}
+export function normalizeElec(row) {
+  return {
+    state: row.state ?? row.region ?? row.grid ?? "",
+    price_per_mwh_inr: Number(row.price_per_mwh_inr ?? row.price_per_mwh ?? row.price ?? 0),
+    ef_tco2_per_mwh: Number(row.ef_tco2_per_mwh ?? row.ef_t_per_mwh ?? row.ef_t ?? 0.710),
+  };
+}
+
+/* Resolve catalogs for a data source mode: sample | custom | merged (custom overrides by name/state) */
+function mergedBy(arrA, arrB, keyName) {
+  const map = new Map();
+  (arrA || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); });
+  (arrB || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); }); // custom overrides
+  return Array.from(map.values());
+}
+export function resolveCatalogs(sample, custom, mode) {
+  const s = sample || {}, c = custom || {};
+  if (mode === "sample") {
+    return { fuels: s.fuels || [], raw: s.raw || [], transport: s.transport || [], waste: s.waste || [], electricity: s.electricity || [] };
+  } else if (mode === "custom") {
+    return { fuels: c.fuels || [], raw: c.raw || [], transport: c.transport || [], waste: c.waste || [], electricity: c.electricity || [] };
+  }
+  return {
+    fuels: mergedBy(s.fuels, c.fuels, "name"),
+    raw: mergedBy(s.raw, c.raw, "name"),
+    transport: mergedBy(s.transport, c.transport, "name"),
+    waste: mergedBy(s.waste, c.waste, "name"),
+    electricity: mergedBy(s.electricity, c.electricity, "state"),
+  };
+}
+
+/* ---------------- Horizon & year grids ---------------- */
+
+export const DEFAULT_HORIZON = { start: 2025, end: 2050, step: 5 };
+
+export function normalizeHorizon(h) {
+  const start = Math.round(Number(h?.start ?? DEFAULT_HORIZON.start)) || DEFAULT_HORIZON.start;
+  // Span capped at a century so a half-typed start year cannot explode the grid
+  const end = Math.min(start + 100, Math.max(start, Math.round(Number(h?.end ?? DEFAULT_HORIZON.end)) || DEFAULT_HORIZON.end));
+  const step = Math.max(1, Math.round(Number(h?.step ?? DEFAULT_HORIZON.step)) || 1);
+  return { start, end, step };
+}
+
+/* Year grid for a horizon; the end year is always included */
+export function buildYears(h) {
+  const { start, end, step } = normalizeHorizon(h);
+  const out = [];
+  for (let y = start; y <= end; y += step) out.push(y);
+  if (out[out.length - 1] !== end) out.push(end);
+  return out;
+}
+
+/* ---------------- Carbon price path ---------------- */
+
+/* Presets escalate the firm's base price yearly from the horizon start (real %/yr) */
+export const CARBON_PRICE_PRESETS = {
+  low: { label: "Low", escalation_pct: 2 },
+  central: { label: "Central", escalation_pct: 5 },
+  high: { label: "High", escalation_pct: 10 },
+};
+
+/* Per-firm setting: `points` is only used when `enabled` */
+export const DEFAULT_CARBON_PRICE_PATH = { enabled: false, escalation_pct: 5, points: {} };
+
+export function normalizeCarbonPricePath(p) {
+  return {
+    enabled: !!p?.enabled,
+    escalation_pct: Number(p?.escalation_pct ?? DEFAULT_CARBON_PRICE_PATH.escalation_pct) || 0,
+    points: p?.points && typeof p.points === "object" ? { ...p.points } : {},
+  };
+}
+
+/* What the engine takes: the path when it is on and has points, else the flat price */
+export function carbonPriceSchedule(flatPrice, path) {
+  const pts = path?.enabled ? path.points || {} : {};
+  return Object.keys(pts).length ? pts : Number(flatPrice || 0);
+}
+
+/* { year: price } on a year grid, compounding `escalationPct` a year from `basePrice` in the first year */
+export function escalatedPath(basePrice, escalationPct, years) {
+  const g = Number(escalationPct || 0) / 100;
+  const y0 = Number(years?.[0] ?? 0);
+  const out = {};
+  (years || []).forEach(y => { out[y] = Math.round(Number(basePrice || 0) * Math.pow(1 + g, Number(y) - y0) * 100) / 100; });
+  return out;
+}
+
+/**
+ * Carbon price for a year from a flat price (number) or a path ({ year: price }).
+ * Paths are linear between listed years and flat beyond the ends; `year == null` reads the first year.
+ */
+export function carbonPriceAt(cp, year) {
+  if (cp == null || typeof cp !== "object") return Number(cp || 0);
+  const pts = Object.entries(cp)
+    .map(([y, v]) => [Number(y), Number(v)])
+    .filter(([y, v]) => Number.isFinite(y) && Number.isFinite(v))
+    .sort((a, b) => a[0] - b[0]);
+  if (!pts.length) return 0;
+  const y = year == null ? pts[0][0] : Number(year);
+  if (y <= pts[0][0]) return pts[0][1];
+  if (y >= pts[pts.length - 1][0]) return pts[pts.length - 1][1];
+  const k = pts.findIndex(p => p[0] >= y);
+  const [y0, v0] = pts[k - 1], [y1, v1] = pts[k];
+  return v0 + (v1 - v0) * (y - y0) / (y1 - y0);
+}
+
+const isBlank = (v) => v === "" || v == null || !Number.isFinite(Number(v));
+
+/**
+ * Re-grid a per-year series by year (linear between known points, flat beyond the ends).
+ * Blank cells are treated as missing; an all-blank series stays blank.
+ */
+export function resampleSeries(series, fromYears, toYears) {
+  const pts = (fromYears || []).map((y, i) => [Number(y), series?.[i]]).filter(([, v]) => !isBlank(v)).map(([y, v]) => [y, Number(v)]);
+  if (!pts.length) return toYears.map(() => (Array.isArray(series) && series.some(v => v === "") ? "" : 0));
+  return toYears.map((y) => {
+    if (y <= pts[0][0]) return pts[0][1];
+    if (y >= pts[pts.length - 1][0]) return pts[pts.length - 1][1];
+    const k = pts.findIndex(([py]) => py >= y);
+    const [y0, v0] = pts[k - 1], [y1, v1] = pts[k];
+    return v0 + (v1 - v0) * (y - y0) / (y1 - y0);
+  });
+}
+
+/* One-off amounts (e.g. capex) are moved, not interpolated: each lands in the last target year ≤ its own year */
+export function regridOneOff(series, fromYears, toYears) {
+  const out = toYears.map(() => 0);
+  (fromYears || []).forEach((y, i) => {
+    const v = Number(series?.[i] || 0);
+    if (!v) return;
+    let k = 0;
+    for (let j = 0; j < toYears.length; j++) if (toYears[j] <= y) k = j;
+    out[k] += v;
+  });
+  return out;
+}
+
+const ONE_OFF_STACK_KEYS = ["capex_upfront_cr", "capex_financed_cr"];
+
+/* Move a saved template `details` onto another year grid */
+export function resampleDetails(details, toYears) {
+  const d = details || {};
+  const from = Array.isArray(d.years) && d.years.length ? d.years : DEFAULT_YEARS;
+  const rs = (arr) => resampleSeries(arr || [], from, toYears);
+  const drivers = d.drivers || {};
+  const lines = (arr) => (arr || []).map(ln => ({ ...ln, delta: rs(ln.delta) }));
+  const stack = {};
+  Object.entries(d.stack || {}).forEach(([k, arr]) => {
+    stack[k] = ONE_OFF_STACK_KEYS.includes(k) ? regridOneOff(arr, from, toYears) : rs(arr);
+  });
+  return {
+    ...d,
+    years: [...toYears],
+    adoption: rs(d.adoption),
+    drivers: {
+      ...drivers,
+      fuel_lines: lines(drivers.fuel_lines),
+      raw_lines: lines(drivers.raw_lines),
+      transport_lines: lines(drivers.transport_lines),
+      waste_lines: lines(drivers.waste_lines),
+      electricity_lines: (drivers.electricity_lines || []).map(ln => ({ ...ln, deltaMWh: rs(ln.deltaMWh), efOvPerYear: rs(ln.efOvPerYear) })),
+      other_direct_t: rs(drivers.other_direct_t),
+    },
+    stack,
+  };
+}
+
+/* ---------------- Series & finance ---------------- */
+
+/* Interpolation across year columns */
+export function interpolateSeries(series) {
+  const s = [...series];
+  let lastIdx = null;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "" || s[i] == null || !Number.isFinite(Number(s[i]))) continue;
+    if (lastIdx === null) { lastIdx = i; continue; }
+    const dv = (Number(s[i]) - Number(s[lastIdx])) / (i - lastIdx);
+    for (let k = lastIdx + 1; k < i; k++) s[k] = Number(s[lastIdx]) + dv * (k - lastIdx);
+    lastIdx = i;
+  }
+  return s;
+}
+
+export function annuityFactor(r, n) {
+  const R = Number(r), N = Number(n);
+  if (!Number.isFinite(R) || !Number.isFinite(N) || N <= 0) return 0;
+  if (Math.abs(R) < 1e-9) return 1 / N;
+  return (R * Math.pow(1 + R, N)) / (Math.pow(1 + R, N) - 1);
+}
+
+/* NPV & IRR */
+export function npv(rate, amounts, years, baseYear) {
+  const r = Number(rate);
+  return amounts.reduce((acc, amt, i) => acc + (Number(amt) / Math.pow(1 + r, Math.max(0, years[i] - baseYear))), 0);
+}
+export function irr(amounts, years, baseYear, guessLow = -0.9, guessHigh = 3.0, tol = 1e-6, maxIter = 100) {
+  const f = (r) => npv(r, amounts, years, baseYear);
+  let lo = guessLow, hi = guessHigh;
+  let fLo = f(lo), fHi = f(hi);
+  if (Number.isNaN(fLo) || Number.isNaN(fHi)) return null;
+  if (fLo * fHi > 0) return null;
+  for (let it = 0; it < maxIter; it++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (Math.abs(fMid) < tol) return mid;
+    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+/* ---------------- Measure calculation ---------------- */
+
+// Signed tCO₂ and ₹ cr for one fuel/raw/transport/waste line in year i
+function lineFlow(ln, catalog, a, i, yearsSinceBase) {
+  const base = (catalog || []).find(x => x.name === ln.name);
+  const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
+  const effPrice = basePrice * Math.pow(1 + Number(ln.priceEscPctYr || 0) / 100, yearsSinceBase);
+  const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
+  const effEf = baseEf * Math.pow(1 + Number(ln.efEscPctYr || 0) / 100, yearsSinceBase);
+  const qty = a * Number(ln.delta?.[i] || 0);
+  return { t: qty * effEf, cr: (qty * effPrice) / INR_PER_CR };
+}
+
+function elecFlow(ln, catalog, a, i, yearsSinceBase) {
+  const base = (catalog || []).find(x => x.state === ln.state) || (catalog || [])[0];
+  const basePrice = (ln.priceOv ?? getElecPricePerMWh(base) ?? 0);
+  const effPrice = basePrice * Math.pow(1 + Number(ln.priceEscPctYr || 0) / 100, yearsSinceBase);
+  const ov = ln.efOvPerYear?.[i];
+  const hasPerYearOv = ov !== "" && ov != null;
+  const baseEf = (ln.efOv ?? getElecEFperMWh(base) ?? 0);
+  const effEf = hasPerYearOv ? Number(ov) : baseEf * Math.pow(1 + Number(ln.efEscPctYr || 0) / 100, yearsSinceBase);
+  const mwh = a * Number(ln.deltaMWh?.[i] || 0);
+  return { t: mwh * effEf, cr: (mwh * effPrice) / INR_PER_CR };
+}
+
+/* First year with reduction > 0; else 2035; else the midpoint */
+export function representativeIndex(perYear, years) {
+  const idx = perYear.findIndex(y => y.reduction_t > 0);
+  if (idx >= 0) return idx;
+  return years.indexOf(2035) >= 0 ? years.indexOf(2035) : Math.floor(years.length / 2);
+}
+
+/**
+ * Per‑year abatement, cost and cash flows for a template measure.
+ * @param details   saved `details` of a template measure (years, meta, adoption, drivers, stack)
+ * @param catalogs  resolved catalogs { fuels, raw, transport, waste, electricity }
+ * @param carbonPrice ₹/tCO₂ used for the "with CP" figures: a flat number or a { year: price } path
+ * @returns { YEARS, BASE_YEAR, perYear, repIdx, rep, finance }
+ */
+export function computeMeasure(details, catalogs, carbonPrice) {
+  const d = details || {};
+  const YEARS = Array.isArray(d.years) && d.years.length ? d.years.map(Number) : DEFAULT_YEARS;
+  const BASE_YEAR = YEARS[0];
+  const cat = catalogs || {};
+  const meta = d.meta || {};
+  const adoption = d.adoption || [];
+  const drivers = d.drivers || {};
+  const otherDirectT = drivers.other_direct_t || [];
+  const stack = d.stack || {};
+  const col = (key, i) => Number(stack[key]?.[i] || 0);
+
+  const perYear = YEARS.map((year, i) => {
+    const a = Math.max(0, Math.min(1, Number(adoption[i] || 0)));
+    const yearsSinceBase = Math.max(0, year - BASE_YEAR);
+    const cp = carbonPriceAt(carbonPrice, year);
+
+    let fuel_t = 0, raw_t = 0, trans_t = 0, waste_t = 0, elec_t = 0;
+    let driver_cr = 0;
+
+    for (const ln of drivers.fuel_lines || []) { const f = lineFlow(ln, cat.fuels, a, i, yearsSinceBase); fuel_t += f.t; driver_cr += f.cr; }
+    for (const ln of drivers.raw_lines || []) { const f = lineFlow(ln, cat.raw, a, i, yearsSinceBase); raw_t += f.t; driver_cr += f.cr; }
+    for (const ln of drivers.transport_lines || []) { const f = lineFlow(ln, cat.transport, a, i, yearsSinceBase); trans_t += f.t; driver_cr += f.cr; }
+    for (const ln of drivers.waste_lines || []) { const f = lineFlow(ln, cat.waste, a, i, yearsSinceBase); waste_t += f.t; driver_cr += f.cr; }
+    for (const ln of drivers.electricity_lines || []) { const f = elecFlow(ln, cat.electricity, a, i, yearsSinceBase); elec_t += f.t; driver_cr += f.cr; }
+
+    // Positive entry means "reduce emissions", so subtract it from the emissions delta
+    const other_t = -a * Number(otherDirectT[i] || 0);
+
+    // Signed emissions delta for the year (negative = reduction)
+    const emission_delta_t = fuel_t + raw_t + trans_t + waste_t + elec_t + other_t;
+    // Split into non‑negative reduction/addition magnitudes
+    const reduction_t = Math.max(0, -emission_delta_t);
+    const addition_t = Math.max(0, emission_delta_t);
+
+    // Stack & financing
+    const opex_cr = col("opex_cr", i);
+    const savings_cr = col("savings_cr", i);
+    const other_cr = col("other_cr", i);
+    const capex_upfront_cr = col("capex_upfront_cr", i);
+
+    const capex_financed_cr = col("capex_financed_cr", i);
+    const i_nominal = col("interest_rate_pct", i) / 100;
+    const n_tenure = col("financing_tenure_years", i);
+    const financedAnnual_cr = (capex_financed_cr > 0 && i_nominal > 0 && n_tenure > 0)
+      ? capex_financed_cr * annuityFactor(i_nominal, n_tenure)
+      : 0;
+
+    // Equivalent annual cost for the upfront capex (real discount rate & project life)
+    const r_real = Number(meta.discount_rate || 0.10);
+    const life = Math.max(1, Number(meta.project_life_years || 1));
+    const capexUpfrontAnnual_cr = (capex_upfront_cr > 0) ? capex_upfront_cr * annuityFactor(r_real, life) : 0;
+
+    const net_cost_cr = (driver_cr + opex_cr + other_cr - savings_cr) + financedAnnual_cr + capexUpfrontAnnual_cr;
+
+    // Cash flows in ₹ — add CP benefit only on reduced tons
+    const cashflow_inr_wo_cp = (savings_cr - opex_cr - driver_cr - other_cr - financedAnnual_cr - capex_upfront_cr) * INR_PER_CR;
+    const cashflow_inr_w_cp = cashflow_inr_wo_cp + (cp * reduction_t);
+
+    // Per‑ton costs — always use reduction_t for denominator
+    const implied_cost_per_t_wo = reduction_t > 0 ? (net_cost_cr * INR_PER_CR) / reduction_t : 0;
+    const implied_cost_per_t_w = reduction_t > 0 ? ((net_cost_cr * INR_PER_CR) - (cp * reduction_t)) / reduction_t : 0;
+
+    return {
+      year,
+      // Keep signed delta for transparency (negative = reduction)
+      direct_t: emission_delta_t,
+      reduction_t,
+      addition_t,
+      net_cost_cr,
+      carbon_price: cp,
+      implied_cost_per_t_wo,
+      implied_cost_per_t_w,
+      cashflow_inr_wo_cp,
+      cashflow_inr_w_cp,
+      pieces: { fuel_t, raw_t, trans_t, waste_t, elec_t, other_t, driver_cr, opex_cr, other_cr, savings_cr, financedAnnual_cr, capexUpfrontAnnual_cr, capex_upfront_cr }
+    };
+  });
+
+  const repIdx = representativeIndex(perYear, YEARS);
+
+  const years = perYear.map(y => y.year);
+  const flowsWO = perYear.map(y => y.cashflow_inr_wo_cp);
+  const flowsW = perYear.map(y => y.cashflow_inr_w_cp);
+  const r = Number(meta.discount_rate || 0.10);
+  const npvWO = npv(r, flowsWO, years, BASE_YEAR);
+  const npvW = npv(r, flowsW, years, BASE_YEAR);
+  const irrWO = irr(flowsWO, years, BASE_YEAR);
+  const irrW = irr(flowsW, years, BASE_YEAR);
+
+  const sumDirect = perYear.reduce((s, y) => s + Number(y.reduction_t || 0), 0);
+  const sumCostInrWO = perYear.reduce((s, y) => s + (y.net_cost_cr * INR_PER_CR), 0);
+  // Subtract CP benefit only on reduced tons
+  const sumCostInrW = perYear.reduce((s, y) => s + ((y.net_cost_cr * INR_PER_CR) - y.carbon_price * Number(y.reduction_t || 0)), 0);
+  const avgCostWO = sumDirect > 0 ? sumCostInrWO / sumDirect : 0;
+  const avgCostW = sumDirect > 0 ? sumCostInrW / sumDirect : 0;
+
+  return {
+    YEARS, BASE_YEAR, perYear, repIdx,
+    rep: perYear[repIdx] || { direct_t: 0, reduction_t: 0, implied_cost_per_t_wo: 0, implied_cost_per_t_w: 0 },
+    finance: { npvWO, npvW, irrWO, irrW, avgCostWO, avgCostW, sumDirect }
+  };
+}
+
+/**
+ * Collapse a computed template measure into the saved row fields
+ * (abatement/cost at the representative year + details snapshot).
+ */
+export function summariseMeasure(details, computed, { includesCarbonPrice = false, carbonPrice = 0 } = {}) {
+  const rep = computed.rep;
+  const isPath = carbonPrice != null && typeof carbonPrice === "object";
+  return {
+    abatement_tco2: Number(rep?.reduction_t || 0),
+    cost_per_tco2: includesCarbonPrice ? rep.implied_cost_per_t_w : rep.implied_cost_per_t_wo,
+    details: {
+      ...details,
+      mode: "template_db_multiline",
+      years: computed.YEARS,
+      per_year: computed.perYear,
+      representative_index: computed.repIdx,
+      finance_summary: computed.finance,
+      saved_cost_includes_carbon_price: !!includesCarbonPrice,
+      carbon_price_at_save: carbonPriceAt(carbonPrice, computed.YEARS[computed.repIdx]),
+      carbon_price_path_at_save: isPath ? { ...carbonPrice } : null,
+    },
+  };
+}
+
+export const isTemplateMeasure = (m) => m?.details?.mode === "template_db_multiline";
+
+/* Year a saved row's cost refers to: the template's representative year, none for quick measures */
+export function representativeYear(m) {
+  if (!isTemplateMeasure(m)) return null;
+  const years = Array.isArray(m.details.years) && m.details.years.length ? m.details.years : DEFAULT_YEARS;
+  const y = years[Number(m.details.representative_index ?? 0)];
+  return y == null ? null : Number(y);
+}
+
+/* Carbon price baked into a saved cost for a year (path at save if there was one) */
+export const savedCarbonPrice = (details, year) =>
+  carbonPriceAt(details?.carbon_price_path_at_save ?? details?.carbon_price_at_save, year);
+
+/* Total upfront investment (₹ cr): Σ upfront + financed capex for templates, `capex_cr` for quick measures */
+export function measureCapexCr(m) {
+  if (!isTemplateMeasure(m)) return Math.max(0, Number(m?.capex_cr || 0));
+  const stack = m.details.stack || {};
+  const sum = (arr) => (arr || []).reduce((s, v) => s + (Number(v) || 0), 0);
+  return sum(stack.capex_upfront_cr) + sum(stack.capex_financed_cr);
+}
+
+/* A quick measure with its `capex_cr` set from an input value; blank removes the key */
+export function withCapexCr(m, value) {
+  if (value !== "" && value != null) return { ...m, capex_cr: Number(value) };
+  const rest = { ...m };
+  delete rest.capex_cr;
+  return rest;
+}
+
+/**
+ * Flat carbon price (₹/tCO₂) at which a template measure's NPV with CP is zero:
+ * NPV_w = NPV_wo + CP × Σ discounted reduction_t, so CP* = −NPV_wo / Σ discounted reduction_t.
+ * Negative when the measure already pays back without a carbon price; null without saved per-year results or abatement.
+ */
+export function breakEvenCarbonPrice(details) {
+  const per = details?.per_year;
+  if (!Array.isArray(per) || !per.length) return null;
+  const years = per.map((y, i) => Number(y.year ?? details.years?.[i]));
+  const r = Number(details.meta?.discount_rate || 0.10);
+  const tonnes = npv(r, per.map(y => Number(y.reduction_t || 0)), years, years[0]);
+  if (!(tonnes > 0)) return null;
+  return -npv(r, per.map(y => Number(y.cashflow_inr_wo_cp || 0)), years, years[0]) / tonnes;
+}
+
+/* Re-run a saved template measure against (possibly updated) catalogs and carbon price */
+export function measureFromDetails(details, catalogs, carbonPrice) {
+  const computed = computeMeasure(details, catalogs, carbonPrice);
+  return summariseMeasure(details, computed, {
+    includesCarbonPrice: !!details?.saved_cost_includes_carbon_price,
+    carbonPrice,
+  });
+}
+
+/* ---------------- Evaluation year ---------------- */
+
+/**
+ * A per-grid-year series read at a calendar year: 0 before the first grid year, linear between grid
+ * years, flat after the last. Only the first min(years, values) entries are used.
+ */
+export function gridValueAt(years, values, year) {
+  const n = Math.min(years?.length || 0, values?.length || 0);
+  const y = Number(year);
+  if (!n || y < years[0]) return 0;
+  if (y >= years[n - 1]) return Number(values[n - 1] || 0);
+  const k = years.findIndex(yy => yy >= y);
+  const v0 = Number(values[k - 1] || 0), v1 = Number(values[k] || 0);
+  return years[k] === y ? v1 : v0 + ((v1 - v0) * (y - years[k - 1])) / (years[k] - years[k - 1]);
+}
+
+/**
+ * Abatement and saved-basis cost of a measure in a given year.
+ * Template measures read `details.per_year` through `gridValueAt`; quick measures and `year == null`
+ * fall back to the flat saved values.
+ * The cost keeps the saved basis (incl. CP at save if flagged) so the MACC delta logic still applies;
+ * `cp_year` tells that logic which year's carbon price to use.
+ */
+export function measureAtYear(m, year) {
+  const flat = { abatement_tco2: Number(m?.abatement_tco2 || 0), cost_per_tco2: Number(m?.cost_per_tco2 || 0) };
+  const d = m?.details;
+  if (year == null) return flat;
+  if (!isTemplateMeasure(m) || !Array.isArray(d?.per_year) || !d.per_year.length) return { ...flat, cp_year: Number(year) };
+
+  const years = Array.isArray(d.years) && d.years.length ? d.years.map(Number) : DEFAULT_YEARS;
+  const y = Number(year);
+  if (y < years[0]) return { abatement_tco2: 0, cost_per_tco2: flat.cost_per_tco2, cp_year: y };
+  const red = gridValueAt(years, d.per_year.map(p => p?.reduction_t), y);
+  const net = gridValueAt(years, d.per_year.map(p => p?.net_cost_cr), y);
+  const costWO = red > 0 ? (net * INR_PER_CR) / red : 0;
+  const cost = d.saved_cost_includes_carbon_price ? costWO - savedCarbonPrice(d, y) : costWO;
+  return { abatement_tco2: red, cost_per_tco2: cost, cp_year: y };
+}
+
+/* ---------------- Lifetime-levelised basis ---------------- */
+
+/* Rate levelised tonnes are discounted at, from the horizon start — the same for measures and baseline emissions */
+export const TONNE_DISCOUNT_RATE = 0.10;
+
+const discountFactor = (r, t) => 1 / Math.pow(1 + Number(r || 0), Math.max(0, t));
+
+/* Σ weights of the calendar years in [start, end]; discounted at r from `start` when `discount` is set */
+export function horizonWeight(start, end, r, discount) {
+  let w = 0;
+  for (let y = Number(start); y <= Number(end); y++) w += discount ? discountFactor(r, y - start) : 1;
+  return w;
+}
+
+/**
+ * Lifetime view of a measure: total (optionally discounted) tCO₂ over the horizon and the
+ * levelised cost of abatement = Σ discounted net cost / Σ discounted tCO₂.
+ * Each grid year stands for the calendar years up to the next grid year; only years inside `horizon`
+ * and within `project_life_years` of the first grid year count.
+ * Tonnes (the step width) are discounted at `defaultRate` from the horizon start, like `horizonWeight`,
+ * so templates, quick measures and the baseline share one convention. The cost is levelised at the
+ * measure's own `discount_rate` (`defaultRate` when it has none).
+ * Quick measures: `quick = "repeat"` repeats the flat annual abatement over `horizon`;
+ * `quick = "exclude"` returns 0 abatement so the measure drops off the curve.
+ * Cost is returned on the saved CP basis, like `measureAtYear`. Carbon prices now (`cp_now`, from
+ * `carbonPrice`) and at save (`cp_at_save`) are levelised with the same weights as the cost.
+ */
+export function levelisedMeasure(m, { discountTonnes = true, quick = "repeat", horizon = DEFAULT_HORIZON, defaultRate = TONNE_DISCOUNT_RATE, carbonPrice = 0 } = {}) {
+  const d = m?.details;
+  const h = normalizeHorizon(horizon);
+  if (!isTemplateMeasure(m) || !Array.isArray(d?.per_year) || !d.per_year.length) {
+    if (quick === "exclude") return { abatement_tco2: 0, cost_per_tco2: Number(m?.cost_per_tco2 || 0) };
+    let w = 0, cpNow = 0, cpSave = 0;
+    for (let y = h.start; y <= h.end; y++) {
+      const df = discountTonnes ? discountFactor(defaultRate, y - h.start) : 1;
+      w += df; cpNow += df * carbonPriceAt(carbonPrice, y); cpSave += df * savedCarbonPrice(d, y);
+    }
+    return {
+      abatement_tco2: Number(m?.abatement_tco2 || 0) * w,
+      cost_per_tco2: Number(m?.cost_per_tco2 || 0),
+      cp_now: w > 0 ? cpNow / w : 0,
+      cp_at_save: w > 0 ? cpSave / w : 0,
+    };
+  }
+
+  const years = Array.isArray(d.years) && d.years.length ? d.years.map(Number) : DEFAULT_YEARS;
+  const r = Number(d.meta?.discount_rate ?? defaultRate);
+  const life = Math.max(1, Number(d.meta?.project_life_years || 1));
+  const base = years[0], stop = base + life;
+  const n = Math.min(years.length, d.per_year.length);
+
+  let tonnes = 0, tonnesDisc = 0, costDisc = 0, cpNowDisc = 0, cpSaveDisc = 0;
+  for (let i = 0; i < n; i++) {
+    const span = i < n - 1 ? years[i + 1] - years[i] : (n > 1 ? years[i] - years[i - 1] : 1);
+    const red = Number(d.per_year[i]?.reduction_t || 0);
+    const net = Number(d.per_year[i]?.net_cost_cr || 0) * INR_PER_CR;
+    for (let k = 0; k < span; k++) {
+      const y = years[i] + k;
+      if (y < h.start) continue;
+      if (y > h.end || y >= stop) break;
+      const df = discountFactor(r, y - base);
+      tonnes += red * (discountTonnes ? discountFactor(defaultRate, y - h.start) : 1);
+      tonnesDisc += red * df; costDisc += net * df;
+      cpNowDisc += red * df * carbonPriceAt(carbonPrice, y);
+      cpSaveDisc += red * df * savedCarbonPrice(d, y);
+    }
+  }
+  const lcoa = tonnesDisc > 0 ? costDisc / tonnesDisc : 0;
+  const cp_at_save = tonnesDisc > 0 ? cpSaveDisc / tonnesDisc : 0;
+  return {
+    abatement_tco2: tonnes,
+    cost_per_tco2: d.saved_cost_includes_carbon_price ? lcoa - cp_at_save : lcoa,
+    cp_now: tonnesDisc > 0 ? cpNowDisc / tonnesDisc : 0,
+    cp_at_save,
+  };
+}
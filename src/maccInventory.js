@@ -0,0 +1,99 @@
+/* GHG inventory — a sector's annual emissions from activity data and catalog EFs
+   - Stored on the baseline: baselines[sector].inventory = { year, lines: [{ id, group, item, qty, efOv, note }], include, applied }
+   - Each line is a quantity against a resolved catalog row (fuels, raw, transport, waste by name; electricity by state)
+   - emissions = quantity × EF; the EF is the line's override, else the catalog EF (electricity falls back to the
+     first grid row, as the wizard does); every line records which EF it used for the audit trail
+   - Scopes: fuels and process/other direct are Scope 1, electricity Scope 2, raw materials, transport and waste Scope 3
+*/
+
+import { getEFperUnit, getElecEFperMWh } from "./maccEngine.js";
+
+export const INVENTORY_GROUPS = [
+  { key: "fuels", label: "Fuels", scope: "scope1", unit: "unit" },
+  { key: "process", label: "Process / other direct", scope: "scope1", unit: "tCO₂e" },
+  { key: "electricity", label: "Electricity", scope: "scope2", unit: "MWh" },
+  { key: "raw", label: "Raw materials", scope: "scope3", unit: "unit" },
+  { key: "transport", label: "Transport", scope: "scope3", unit: "ton‑km" },
+  { key: "waste", label: "Water & waste", scope: "scope3", unit: "unit" },
+];
+
+export const INVENTORY_SCOPES = [
+  { key: "scope1", label: "Scope 1" },
+  { key: "scope2", label: "Scope 2" },
+  { key: "scope3", label: "Scope 3" },
+];
+
+/* Scopes pushed into annual_emissions unless the user picks others */
+export const DEFAULT_INVENTORY_INCLUDE = { scope1: true, scope2: true, scope3: false };
+
+const groupOf = (key) => INVENTORY_GROUPS.find(g => g.key === key) || INVENTORY_GROUPS[0];
+const isSet = (v) => v !== "" && v != null && Number.isFinite(Number(v));
+const same = (a, b) => String(a ?? "").toLowerCase() === String(b ?? "").toLowerCase();
+
+/* Which catalog supplied a resolved row, by the data source mode (as in resolveCatalogs: custom wins in "merged") */
+function originOf(group, keyName, row, custom, catalogMode) {
+  if (catalogMode === "sample") return "sample catalog";
+  if (catalogMode === "custom") return "firm catalog";
+  return ((custom || {})[group] || []).some(x => same(x[keyName], row[keyName])) ? "firm catalog" : "sample catalog";
+}
+
+/**
+ * One inventory line with its EF and audit entry.
+ * @param custom       the firm's own catalogs
+ * @param catalogMode  "sample" | "custom" | "merged" — the mode `catalogs` were resolved with, to name the EF's source
+ * @returns { ...line, label, unit, scope, ef, ef_source, emissions_t }
+ */
+export function inventoryLine(line, catalogs, custom, catalogMode = "merged") {
+  const g = groupOf(line?.group);
+  const qty = Number(line?.qty || 0);
+  const base = { ...line, label: g.label, scope: g.scope, unit: g.unit };
+
+  if (g.key === "process") {
+    return { ...base, ef: 1, ef_source: "Direct entry (tCO₂e)", emissions_t: qty };
+  }
+
+  const elec = g.key === "electricity";
+  const rows = (catalogs || {})[g.key] || [];
+  const keyName = elec ? "state" : "name";
+  let row = rows.find(x => same(x[keyName], line?.item));
+  let fallback = false;
+  if (!row && elec && rows.length) { row = rows[0]; fallback = true; }
+  const unit = elec ? "MWh" : (row?.unit || g.unit);
+  if (isSet(line?.efOv)) {
+    return { ...base, unit, ef: Number(line.efOv), ef_source: `Override (catalog: ${row ? (elec ? getElecEFperMWh(row) : getEFperUnit(row)) : "—"})`, emissions_t: qty * Number(line.efOv) };
+  }
+  if (!row) {
+    return { ...base, unit, ef: 0, ef_source: `Not in catalog — “${line?.item || ""}” counts as 0`, emissions_t: 0 };
+  }
+  const ef = Number(elec ? getElecEFperMWh(row) : getEFperUnit(row)) || 0;
+  const where = `${originOf(g.key, keyName, row, custom, catalogMode)}: ${g.label} / ${row[keyName]}`;
+  return {
+    ...base, unit, ef,
+    ef_source: fallback ? `${where} (state “${line?.item || ""}” not found — first grid row used)` : where,
+    emissions_t: qty * ef,
+  };
+}
+
+/**
+ * Emissions of a whole inventory.
+ * @returns { lines: [audited lines], byScope: { scope1, scope2, scope3 }, byGroup: { [group]: t }, total_t, included_t }
+ *          `included_t` sums the scopes ticked in `inventory.include`
+ */
+export function computeInventory(inventory, catalogs, custom, catalogMode) {
+  const lines = (inventory?.lines || []).map(ln => inventoryLine(ln, catalogs, custom, catalogMode));
+  const byScope = Object.fromEntries(INVENTORY_SCOPES.map(s => [s.key, 0]));
+  const byGroup = Object.fromEntries(INVENTORY_GROUPS.map(g => [g.key, 0]));
+  lines.forEach(l => { byScope[l.scope] += l.emissions_t; byGroup[l.group] = (byGroup[l.group] || 0) + l.emissions_t; });
+  const include = { ...DEFAULT_INVENTORY_INCLUDE, ...(inventory?.include || {}) };
+  const total_t = Object.values(byScope).reduce((s, v) => s + v, 0);
+  const included_t = INVENTORY_SCOPES.reduce((s, sc) => s + (include[sc.key] ? byScope[sc.key] : 0), 0);
+  return { lines, byScope, byGroup, total_t, included_t, include };
+}
+
+/* Flat audit rows for CSV export */
+export function inventoryAuditTable(result) {
+  return (result?.lines || []).map(l => ({
+    group: l.label, item: l.item ?? "", quantity: Number(l.qty || 0), unit: l.unit,
+    ef_tco2_per_unit: l.ef, ef_source: l.ef_source, emissions_t: l.emissions_t, scope: l.scope, note: l.note ?? "",
+  }));
+}
@@ -0,0 +1,111 @@
+/* Portfolio optimiser — least-cost set of measures that meets an abatement target
+   - LP/MILP solved in the browser with javascript-lp-solver
+   - Variables: share x_i ∈ [0, 1] of each measure (binary when all-or-nothing)
+   - Objective: min Σ effective_cost_i × abatement_i × x_i   (annual ₹)
+*/
+
+import solver from "javascript-lp-solver";
+import { INR_PER_CR, measureCapexCr } from "./maccEngine.js";
+
+const SHARE_EPS = 1e-6;
+
+function buildModel(rows, { targetT, capexCapCr, budgetCapInr, integer }) {
+  const constraints = { target: { min: Math.max(0, Number(targetT) || 0) } };
+  const variables = {};
+  const ints = {};
+  // `requires` names its prerequisite by id, or by name (first, i.e. cheapest, row with that name)
+  const byId = new Map(rows.map((m, i) => [String(m.id), i]));
+  const byName = new Map();
+  rows.forEach((m, i) => { if (!byName.has(m.name)) byName.set(m.name, i); });
+  const prerequisiteOf = (req) => (byId.has(req) ? byId.get(req) : byName.get(req));
+
+  if (Number(capexCapCr) > 0) constraints.capex = { max: Number(capexCapCr) };
+  if (Number(budgetCapInr) > 0) constraints.budget = { max: Number(budgetCapInr) / INR_PER_CR };
+
+  rows.forEach((m, i) => {
+    const v = `x${i}`;
+    const A = Math.max(0, Number(m.abatement_tco2 || 0));
+    const costCr = (Number(m.effective_cost || 0) * A) / INR_PER_CR; // solved in ₹ cr to keep coefficients small
+    variables[v] = { cost: costCr, target: A, [`ub${i}`]: 1, capex: measureCapexCr(m), budget: costCr };
+    constraints[`ub${i}`] = { max: 1 };
+    if (integer) ints[v] = 1;
+
+    const g = String(m.exclusive_group ?? "").trim();
+    if (g) {
+      variables[v][`grp:${g}`] = 1;
+      constraints[`grp:${g}`] = { max: 1 };
+    }
+
+    // x_dependant ≤ x_prerequisite; a missing prerequisite keeps the measure out
+    const req = String(m.requires ?? "").trim();
+    if (req) {
+      variables[v][`req${i}`] = 1;
+      constraints[`req${i}`] = { max: 0 };
+    }
+  });
+  // Prerequisite side of each link, once every variable exists
+  rows.forEach((m, i) => {
+    const req = String(m.requires ?? "").trim();
+    const j = req ? prerequisiteOf(req) : undefined;
+    if (j !== undefined && j !== i) variables[`x${j}`][`req${i}`] = -1;
+  });
+
+  return { optimize: "cost", opType: "min", constraints, variables, ints };
+}
+
+function solve(rows, opts) {
+  const res = solver.Solve(buildModel(rows, opts));
+  if (!res?.feasible) return null;
+  return { res, costCr: Number(res.result || 0) };
+}
+
+/**
+ * Least-cost portfolio for an abatement target.
+ * @param rows  measures with `id`, `abatement_tco2`, `effective_cost` (₹/tCO₂), optional `exclusive_group`,
+ *              `requires` (prerequisite id or name)
+ * @param opts  { targetT, capexCapCr, budgetCapInr, integer }
+ * @returns { feasible, chosen: [{ id, name, share, abatement, cost_inr, capex_cr }], abatement_t, cost_inr, capex_cr, shadowPrice }
+ *          shadowPrice is ∂cost/∂target (₹/tCO₂) from the LP relaxation, by finite difference
+ */
+export function optimisePortfolio(rows, opts = {}) {
+  const list = (rows || []).filter(m => Number(m.abatement_tco2 || 0) > 0 && Number.isFinite(Number(m.effective_cost)));
+  const targetT = Math.max(0, Number(opts.targetT) || 0);
+  const integer = opts.integer !== false;
+
+  const sol = solve(list, { ...opts, targetT, integer });
+  if (!sol) return { feasible: false, chosen: [], abatement_t: 0, cost_inr: 0, capex_cr: 0, shadowPrice: null };
+
+  const chosen = [];
+  list.forEach((m, i) => {
+    const share = Number(sol.res[`x${i}`] || 0);
+    if (share <= SHARE_EPS) return;
+    const A = Number(m.abatement_tco2 || 0) * share;
+    chosen.push({
+      id: m.id, name: m.name, share,
+      abatement: A,
+      cost_inr: A * Number(m.effective_cost || 0),
+      capex_cr: measureCapexCr(m) * share,
+    });
+  });
+
+  // Shadow price of the target on the LP relaxation (forward difference, backward at the frontier)
+  const relaxed = { ...opts, integer: false };
+  const base = solve(list, { ...relaxed, targetT });
+  const step = Math.max(1, targetT * 0.01);
+  let shadowPrice = null;
+  if (base) {
+    const up = solve(list, { ...relaxed, targetT: targetT + step });
+    const down = !up && targetT - step >= 0 ? solve(list, { ...relaxed, targetT: targetT - step }) : null;
+    if (up) shadowPrice = ((up.costCr - base.costCr) * INR_PER_CR) / step;
+    else if (down) shadowPrice = ((base.costCr - down.costCr) * INR_PER_CR) / step;
+  }
+
+  return {
+    feasible: true,
+    chosen,
+    abatement_t: chosen.reduce((s, c) => s + c.abatement, 0),
+    cost_inr: chosen.reduce((s, c) => s + c.cost_inr, 0),
+    capex_cr: chosen.reduce((s, c) => s + c.capex_cr, 0),
+    shadowPrice,
+  };
+}
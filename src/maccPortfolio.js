@@ -0,0 +1,112 @@
+/* Portfolio analytics — MACC abatement split by driver category and by scope
+   - Template measures carry signed emission deltas per year in `per_year[i].pieces` (negative = reduction);
+     a category's abatement is minus its delta, so a measure that adds electricity while cutting fuel shows
+     a negative electricity share
+   - Scopes: fuel and other direct cuts are Scope 1, electricity Scope 2, raw materials, transport and
+     water & waste Scope 3
+   - Quick measures have no driver split and stay "Not broken down"
+*/
+
+import { isTemplateMeasure, gridValueAt, DEFAULT_YEARS } from "./maccEngine.js";
+
+export const SCOPES = [
+  { key: "scope1", label: "Scope 1" },
+  { key: "scope2", label: "Scope 2" },
+  { key: "scope3", label: "Scope 3" },
+  { key: "unassigned", label: "Unassigned" },
+];
+
+export const DRIVER_CATEGORIES = [
+  { key: "fuel_t", label: "Fuel", scope: "scope1", color: "#e15759" },
+  { key: "other_t", label: "Other direct", scope: "scope1", color: "#ff9da7" },
+  { key: "elec_t", label: "Electricity", scope: "scope2", color: "#edc949" },
+  { key: "raw_t", label: "Raw materials", scope: "scope3", color: "#9c755f" },
+  { key: "trans_t", label: "Transport", scope: "scope3", color: "#4e79a7" },
+  { key: "waste_t", label: "Water & waste", scope: "scope3", color: "#76b7b2" },
+  { key: "quick", label: "Not broken down", scope: "unassigned", color: "#bab0ab" },
+];
+
+const TEMPLATE_KEYS = DRIVER_CATEGORIES.filter(c => c.key !== "quick").map(c => c.key);
+
+/**
+ * Signed pieces (tCO₂) of a template measure in a year, each read with `gridValueAt`;
+ * `year == null` → the representative year. Null without saved pieces.
+ */
+export function piecesAt(m, year) {
+  const d = m?.details;
+  if (!isTemplateMeasure(m) || !Array.isArray(d?.per_year) || !d.per_year.length || !d.per_year.some(p => p?.pieces)) return null;
+  const years = (Array.isArray(d.years) && d.years.length ? d.years : DEFAULT_YEARS).map(Number);
+  const per = d.per_year;
+  if (year == null) {
+    const i = Math.min(Math.min(years.length, per.length) - 1, Math.max(0, Number(d.representative_index ?? 0)));
+    return Object.fromEntries(TEMPLATE_KEYS.map(k => [k, Number(per[i]?.pieces?.[k] || 0)]));
+  }
+  return Object.fromEntries(TEMPLATE_KEYS.map(k => [k, gridValueAt(years, per.map(p => p?.pieces?.[k]), year)]));
+}
+
+/**
+ * Abatement (tCO₂, positive = reduction) by category and scope over MACC rows.
+ * Rows keep their curve scaling: a template's pieces are multiplied by its `interaction_factor`.
+ * @param rows  MACC rows (`id`, `name`, `abatement_tco2`, `details`)
+ * @param year  calendar year, or null for each measure's representative year
+ * @returns { measures: [{ id, name, total_t, byCategory, byScope }], categories: [{ ...category, abatement_t }],
+ *            scopes: [{ key, label, abatement_t, byCategory }], total_t }
+ */
+export function portfolioBreakdown(rows, year) {
+  const measures = (rows || []).filter(m => Number(m.abatement_tco2 || 0) > 0).map(m => {
+    const byCategory = Object.fromEntries(DRIVER_CATEGORIES.map(c => [c.key, 0]));
+    const pieces = piecesAt(m, year);
+    if (pieces) {
+      const f = Number(m.interaction_factor ?? 1);
+      TEMPLATE_KEYS.forEach(k => { byCategory[k] = -pieces[k] * f; });
+    } else {
+      byCategory.quick = Number(m.abatement_tco2);
+    }
+    const byScope = Object.fromEntries(SCOPES.map(s => [s.key, 0]));
+    DRIVER_CATEGORIES.forEach(c => { byScope[c.scope] += byCategory[c.key]; });
+    const total_t = Object.values(byCategory).reduce((s, v) => s + v, 0);
+    return { id: m.id, name: m.name, total_t, byCategory, byScope };
+  });
+
+  const sumOf = (fn) => measures.reduce((s, m) => s + fn(m), 0);
+  const categories = DRIVER_CATEGORIES.map(c => ({ ...c, abatement_t: sumOf(m => m.byCategory[c.key]) }));
+  const scopes = SCOPES.map(s => ({
+    ...s,
+    abatement_t: sumOf(m => m.byScope[s.key]),
+    byCategory: Object.fromEntries(DRIVER_CATEGORIES.filter(c => c.scope === s.key).map(c => [c.key, sumOf(m => m.byCategory[c.key])])),
+  }));
+  return { measures, categories, scopes, total_t: sumOf(m => m.total_t) };
+}
+
+/**
+ * Sankey nodes and links: driver categories → measures → net abatement.
+ * Flows are gross reductions; a measure's added emissions (e.g. extra electricity) leave it to an
+ * "Added emissions" node, so every measure node balances.
+ * @returns { nodes: [{ name, kind, color }], links: [{ source, target, value }] }
+ */
+export function sankeyData(breakdown, colorOf = () => "#9ca3af") {
+  const nodes = [], links = [];
+  const add = (node) => nodes.push(node) - 1;
+  const catIdx = new Map();
+  DRIVER_CATEGORIES.forEach(c => {
+    if ((breakdown?.measures || []).some(m => m.byCategory[c.key] > 1e-9)) catIdx.set(c.key, add({ name: c.label, kind: "category", color: c.color }));
+  });
+  const total = add({ name: "Net abatement", kind: "total", color: "#111827" });
+  let added = -1;
+  (breakdown?.measures || []).forEach(m => {
+    const gross = DRIVER_CATEGORIES.reduce((s, c) => s + Math.max(0, m.byCategory[c.key]), 0);
+    if (!(gross > 1e-9)) return;
+    const mi = add({ name: m.name, kind: "measure", color: colorOf(m) });
+    DRIVER_CATEGORIES.forEach(c => {
+      const v = m.byCategory[c.key];
+      if (v > 1e-9) links.push({ source: catIdx.get(c.key), target: mi, value: v });
+    });
+    if (m.total_t > 1e-9) links.push({ source: mi, target: total, value: Math.min(gross, m.total_t) });
+    const up = gross - Math.max(0, m.total_t);
+    if (up > 1e-9) {
+      if (added === -1) added = add({ name: "Added emissions", kind: "added", color: "#dc2626" });
+      links.push({ source: mi, target: added, value: up });
+    }
+  });
+  return { nodes, links };
+}
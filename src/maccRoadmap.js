@@ -0,0 +1,151 @@
+/* Phased deployment roadmap — when each MACC measure has to start to follow a reduction trajectory
+   - Trajectory: { year: % below that year's (BAU) baseline emissions }, linear between points, 0 before the first, flat after the last
+   - Measures are taken in MACC order; negative-cost measures start in the first year, the rest in the first
+     year the trajectory is not met by the measures already started
+   - A template measure's saved per-year results (adoption ramp, capex stack) are shifted so its first
+     year with capex or abatement becomes the start year; quick measures deliver in full from the start year
+   - Capex (₹ cr) is the upfront + financed capex in the year it is spent; opex (₹ cr) is the net operating
+     cost (drivers + opex + other − savings) for templates and cost × tonnes for quick measures
+*/
+
+import { isTemplateMeasure, gridValueAt, DEFAULT_YEARS, INR_PER_CR } from "./maccEngine.js";
+
+/* Calendar years start..end (one column per year) */
+export function roadmapYears(horizon) {
+  const start = Math.round(Number(horizon?.start)), end = Math.round(Number(horizon?.end));
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return [];
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+}
+
+/* Sorted [year, pct] points of a trajectory (blank or non-numeric entries skipped) */
+export function trajectoryPoints(trajectory) {
+  return Object.entries(trajectory || {})
+    .filter(([y, v]) => Number.isFinite(Number(y)) && v !== "" && v != null && Number.isFinite(Number(v)))
+    .map(([y, v]) => [Number(y), Number(v)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/* % below baseline required in a year */
+export function trajectoryAt(trajectory, year) {
+  const pts = trajectoryPoints(trajectory);
+  const y = Number(year);
+  if (!pts.length || y < pts[0][0]) return 0;
+  const k = pts.findIndex(([py]) => py >= y);
+  if (k === -1) return pts[pts.length - 1][1];
+  if (pts[k][0] === y || k === 0) return pts[k][1];
+  const [y0, v0] = pts[k - 1], [y1, v1] = pts[k];
+  return v0 + ((v1 - v0) * (y - y0)) / (y1 - y0);
+}
+
+/**
+ * Yearly abatement, capex and opex of one measure started in `start`.
+ * @returns (year) => { abatement_t, capex_cr, opex_cr }
+ */
+export function deploymentProfile(m, start) {
+  const factor = Number(m?.interaction_factor ?? 1);
+  const d = m?.details;
+  if (!isTemplateMeasure(m) || !Array.isArray(d?.per_year) || !d.per_year.length) {
+    const A = Math.max(0, Number(m?.abatement_tco2 || 0)) * factor;
+    const opex = (Number(m?.cost_per_tco2 || 0) * A) / INR_PER_CR;
+    const capex = Math.max(0, Number(m?.capex_cr || 0));
+    return (year) => (year < start
+      ? { abatement_t: 0, capex_cr: 0, opex_cr: 0 }
+      : { abatement_t: A, capex_cr: year === start ? capex : 0, opex_cr: opex });
+  }
+
+  const years = (Array.isArray(d.years) && d.years.length ? d.years : DEFAULT_YEARS).map(Number);
+  const per = d.per_year;
+  const red = per.map(p => Number(p?.reduction_t || 0));
+  const opex = per.map(p => {
+    const x = p?.pieces || {};
+    return Number(x.driver_cr || 0) + Number(x.opex_cr || 0) + Number(x.other_cr || 0) - Number(x.savings_cr || 0);
+  });
+  const stack = d.stack || {};
+  const capexAt = (i) => Number(stack.capex_upfront_cr?.[i] || 0) + Number(stack.capex_financed_cr?.[i] || 0);
+  // Anchor on the first year that spends capex or abates, so a build year before the first tonnes stays in the plan
+  const first = years.findIndex((_, i) => capexAt(i) > 0 || red[i] > 0);
+  const offset = Number(start) - years[first === -1 ? 0 : first];
+
+  return (year) => {
+    const src = year - offset;
+    const i = years.indexOf(src);
+    return {
+      abatement_t: Math.max(0, gridValueAt(years, red, src)) * factor,
+      capex_cr: i === -1 ? 0 : capexAt(i),
+      opex_cr: gridValueAt(years, opex, src),
+    };
+  };
+}
+
+/**
+ * Schedule measures against a trajectory.
+ * A measure whose ramp delivers little in its first year can pull the next one into the same year.
+ * @param rows       measures in MACC order (`effective_cost`; optional `interaction_factor`)
+ * @param years      calendar years of the plan
+ * @param baselineT  baseline emissions (tCO₂/yr) the trajectory % applies to, or (year) => BAU tCO₂ of that year
+ * @returns { years, schedule: [{ id, name, effective_cost, start, capex_cr, abatement_t: [per year] }],
+ *            perYear: [{ year, target_pct, baseline_t, required_t, planned_t, capex_cr, opex_cr, shortfall_t,
+ *                        cum_required_t, cum_planned_t, starts }], unscheduled: [{ id, name }] }
+ */
+export function planRoadmap(rows, { years, baselineT, trajectory }) {
+  const Y = years || [];
+  const E = typeof baselineT === "function" ? baselineT : () => baselineT;
+  const required = Y.map(y => (Math.max(0, Number(E(y)) || 0) * trajectoryAt(trajectory, y)) / 100);
+  const planned = Y.map(() => 0), capex = Y.map(() => 0), opex = Y.map(() => 0);
+  const queue = (rows || []).filter(m => Number(m?.abatement_tco2 || 0) > 0);
+  const schedule = [];
+
+  const start = (m, k) => {
+    const prof = deploymentProfile(m, Y[k]);
+    const row = { id: m.id, name: m.name, effective_cost: Number(m.effective_cost || 0), start: Y[k], capex_cr: 0, abatement_t: Y.map(() => 0) };
+    Y.forEach((y, j) => {
+      if (j < k) return;
+      const p = prof(y);
+      row.abatement_t[j] = p.abatement_t;
+      row.capex_cr += p.capex_cr;
+      planned[j] += p.abatement_t; capex[j] += p.capex_cr; opex[j] += p.opex_cr;
+    });
+    schedule.push(row);
+  };
+
+  if (Y.length) {
+    while (queue.length && Number(queue[0].effective_cost || 0) < 0) start(queue.shift(), 0);
+    Y.forEach((_, k) => {
+      while (queue.length && planned[k] < required[k] - 1e-6) start(queue.shift(), k);
+    });
+  }
+
+  let cumReq = 0, cumPlan = 0;
+  const perYear = Y.map((year, k) => {
+    cumReq += required[k]; cumPlan += planned[k];
+    return {
+      year,
+      target_pct: trajectoryAt(trajectory, year),
+      baseline_t: Math.max(0, Number(E(year)) || 0),
+      required_t: required[k],
+      planned_t: planned[k],
+      capex_cr: capex[k],
+      opex_cr: opex[k],
+      shortfall_t: Math.max(0, required[k] - planned[k]),
+      cum_required_t: cumReq,
+      cum_planned_t: cumPlan,
+      starts: schedule.filter(s => s.start === year).map(s => s.name),
+    };
+  });
+  return { years: Y, schedule, perYear, unscheduled: queue.map(m => ({ id: m.id, name: m.name })) };
+}
+
+/* Flat rows for CSV export: one line per year, then one per scheduled measure */
+export function roadmapTable(plan) {
+  const years = (plan?.perYear || []).map(r => ({
+    section: "year", year: r.year, measure: r.starts.join("; "),
+    baseline_t: r.baseline_t, target_pct: r.target_pct, required_t: r.required_t, planned_t: r.planned_t, shortfall_t: r.shortfall_t,
+    cum_required_t: r.cum_required_t, cum_planned_t: r.cum_planned_t, capex_cr: r.capex_cr, opex_cr: r.opex_cr,
+  }));
+  const measures = (plan?.schedule || []).map(s => ({
+    section: "measure", year: s.start, measure: s.name,
+    baseline_t: "", target_pct: "", required_t: "", planned_t: s.abatement_t[s.abatement_t.length - 1] ?? 0, shortfall_t: "",
+    cum_required_t: "", cum_planned_t: s.abatement_t.reduce((a, v) => a + v, 0), capex_cr: s.capex_cr, opex_cr: "",
+  }));
+  return [...years, ...measures];
+}
@@ -0,0 +1,69 @@
+/* Named scenarios per firm — snapshots of the inputs that reshape the MACC
+   - A scenario stores carbon price (+ path), catalog mode, baselines and which measures are selected
+   - Measures themselves are shared by all scenarios; only their `selected` flag is snapshotted
+*/
+
+import { carbonPriceSchedule, normalizeCarbonPricePath, measureFromDetails, isTemplateMeasure, measureAtYear, levelisedMeasure } from "./maccEngine.js";
+import { buildCurve, sortByEffectiveCost, greedyToTarget } from "./maccCurve.js";
+
+export function snapshotScenario(name, { carbonPrice, carbonPricePath, catalogMode, baselines, measures }) {
+  const selection = {};
+  (measures || []).forEach(m => { selection[m.id] = !!m.selected; });
+  return {
+    id: `scn-${Date.now().toString(36)}`,
+    name: String(name || "").trim() || "Scenario",
+    saved_at: new Date().toISOString(),
+    carbonPrice: Number(carbonPrice || 0),
+    carbonPricePath: normalizeCarbonPricePath(carbonPricePath),
+    catalogMode: catalogMode || "merged",
+    baselines: JSON.parse(JSON.stringify(baselines || {})),
+    selection,
+  };
+}
+
+/* Measures with the scenario's selection; measures added after the snapshot keep their flag */
+export function applySelection(measures, selection) {
+  return (measures || []).map(m => (m.id in (selection || {}) ? { ...m, selected: !!selection[m.id] } : m));
+}
+
+/**
+ * MACC of a scenario under the current view settings.
+ * @param scn  snapshot (or the live inputs in the same shape)
+ * @param ctx  { measures, sector, evalYear, levelised: null | { discountTonnes, quick, horizon },
+ *              pools, interactions, targetPct, baseEmissionsFor(baselines), catalogsFor(mode) | null }
+ *              `catalogsFor` re-runs template measures against the scenario's catalogs & carbon price.
+ * @returns { rows, dropped, baseEmissions, totalAbatement, negCostAbatement, budget, reachedT }
+ */
+export function scenarioCurve(scn, ctx) {
+  const schedule = carbonPriceSchedule(scn.carbonPrice, scn.carbonPricePath);
+  const catalogs = ctx.catalogsFor ? ctx.catalogsFor(scn.catalogMode) : null;
+  const rows = applySelection(ctx.measures, scn.selection)
+    .filter(m => m.selected && (ctx.sector === "All sectors" || m.sector === ctx.sector))
+    .map(m => (catalogs && isTemplateMeasure(m) ? { ...m, ...measureFromDetails(m.details, catalogs, schedule) } : m))
+    .map(m => {
+      if (ctx.levelised) return { ...m, ...levelisedMeasure(m, { ...ctx.levelised, carbonPrice: schedule }) };
+      return ctx.evalYear == null ? m : { ...m, ...measureAtYear(m, ctx.evalYear) };
+    });
+
+  const baseEmissions = Number(ctx.baseEmissionsFor(scn.baselines) || 0);
+  const curve = buildCurve(sortByEffectiveCost(rows, schedule), { pools: ctx.pools, interactions: ctx.interactions, scale: ctx.poolScale ?? 1 });
+  const totalAbatement = curve.rows.reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
+  const negCostAbatement = curve.rows.filter(m => m.effective_cost < 0).reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
+  const { reachedT, budget } = greedyToTarget(curve.rows, baseEmissions * (Number(ctx.targetPct || 0) / 100));
+  return { rows: curve.rows, dropped: curve.dropped, baseEmissions, totalAbatement, negCostAbatement, budget, reachedT };
+}
+
+/* Step outline of a curve for line overlays: [{ x, y }] with x in tCO₂ or % of `baseEmissions` */
+export function stepPoints(rows, mode, baseEmissions) {
+  const toX = (t) => (mode === "capacity" ? t : (baseEmissions > 0 ? (t / baseEmissions) * 100 : 0));
+  const pts = [];
+  let cum = 0;
+  (rows || []).forEach(m => {
+    const A = Number(m.abatement_tco2 || 0), C = Number(m.effective_cost || 0);
+    if (!(A > 0) || !Number.isFinite(C)) return;
+    pts.push({ x: toX(cum), y: C, name: m.name });
+    cum += A;
+    pts.push({ x: toX(cum), y: C, name: m.name });
+  });
+  return pts;
+}
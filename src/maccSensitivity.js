@@ -0,0 +1,143 @@
+/* One-at-a-time sensitivity for template measures (tornado)
+   - Each input is moved by −X% and +X% on its own and the measure is recomputed with computeMeasure
+   - Costs are read at the base representative year so every swing is measured at the same year
+   - Inputs that are zero or missing are skipped (a percentage of zero moves nothing)
+*/
+
+import { computeMeasure, carbonPriceAt, getUnitPrice, getEFperUnit, getElecPricePerMWh, getElecEFperMWh } from "./maccEngine.js";
+
+export const SENSITIVITY_METRICS = [
+  { key: "cost_wo", label: "Cost w/o CP", unit: "per_t" },
+  { key: "cost_w", label: "Cost w/ CP", unit: "per_t" },
+  { key: "npv_wo", label: "NPV w/o CP", unit: "money" },
+  { key: "npv_w", label: "NPV w/ CP", unit: "money" },
+  { key: "irr_wo", label: "IRR w/o CP", unit: "pct" },
+  { key: "irr_w", label: "IRR w/ CP", unit: "pct" },
+];
+
+const LINE_GROUPS = [
+  { key: "fuel_lines", label: "Fuel", catalog: "fuels" },
+  { key: "raw_lines", label: "Raw", catalog: "raw" },
+  { key: "transport_lines", label: "Transport", catalog: "transport" },
+  { key: "waste_lines", label: "Waste", catalog: "waste" },
+  { key: "electricity_lines", label: "Electricity", catalog: "electricity" },
+];
+
+const isSet = (v) => v !== "" && v != null;
+const scaleSeries = (arr, f) => (arr || []).map(v => (isSet(v) ? Number(v) * f : v));
+const seriesValue = (arr) => (arr || []).filter(isSet).map(Number).find(v => v !== 0) ?? 0;
+
+const withMeta = (key) => (d, f) => ({ ...d, meta: { ...(d.meta || {}), [key]: Number(d.meta?.[key] ?? (key === "discount_rate" ? 0.10 : 1)) * f } });
+const withStack = (key) => (d, f) => ({ ...d, stack: { ...(d.stack || {}), [key]: scaleSeries(d.stack?.[key], f) } });
+const withLine = (group, id, patch) => (d, f) => ({
+  ...d,
+  drivers: { ...(d.drivers || {}), [group]: (d.drivers?.[group] || []).map(ln => (ln.id === id ? { ...ln, ...patch(ln, f) } : ln)) },
+});
+
+/**
+ * Inputs that can be varied for these details.
+ * @returns [{ key, label, value, apply(details, factor) }] — `value` is the base value shown in the table
+ */
+export function sensitivityInputs(details, catalogs) {
+  const d = details || {};
+  const cat = catalogs || {};
+  const out = [];
+  const add = (key, label, value, apply) => { if (Number(value) !== 0 && Number.isFinite(Number(value))) out.push({ key, label, value: Number(value), apply }); };
+
+  add("discount_rate", "Discount rate", d.meta?.discount_rate ?? 0.10, withMeta("discount_rate"));
+  add("project_life_years", "Project life (yrs)", d.meta?.project_life_years ?? 1, withMeta("project_life_years"));
+  add("adoption", "Adoption", seriesValue(d.adoption), (x, f) => ({ ...x, adoption: scaleSeries(x.adoption, f).map(a => (isSet(a) ? Math.min(1, Math.max(0, a)) : a)) }));
+  [
+    ["capex_upfront_cr", "Capex upfront (₹ cr)"],
+    ["capex_financed_cr", "Capex financed (₹ cr)"],
+    ["interest_rate_pct", "Interest rate (%)"],
+    ["financing_tenure_years", "Financing tenure (yrs)"],
+    ["opex_cr", "Opex (₹ cr)"],
+    ["savings_cr", "Savings (₹ cr)"],
+    ["other_cr", "Other cost (₹ cr)"],
+  ].forEach(([key, label]) => add(key, label, seriesValue(d.stack?.[key]), withStack(key)));
+  add("other_direct_t", "Other direct reductions (t)", seriesValue(d.drivers?.other_direct_t),
+    (x, f) => ({ ...x, drivers: { ...(x.drivers || {}), other_direct_t: scaleSeries(x.drivers?.other_direct_t, f) } }));
+
+  LINE_GROUPS.forEach(g => {
+    (d.drivers?.[g.key] || []).forEach(ln => {
+      const elec = g.key === "electricity_lines";
+      const base = elec
+        ? (cat.electricity || []).find(x => x.state === ln.state) || (cat.electricity || [])[0]
+        : (cat[g.catalog] || []).find(x => x.name === ln.name);
+      const name = `${g.label}: ${elec ? ln.state : ln.name}`;
+      const price = ln.priceOv ?? (elec ? getElecPricePerMWh(base) : getUnitPrice(base));
+      const ef = ln.efOv ?? (elec ? getElecEFperMWh(base) : getEFperUnit(base));
+      add(`${g.key}:${ln.id}:price`, `${name} price`, price, withLine(g.key, ln.id, (_l, f) => ({ priceOv: Number(price) * f })));
+      add(`${g.key}:${ln.id}:priceEsc`, `${name} price escalation (%/yr)`, ln.priceEscPctYr, withLine(g.key, ln.id, (l, f) => ({ priceEscPctYr: Number(l.priceEscPctYr) * f })));
+      add(`${g.key}:${ln.id}:ef`, `${name} EF`, ef, withLine(g.key, ln.id, (l, f) => ({
+        efOv: Number(ef) * f,
+        ...(elec && l.efOvPerYear ? { efOvPerYear: scaleSeries(l.efOvPerYear, f) } : {}),
+      })));
+      add(`${g.key}:${ln.id}:efEsc`, `${name} EF drift (%/yr)`, ln.efEscPctYr, withLine(g.key, ln.id, (l, f) => ({ efEscPctYr: Number(l.efEscPctYr) * f })));
+    });
+  });
+  return out;
+}
+
+function metricsOf(c, idx) {
+  const py = c.perYear[idx] || c.rep;
+  return {
+    cost_wo: py.implied_cost_per_t_wo,
+    cost_w: py.implied_cost_per_t_w,
+    npv_wo: c.finance.npvWO,
+    npv_w: c.finance.npvW,
+    irr_wo: c.finance.irrWO,
+    irr_w: c.finance.irrW,
+  };
+}
+
+const scaleCarbonPrice = (cp, f) => (cp != null && typeof cp === "object"
+  ? Object.fromEntries(Object.entries(cp).map(([y, v]) => [y, Number(v) * f]))
+  : Number(cp || 0) * f);
+
+/**
+ * Vary every input by ±pct % and recompute.
+ * @returns { pct, year, base: { metric: value }, rows: [{ key, label, value, low: {metric}, high: {metric} }] }
+ *          `low` is the result at (1 − pct%) of the input, `high` at (1 + pct%)
+ */
+export function runSensitivity(details, catalogs, carbonPrice, pct = 10) {
+  const p = Math.abs(Number(pct) || 0) / 100;
+  const baseRun = computeMeasure(details, catalogs, carbonPrice);
+  const idx = baseRun.repIdx;
+  const rows = sensitivityInputs(details, catalogs).map(inp => ({
+    key: inp.key, label: inp.label, value: inp.value,
+    low: metricsOf(computeMeasure(inp.apply(details, 1 - p), catalogs, carbonPrice), idx),
+    high: metricsOf(computeMeasure(inp.apply(details, 1 + p), catalogs, carbonPrice), idx),
+  }));
+  // Carbon price only moves the "with CP" figures
+  const cp = carbonPriceAt(carbonPrice, baseRun.YEARS[idx]);
+  if (cp !== 0) {
+    rows.push({
+      key: "carbon_price", label: "Carbon price", value: cp,
+      low: metricsOf(computeMeasure(details, catalogs, scaleCarbonPrice(carbonPrice, 1 - p)), idx),
+      high: metricsOf(computeMeasure(details, catalogs, scaleCarbonPrice(carbonPrice, 1 + p)), idx),
+    });
+  }
+  return { pct: Number(pct) || 0, year: baseRun.YEARS[idx], base: metricsOf(baseRun, idx), rows };
+}
+
+/* Swing of one row on a metric (null when either side is undefined, e.g. no IRR) */
+export function swing(row, metric) {
+  const lo = row.low[metric], hi = row.high[metric];
+  if (lo == null || hi == null || !Number.isFinite(lo) || !Number.isFinite(hi)) return null;
+  return Math.abs(hi - lo);
+}
+
+/* Flat rows for CSV export: one line per input, low/high for every metric */
+export function sensitivityTable(result) {
+  return (result?.rows || []).map(r => {
+    const line = { input: r.label, base_value: r.value, low_value: r.value * (1 - result.pct / 100), high_value: r.value * (1 + result.pct / 100) };
+    SENSITIVITY_METRICS.forEach(({ key }) => {
+      line[`${key}_base`] = result.base[key];
+      line[`${key}_low`] = r.low[key];
+      line[`${key}_high`] = r.high[key];
+    });
+    return line;
+  });
+}
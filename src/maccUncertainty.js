@@ -0,0 +1,169 @@
+/* Monte Carlo uncertainty for template measures
+   - Distributions live on the saved details:
+       driver lines: `priceDist`, `efDist` — absolute ₹/unit and tCO₂/unit, replacing the overrides in each draw;
+       an electricity line's per-year EF overrides are scaled by draw ÷ the distribution's centre
+       details.uncertainty: { adoption, capex } — multipliers on the adoption ramp and on upfront + financed capex
+   - A distribution is { dist: "triangular" | "normal" | "uniform", min, mode, max, mean, sd }
+   - Each draw runs the unchanged engine (computeMeasure); one value per input per draw, used in every year
+*/
+
+import { computeMeasure, gridValueAt, DEFAULT_YEARS } from "./maccEngine.js";
+
+export const DIST_TYPES = ["triangular", "normal", "uniform"];
+
+const LINE_GROUPS = ["fuel_lines", "raw_lines", "transport_lines", "waste_lines", "electricity_lines"];
+
+/* Seeded PRNG (mulberry32) so a run can be repeated */
+export function makeRng(seed = 1) {
+  let a = (Number(seed) >>> 0) || 1;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const hasDist = (d) => DIST_TYPES.includes(d?.dist);
+
+export function distCenter(d) {
+  if (!hasDist(d)) return null;
+  if (d.dist === "normal") return Number(d.mean || 0);
+  if (d.dist === "uniform") return (Number(d.min || 0) + Number(d.max || 0)) / 2;
+  return Number(d.mode || 0);
+}
+
+export function sampleDist(d, rng) {
+  const u = rng();
+  if (d.dist === "uniform") {
+    const lo = Number(d.min || 0), hi = Number(d.max || 0);
+    return lo + (hi - lo) * u;
+  }
+  if (d.dist === "normal") {
+    const v = Math.max(rng(), 1e-12);
+    const z = Math.sqrt(-2 * Math.log(Math.max(u, 1e-12))) * Math.cos(2 * Math.PI * v);
+    return Number(d.mean || 0) + Number(d.sd || 0) * z;
+  }
+  // triangular (inverse CDF)
+  const a = Number(d.min || 0), c = Number(d.mode || 0), b = Number(d.max || 0);
+  if (b <= a) return a;
+  const F = (c - a) / (b - a);
+  return u < F ? a + Math.sqrt(u * (b - a) * (c - a)) : b - Math.sqrt((1 - u) * (b - a) * (b - c));
+}
+
+/* Does a measure's details carry any distribution? */
+export function hasUncertainty(details) {
+  const dr = details?.drivers || {};
+  const onLines = LINE_GROUPS.some(g => (dr[g] || []).some(ln => hasDist(ln.priceDist) || hasDist(ln.efDist)));
+  return onLines || hasDist(details?.uncertainty?.adoption) || hasDist(details?.uncertainty?.capex);
+}
+
+/* One draw of the details: every distribution sampled once (negative draws clipped to 0) */
+export function perturbDetails(details, rng) {
+  const d = details || {};
+  const draw = (dist) => Math.max(0, sampleDist(dist, rng));
+  const drivers = { ...(d.drivers || {}) };
+  LINE_GROUPS.forEach(g => {
+    drivers[g] = (drivers[g] || []).map(ln => {
+      const out = { ...ln, ...(hasDist(ln.priceDist) ? { priceOv: draw(ln.priceDist) } : {}) };
+      if (!hasDist(ln.efDist)) return out;
+      out.efOv = draw(ln.efDist);
+      // Per-year EF overrides win over efOv in the engine, so they move with the draw too
+      if (Array.isArray(ln.efOvPerYear)) {
+        const c = distCenter(ln.efDist);
+        out.efOvPerYear = ln.efOvPerYear.map(v => (v === "" || v == null ? v : (c > 0 ? Number(v) * (out.efOv / c) : out.efOv)));
+      }
+      return out;
+    });
+  });
+  const u = d.uncertainty || {};
+  const fA = hasDist(u.adoption) ? draw(u.adoption) : 1;
+  const fC = hasDist(u.capex) ? draw(u.capex) : 1;
+  const scale = (arr, f) => (arr || []).map(v => (v === "" || v == null ? v : Number(v) * f));
+  const stack = { ...(d.stack || {}) };
+  if (fC !== 1) {
+    stack.capex_upfront_cr = scale(stack.capex_upfront_cr, fC);
+    stack.capex_financed_cr = scale(stack.capex_financed_cr, fC);
+  }
+  return {
+    ...d,
+    drivers,
+    adoption: fA !== 1 ? (d.adoption || []).map(a => Math.min(1, Math.max(0, Number(a || 0) * fA))) : d.adoption,
+    stack,
+  };
+}
+
+export function percentile(sortedValues, p) {
+  const n = sortedValues.length;
+  if (!n) return 0;
+  const k = (n - 1) * p;
+  const lo = Math.floor(k), hi = Math.ceil(k);
+  return sortedValues[lo] + (sortedValues[hi] - sortedValues[lo]) * (k - lo);
+}
+
+const band = (values) => {
+  const s = values.filter(Number.isFinite).sort((a, b) => a - b);
+  return { p10: percentile(s, 0.1), p50: percentile(s, 0.5), p90: percentile(s, 0.9) };
+};
+
+/**
+ * Run `n` draws through computeMeasure.
+ * Costs per tCO₂ are banded without (`cost_wo`) and with (`cost_w`) carbon price; only draws with abatement count.
+ * The representative year is the deterministic one, so every draw is read at the same year.
+ * @returns { n, seed, years, repIdx, per_year: [{ year, reduction_t, cost_wo, cost_w }], rep: {...}, npv_wo, npv_w }
+ */
+export function runMonteCarlo(details, catalogs, carbonPrice, { n = 500, seed = 1, onProgress } = {}) {
+  const rng = makeRng(seed);
+  const base = computeMeasure(details, catalogs, carbonPrice);
+  const years = base.YEARS;
+  const red = years.map(() => []), cwo = years.map(() => []), cw = years.map(() => []);
+  const npvWO = [], npvW = [];
+  const N = Math.max(1, Math.round(Number(n) || 1));
+
+  for (let k = 0; k < N; k++) {
+    const c = computeMeasure(perturbDetails(details, rng), catalogs, carbonPrice);
+    c.perYear.forEach((py, i) => {
+      red[i].push(py.reduction_t);
+      if (py.reduction_t > 0) { cwo[i].push(py.implied_cost_per_t_wo); cw[i].push(py.implied_cost_per_t_w); }
+    });
+    npvWO.push(c.finance.npvWO); npvW.push(c.finance.npvW);
+    if (onProgress && (k + 1) % 50 === 0) onProgress((k + 1) / N);
+  }
+
+  const per_year = years.map((year, i) => ({ year, reduction_t: band(red[i]), cost_wo: band(cwo[i]), cost_w: band(cw[i]) }));
+  return { n: N, seed, years, repIdx: base.repIdx, per_year, rep: per_year[base.repIdx], npv_wo: band(npvWO), npv_w: band(npvW) };
+}
+
+/**
+ * P10/P50/P90 of a saved measure's abatement and saved-basis cost, at `year` (each percentile read with
+ * `gridValueAt`, like `measureAtYear`) or at the representative year. Null when the measure has no saved run.
+ */
+export function uncertaintyAt(m, year) {
+  const mc = m?.details?.mc_summary;
+  if (!mc?.per_year?.length) return null;
+  const pick = (row) => ({
+    abatement: row.reduction_t,
+    cost: m.details.saved_cost_includes_carbon_price ? row.cost_w : row.cost_wo,
+  });
+  if (year == null) return pick(mc.rep || mc.per_year[mc.repIdx || 0]);
+
+  const years = (mc.years || m.details.years || DEFAULT_YEARS).map(Number);
+  const rows = mc.per_year.map(pick);
+  const at = (key) => Object.fromEntries(["p10", "p50", "p90"].map(p => [p, gridValueAt(years, rows.map(r => r[key]?.[p]), year)]));
+  return { abatement: at("abatement"), cost: at("cost") };
+}
+
+/* Hash of everything a run depends on (key order independent), to tell a saved run from a stale one */
+export function inputSignature(details, carbonPrice) {
+  const d = details || {};
+  const stable = (v) => {
+    if (Array.isArray(v)) return `[${v.map(stable).join(",")}]`;
+    if (v && typeof v === "object") return `{${Object.keys(v).filter(k => v[k] != null).sort().map(k => `${k}:${stable(v[k])}`).join(",")}}`;
+    return JSON.stringify(v ?? null);
+  };
+  const text = stable({ years: d.years, meta: d.meta, adoption: d.adoption, drivers: d.drivers, stack: d.stack, uncertainty: d.uncertainty, carbonPrice });
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) { h ^= text.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h >>> 0).toString(16);
+}
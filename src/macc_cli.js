@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Headless MACC engine runner.
+ * - Reads a firm export (.json from "Export Active Firm") or a plain measures array.
+ * - Resolves catalogs from the sample data folder + the firm's custom catalogs (catalogMode).
+ * - Recomputes every template measure with src/maccEngine.js and prints the representative year.
+ * - Uses the firm's carbon price path when it is enabled; --cp forces a flat price.
+ *
+ * Usage:
+ *   node src/macc_cli.js <firm.json> [--data public/data] [--cp 500] [--json]
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { computeMeasure, resolveCatalogs, isTemplateMeasure, carbonPriceSchedule } from "./maccEngine.js";
+
+const args = process.argv.slice(2);
+if (!args.length || args.some(a => a === "--help" || a === "-h")) {
+  console.log("Usage: node src/macc_cli.js <firm.json> [--data public/data] [--cp <₹/tCO₂>] [--json]");
+  process.exit(0);
+}
+const flag = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+};
+const asJson = args.includes("--json");
+const dataDir = flag("--data", "public/data");
+const filePath = args.find((a, i) => !a.startsWith("--") && !["--data", "--cp"].includes(args[i - 1]));
+
+function readJson(p, fallback) {
+  try { return JSON.parse(fs.readFileSync(p, "utf8")); } catch { return fallback; }
+}
+
+const input = readJson(filePath, null);
+if (!input) {
+  console.error(`Cannot read JSON from ${filePath}`);
+  process.exit(1);
+}
+const firm = Array.isArray(input) ? { measures: input } : input;
+const carbonPrice = args.includes("--cp")
+  ? Number(flag("--cp", 0))
+  : carbonPriceSchedule(firm.carbonPrice, firm.carbonPricePath);
+
+const sample = {};
+for (const k of ["fuels", "raw", "transport", "waste", "electricity"]) {
+  sample[k] = readJson(path.join(dataDir, `${k}.json`), []);
+}
+const catalogs = resolveCatalogs(sample, firm.catalogs || {}, firm.catalogMode || "merged");
+
+const rows = (firm.measures || []).map((m) => {
+  if (!isTemplateMeasure(m)) {
+    return { name: m.name, sector: m.sector, mode: m.details?.mode || "quick", year: null,
+      abatement_tco2: Number(m.abatement_tco2 || 0), cost_wo_cp: Number(m.cost_per_tco2 || 0), cost_w_cp: null };
+  }
+  const c = computeMeasure(m.details, catalogs, carbonPrice);
+  return {
+    name: m.name, sector: m.sector, mode: "template", year: c.YEARS[c.repIdx],
+    abatement_tco2: c.rep.reduction_t, cost_wo_cp: c.rep.implied_cost_per_t_wo, cost_w_cp: c.rep.implied_cost_per_t_w,
+    npv_wo_cp: c.finance.npvWO, npv_w_cp: c.finance.npvW, per_year: c.perYear,
+  };
+});
+
+if (asJson) {
+  console.log(JSON.stringify({ carbonPrice, measures: rows }, null, 2));
+} else {
+  const fmt = (v) => (v == null || !Number.isFinite(Number(v)) ? "—" : Number(v).toFixed(2));
+  console.log(typeof carbonPrice === "object"
+    ? `Carbon price path: ${Object.entries(carbonPrice).map(([y, v]) => `${y}: ₹${v}`).join(", ")}`
+    : `Carbon price: ₹${carbonPrice}/tCO₂`);
+  console.log(["Measure", "Sector", "Mode", "Year", "Abatement (tCO₂)", "Cost w/o CP", "Cost w/ CP"].join("\t"));
+  rows.forEach(r => console.log([r.name, r.sector, r.mode, r.year ?? "—", fmt(r.abatement_tco2), fmt(r.cost_wo_cp), fmt(r.cost_w_cp)].join("\t")));
+}
@@ -0,0 +1,19 @@
+/* Web Worker: Monte Carlo draws off the UI thread
+   in:  { details, catalogs, carbonPrice, n, seed }
+   out: { type: "progress", value } … then { type: "done", result } or { type: "error", message }
+*/
+
+import { runMonteCarlo } from "./maccUncertainty.js";
+
+self.onmessage = (e) => {
+  const { details, catalogs, carbonPrice, n, seed } = e.data || {};
+  try {
+    const result = runMonteCarlo(details, catalogs, carbonPrice, {
+      n, seed,
+      onProgress: (value) => self.postMessage({ type: "progress", value }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: String(err?.message || err) });
+  }
+};
@@ -0,0 +1,188 @@
+import { describe, it, expect } from "vitest";
+import { stepFitPoints, fitCurve, sampleFit, weightedQuadraticFit, tQuantile975 } from "../src/curveFits.js";
+
+// Noiseless weighted points from a known curve
+const pointsOf = (f, xs, w = () => 1) => xs.map((x, i) => ({ x, y: f(x), w: w(i) }));
+const range = (a, b, step = 1) => Array.from({ length: Math.round((b - a) / step) + 1 }, (_, i) => a + i * step);
+
+describe("stepFitPoints", () => {
+  it("puts each step at its middle, weighted by its width", () => {
+    const segs = [{ x1_plot: 0, x2_plot: 4, cost: -50 }, { x1_plot: 4, x2_plot: 10, cost: 200 }, { x1_plot: 10, x2_plot: 10, cost: 300 }];
+    expect(stepFitPoints(segs)).toEqual([{ x: 2, y: -50, w: 4 }, { x: 7, y: 200, w: 6 }]);
+    expect(stepFitPoints(segs, { positiveOnly: true })).toEqual([{ x: 7, y: 200, w: 6 }]);
+  });
+});
+
+describe("cubic", () => {
+  const f = (x) => 2 - 3 * x + 0.5 * x ** 2 + 0.1 * x ** 3;
+  const pts = pointsOf(f, range(1, 8), (i) => 1 + i);
+
+  it("recovers the coefficients of a cubic", () => {
+    const fit = fitCurve("cubic", pts);
+    const { c0, c1, c2, c3 } = fit.params;
+    expect([c0, c1, c2, c3].map(v => Number(v.toFixed(9)))).toEqual([2, -3, 0.5, 0.1]);
+    expect(fit.r2).toBeCloseTo(1, 9);
+    expect(fit.rmse).toBeCloseTo(0, 9);
+    expect(fit).toMatchObject({ method: "cubic", label: "Cubic polynomial", n: 8 });
+  });
+
+  it("ignores a zero-weight point", () => {
+    const fit = fitCurve("cubic", [...pts, { x: 4.5, y: 1e6, w: 0 }]);
+    expect(fit.params.c3).toBeCloseTo(0.1, 9);
+    expect(fit.predict(4.5)).toBeCloseTo(f(4.5), 6);
+  });
+
+  it("needs four points", () => {
+    expect(fitCurve("cubic", pts.slice(0, 3))).toBeNull();
+  });
+});
+
+describe("exponential", () => {
+  it("recovers a, b and k when k·xMax is on the search grid", () => {
+    // k·xMax = 0.3 × 10 = 3
+    const fit = fitCurve("exponential", pointsOf((x) => 5 + 2 * Math.exp(0.3 * x), range(0, 10)));
+    expect(fit.params.a).toBeCloseTo(5, 6);
+    expect(fit.params.b).toBeCloseTo(2, 6);
+    expect(fit.params.k).toBeCloseTo(0.3, 6);
+  });
+
+  it("refines k between grid values by golden-section search", () => {
+    // k·xMax = 0.37 × 10 = 3.7, between the 3.5 and 3.75 grid values
+    const fit = fitCurve("exponential", pointsOf((x) => 1 + 3 * Math.exp(0.37 * x), range(0, 10), (i) => (i % 2 ? 2 : 1)));
+    expect(fit.params.k).toBeCloseTo(0.37, 5);
+    expect(fit.params.a).toBeCloseTo(1, 3);
+    expect(fit.params.b).toBeCloseTo(3, 3);
+    expect(fit.r2).toBeCloseTo(1, 8);
+  });
+
+  it("fits a decaying curve", () => {
+    const fit = fitCurve("exponential", pointsOf((x) => 10 - 4 * Math.exp(-0.5 * x), range(0, 10)));
+    expect(fit.params.k).toBeCloseTo(-0.5, 5);
+    expect(fit.params.a).toBeCloseTo(10, 4);
+    expect(fit.params.b).toBeCloseTo(-4, 4);
+  });
+
+  it("needs three points", () => {
+    expect(fitCurve("exponential", pointsOf((x) => x, [1, 2]))).toBeNull();
+  });
+});
+
+describe("piecewise", () => {
+  // Slope 2 up to x = 3, slope −1 after; two equal-weight segments put the knot at the weighted median, x = 3
+  const f = (x) => (x <= 3 ? 1 + 2 * x : 7 - (x - 3));
+  const pts = pointsOf(f, range(1, 6));
+
+  it("recovers the knot, the slopes and the value at each segment start", () => {
+    const fit = fitCurve("piecewise", pts, { segmentsCount: 2 });
+    expect(fit.params.knots).toEqual([3]);
+    const segs = fit.params.segments;
+    expect(segs.map(s => s.from_x)).toEqual([1, 3]);
+    expect(segs[0].slope).toBeCloseTo(2, 9);
+    expect(segs[1].slope).toBeCloseTo(-1, 9);
+    expect(segs[0].cost_at_from).toBeCloseTo(3, 9);
+    expect(segs[1].cost_at_from).toBeCloseTo(7, 9);
+    expect(fit.r2).toBeCloseTo(1, 9);
+  });
+
+  it("places knots by weight, not by count", () => {
+    // Most of the weight sits on the first two points, so the median knot moves to x = 2
+    const fit = fitCurve("piecewise", pointsOf(f, range(1, 6), (i) => (i < 2 ? 10 : 1)), { segmentsCount: 2 });
+    expect(fit.params.knots).toEqual([2]);
+  });
+
+  it("needs one more point than segments", () => {
+    expect(fitCurve("piecewise", pts.slice(0, 3), { segmentsCount: 3 })).toBeNull();
+  });
+});
+
+describe("isotonic", () => {
+  it("reproduces non-decreasing data exactly", () => {
+    const pts = pointsOf((x) => x * x, range(0, 4));
+    const fit = fitCurve("isotonic", pts);
+    expect(fit.params.blocks.map(b => b.cost)).toEqual([0, 1, 4, 9, 16]);
+    expect(fit.r2).toBe(1);
+    expect(fit.predict(2.5)).toBeCloseTo(6.5, 9); // linear between block ends
+    expect(fit.predict(-1)).toBe(0); // flat outside
+    expect(fit.predict(10)).toBe(16);
+  });
+
+  it("pools a violator into its weighted mean", () => {
+    // 3 (w 1) above 2 (w 3) pools to (3 + 6) / 4
+    const fit = fitCurve("isotonic", [{ x: 1, y: 1, w: 1 }, { x: 2, y: 3, w: 1 }, { x: 3, y: 2, w: 3 }, { x: 4, y: 4, w: 1 }]);
+    expect(fit.params.blocks).toEqual([
+      { from_x: 1, to_x: 1, cost: 1, weight: 1 },
+      { from_x: 2, to_x: 3, cost: 2.25, weight: 4 },
+      { from_x: 4, to_x: 4, cost: 4, weight: 1 },
+    ]);
+  });
+
+  it("lets a zero-weight violator take its neighbour's value", () => {
+    const fit = fitCurve("isotonic", [{ x: 1, y: 1, w: 1 }, { x: 2, y: 5, w: 0 }, { x: 3, y: 2, w: 1 }]);
+    expect(fit.params.blocks.map(b => b.cost)).toEqual([1, 2]);
+    expect(fit.predict(2)).toBe(2);
+  });
+
+  it("needs two points", () => {
+    expect(fitCurve("isotonic", [{ x: 1, y: 1, w: 1 }])).toBeNull();
+  });
+});
+
+describe("fitCurve / sampleFit", () => {
+  it("returns null for an unknown method", () => {
+    expect(fitCurve("spline", pointsOf((x) => x, range(0, 5)))).toBeNull();
+  });
+
+  it("samples a fit on an even grid from 0 to xMax", () => {
+    const fit = fitCurve("cubic", pointsOf((x) => 1 + x, range(0, 5)));
+    const s = sampleFit(fit, 5, 5);
+    expect(s.map(p => p.x)).toEqual([0, 1, 2, 3, 4, 5]);
+    s.forEach(p => expect(p.y).toBeCloseTo(1 + p.x, 9));
+    expect(sampleFit(fit, 0)).toEqual([]);
+    expect(sampleFit(null, 5)).toEqual([]);
+  });
+});
+
+describe("weightedQuadraticFit", () => {
+  // Unit weights at x = −2…2, y = 4, 2, 0, 0, 4: OLS gives a = 0, b = −1/5, c = 1 with residuals ∓2/5, ±4/5, 0,
+  // so σ² = (8/5) / (5 − 3) = 4/5 and (XᵀX)⁻¹ has diagonal 17/35, 1/10, 1/14
+  const pts = [[-2, 4], [-1, 2], [0, 0], [1, 0], [2, 4]].map(([x, y]) => ({ x, y, w: 1 }));
+
+  it("matches the hand-worked coefficients, R² and standard errors", () => {
+    const fit = weightedQuadraticFit(pts);
+    expect(fit.a).toBeCloseTo(0, 12);
+    expect(fit.b).toBeCloseTo(-0.2, 12);
+    expect(fit.c).toBeCloseTo(1, 12);
+    expect(fit.r2).toBeCloseTo(1 - 1.6 / 16, 12);
+    expect(fit).toMatchObject({ n: 5, df: 2 });
+    expect(fit.se.a).toBeCloseTo(Math.sqrt((4 / 5) * (17 / 35)), 12);
+    expect(fit.se.b).toBeCloseTo(Math.sqrt((4 / 5) * (1 / 10)), 12);
+    expect(fit.se.c).toBeCloseTo(Math.sqrt((4 / 5) * (1 / 14)), 12);
+  });
+
+  it("draws the 95% band as t(df) × the standard error of the mean curve", () => {
+    const fit = weightedQuadraticFit(pts);
+    const t = tQuantile975(2);
+    expect(t).toBe(4.303);
+    // x = 0 → Var = Var(a); x = 1 → σ²·gᵀ(XᵀX)⁻¹g with g = (1, 1, 1) = 4/5 × 13/35
+    const at0 = fit.band(0), at1 = fit.band(1);
+    expect(at0.hi - fit.predict(0)).toBeCloseTo(t * fit.se.a, 12);
+    expect(at0.lo).toBeCloseTo(-t * fit.se.a, 12);
+    expect(at1.hi - fit.predict(1)).toBeCloseTo(t * Math.sqrt((4 / 5) * (13 / 35)), 12);
+    expect(fit.predict(1) - at1.lo).toBeCloseTo(t * Math.sqrt((4 / 5) * (13 / 35)), 12);
+  });
+
+  it("does not change with the scale of the weights", () => {
+    const fit = weightedQuadraticFit(pts);
+    const scaled = weightedQuadraticFit(pts.map(p => ({ ...p, w: 7 })));
+    ["a", "b", "c"].forEach(k => expect(scaled.se[k]).toBeCloseTo(fit.se[k], 12));
+    expect(scaled.band(1).hi).toBeCloseTo(fit.band(1).hi, 12);
+  });
+
+  it("has no standard errors or band without residual degrees of freedom", () => {
+    const fit = weightedQuadraticFit(pts.slice(0, 3));
+    expect(fit.df).toBe(0);
+    expect(fit.se).toEqual({ a: null, b: null, c: null });
+    expect(fit.band(0)).toEqual({ lo: null, hi: null });
+    expect(weightedQuadraticFit(pts.slice(0, 2))).toBeNull();
+  });
+});
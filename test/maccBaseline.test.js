@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { bauAt, bauHorizonEmissions, wedgeSeries } from "../src/maccBaseline.js";
+
+// 1 000 units at 2 tCO₂/unit
+const base = { annual_production: 1000, annual_emissions: 2000 };
+
+describe("bauAt", () => {
+  it("returns the static values without settings or without a year", () => {
+    expect(bauAt(base, 2040, 2025)).toEqual({ production: 1000, emissions: 2000, intensity: 2 });
+    expect(bauAt({ ...base, bau: { mode: "growth", production_cagr_pct: 5 } }, null, 2025).emissions).toBe(2000);
+  });
+
+  it("grows production at the CAGR and drifts intensity from the base year", () => {
+    const b = { ...base, bau: { mode: "growth", base_year: 2025, production_cagr_pct: 10, intensity_drift_pct: -5 } };
+    const at = bauAt(b, 2027, 2030);
+    expect(at.production).toBeCloseTo(1000 * 1.1 ** 2, 9);
+    expect(at.intensity).toBeCloseTo(2 * 0.95 ** 2, 12);
+    expect(at.emissions).toBeCloseTo(1210 * 2 * 0.9025, 9);
+    // Flat before the base year
+    expect(bauAt(b, 2020, 2030)).toEqual({ production: 1000, emissions: 2000, intensity: 2 });
+  });
+
+  it("falls back to the horizon start as the base year", () => {
+    const b = { ...base, bau: { mode: "growth", production_cagr_pct: 10 } };
+    expect(bauAt(b, 2031, 2030).production).toBeCloseTo(1100, 9);
+  });
+
+  it("drifts emissions directly when there is no production", () => {
+    const b = { annual_production: 0, annual_emissions: 500, bau: { mode: "growth", base_year: 2025, intensity_drift_pct: 10 } };
+    expect(bauAt(b, 2026)).toMatchObject({ production: 0, intensity: 0 });
+    expect(bauAt(b, 2026).emissions).toBeCloseTo(550, 9);
+  });
+
+  it("reads an explicit series linearly, flat outside, with production at the base intensity", () => {
+    const b = { ...base, bau: { mode: "series", series: { 2030: 3000, 2025: 2000, 2035: "" } } };
+    expect(bauAt(b, 2028)).toEqual({ production: 1300, emissions: 2600, intensity: 2 });
+    expect(bauAt(b, 2020).emissions).toBe(2000);
+    expect(bauAt(b, 2040).emissions).toBe(3000);
+    expect(bauAt({ ...base, bau: { mode: "series", series: {} } }, 2028).emissions).toBe(2000);
+  });
+});
+
+describe("bauHorizonEmissions", () => {
+  it("sums the calendar years, discounted from the start when asked", () => {
+    const at = (y) => (y - 2020) * 100;
+    expect(bauHorizonEmissions(at, 2021, 2023, 0.1, false)).toBe(600);
+    expect(bauHorizonEmissions(at, 2021, 2023, 0.1, true)).toBeCloseTo(100 + 200 / 1.1 + 300 / 1.21, 9);
+  });
+});
+
+describe("wedgeSeries", () => {
+  const yearly = [
+    { year: 2030, bau_t: 1000, rows: [{ id: 2, name: "B", abatement_tco2: 300 }, { id: 1, name: "A", abatement_tco2: 0 }] },
+    { year: 2035, bau_t: 1200, rows: [{ id: 1, name: "A", abatement_tco2: 200 }, { id: 2, name: "B", abatement_tco2: 400 }, { id: 3, name: "C", abatement_tco2: -50 }] },
+    { year: 2040, bau_t: 500, rows: [{ id: 2, name: "B", abatement_tco2: 400 }, { id: 1, name: "A", abatement_tco2: 300 }] },
+  ];
+  const { measures, data } = wedgeSeries(yearly);
+
+  it("orders wedges by first abating year and skips measures that never abate", () => {
+    expect(measures).toEqual([{ key: "w0", id: 2, name: "B" }, { key: "w1", id: 1, name: "A" }]);
+  });
+
+  it("splits each year's BAU into the wedges and what is left", () => {
+    expect(data[0]).toEqual({ year: 2030, bau_t: 1000, w0: 300, w1: 0, abated_t: 300, residual_t: 700 });
+    expect(data[1]).toEqual({ year: 2035, bau_t: 1200, w0: 400, w1: 200, abated_t: 600, residual_t: 600 });
+    // Wedges add up to the abatement; the residual stops at zero
+    expect(data[2]).toEqual({ year: 2040, bau_t: 500, w0: 400, w1: 300, abated_t: 700, residual_t: 0 });
+    data.forEach(p => expect(p.w0 + p.w1).toBe(p.abated_t));
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { complianceByYear, geiTargetYears } from "../src/maccCompliance.js";
+
+// 1 000 units emitting 2 000 t: baseline GEI 2 tCO₂e/unit
+const baseline = { annual_production: 1000, annual_emissions: 2000, gei_targets: { 2030: 1.8, "2035": 1.5, 2040: "" } };
+// 250 t of abatement; effective costs are net of a 500 ₹/t carbon price
+const rows = [
+  { name: "A", abatement_tco2: 100, effective_cost: -200 },
+  { name: "B", abatement_tco2: 150, effective_cost: 300 },
+  { name: "C", abatement_tco2: -50, effective_cost: 1000 },
+];
+const run = (projectAt) => complianceByYear(baseline, () => rows, () => 500, projectAt);
+
+describe("geiTargetYears", () => {
+  it("lists the years with a numeric target, in order", () => {
+    expect(geiTargetYears(baseline)).toEqual([2030, 2035]);
+    expect(geiTargetYears({})).toEqual([]);
+  });
+});
+
+describe("complianceByYear", () => {
+  it("earns credits = (target − achieved) × production, valued at the carbon price", () => {
+    const [y2030] = run();
+    // achieved = (2 000 − 250) / 1 000 = 1.75; (1.8 − 1.75) × 1 000 = 50 t
+    expect(y2030.abatement_t).toBe(250);
+    expect(y2030.achieved_gei).toBeCloseTo(1.75, 12);
+    expect(y2030.credits_t).toBeCloseTo(50, 9);
+    expect(y2030.credit_value).toBeCloseTo(50 * 500, 6);
+    expect(y2030.required_t).toBeCloseTo(200, 9);
+    expect(y2030.gap_gei).toBeCloseTo(-0.05, 12);
+  });
+
+  it("counts a shortfall as credits to buy", () => {
+    const y2035 = run()[1];
+    expect(y2035.credits_t).toBeCloseTo((1.5 - 1.75) * 1000, 9);
+    expect(y2035.credit_value).toBeCloseTo(-250 * 500, 6);
+  });
+
+  it("adds the carbon price back into the measure cost", () => {
+    // 100 × (−200 + 500) + 150 × (300 + 500); the negative-abatement row counts for nothing
+    const [y2030] = run();
+    expect(y2030.measure_cost).toBeCloseTo(30000 + 120000, 6);
+    expect(y2030.net_cost).toBeCloseTo(150000 - 25000, 6);
+  });
+
+  it("uses the projected production and emissions of each year", () => {
+    const y2035 = run((year) => (year === 2035 ? { production: 1250, emissions: 2500 } : { production: 1000, emissions: 2000 }))[1];
+    // achieved = (2 500 − 250) / 1 250 = 1.8
+    expect(y2035.baseline_gei).toBe(2);
+    expect(y2035.achieved_gei).toBeCloseTo(1.8, 12);
+    expect(y2035.credits_t).toBeCloseTo((1.5 - 1.8) * 1250, 9);
+  });
+
+  it("needs a baseline production above zero", () => {
+    expect(complianceByYear({ ...baseline, annual_production: 0 }, () => rows, () => 500)).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { csvToJson, jsonToCsv, measuresToCsv, measuresFromCsvRows } from "../src/maccCsv.js";
+import { withCapexCr } from "../src/maccEngine.js";
+
+const roundTrip = (measures) => measuresFromCsvRows(csvToJson(measuresToCsv(measures)), 1);
+
+describe("jsonToCsv", () => {
+  it("writes the union of every row's keys, in order of first appearance", () => {
+    const text = jsonToCsv([{ a: 1 }, { b: 2, a: 3 }, { c: "x,y" }]);
+    expect(text.split("\n")).toEqual(["a,b,c", "1,,", "3,2,", ',,"x,y"']);
+  });
+
+  it("keeps details as JSON that csvToJson parses back", () => {
+    const rows = csvToJson(jsonToCsv([{ name: "A", details: { mode: "quick", note: 'say "hi", ok' } }]));
+    expect(rows[0].details).toEqual({ mode: "quick", note: 'say "hi", ok' });
+  });
+});
+
+describe("measures CSV round trip", () => {
+  it("keeps shared-pool keys set only on a later row", () => {
+    const back = roundTrip([
+      { id: 7, name: "LED lighting", sector: "Power", abatement_tco2: 100, cost_per_tco2: -200, selected: true },
+      { id: 8, name: "Boiler upgrade", sector: "Power", abatement_tco2: 50, cost_per_tco2: 300, selected: false, acts_on: ["fuel:Coal", "steam"] },
+    ]);
+    expect(back[0].acts_on).toEqual([]);
+    expect(back[1].acts_on).toEqual(["fuel:Coal", "steam"]);
+    expect(back[1]).toMatchObject({ id: 2, name: "Boiler upgrade", abatement_tco2: 50, cost_per_tco2: 300, selected: false });
+  });
+
+  it("keeps exclusive groups and prerequisites set only on later rows", () => {
+    const back = roundTrip([
+      { id: 1, name: "Solar PPA", sector: "Power", abatement_tco2: 80, cost_per_tco2: -50, selected: true },
+      { id: 2, name: "Solar rooftop", sector: "Power", abatement_tco2: 60, cost_per_tco2: 120, selected: true, exclusive_group: "solar" },
+      { id: 3, name: "Battery storage", sector: "Power", abatement_tco2: 20, cost_per_tco2: 900, selected: true, requires: "Solar rooftop" },
+    ]);
+    expect(back.map(m => [m.exclusive_group, m.requires])).toEqual([["", ""], ["solar", ""], ["", "Solar rooftop"]]);
+  });
+
+  it("keeps a quick measure's capex set only on a later row", () => {
+    const back = roundTrip([
+      { id: 1, name: "LED lighting", sector: "Power", abatement_tco2: 100, cost_per_tco2: -200, selected: true },
+      { id: 2, name: "VFD drives", sector: "Power", abatement_tco2: 40, cost_per_tco2: 150, selected: true, capex_cr: 2.5 },
+    ]);
+    expect("capex_cr" in back[0]).toBe(false);
+    expect(back[1].capex_cr).toBe(2.5);
+  });
+});
+
+describe("withCapexCr", () => {
+  it("sets the capex from an input value and removes the key when cleared", () => {
+    const m = withCapexCr({ id: 1, name: "VFD drives" }, "3");
+    expect(m.capex_cr).toBe(3);
+    const cleared = withCapexCr(m, "");
+    expect("capex_cr" in cleared).toBe(false);
+    expect(cleared).toEqual({ id: 1, name: "VFD drives" });
+  });
+});
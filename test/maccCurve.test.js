@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { greedyWithinBudget, sortByEffectiveCost } from "../src/maccCurve.js";
+import { levelisedMeasure } from "../src/maccEngine.js";
+
+// Quick measures: A saves 1 000 ₹/t, B costs 500 ₹/t, C 1 000 ₹/t (annual tCO₂)
+const measures = [
+  { id: 3, name: "C", abatement_tco2: 200, cost_per_tco2: 1000 },
+  { id: 1, name: "A", abatement_tco2: 100, cost_per_tco2: -1000 },
+  { id: 2, name: "B", abatement_tco2: 400, cost_per_tco2: 500 },
+];
+
+describe("greedyWithinBudget — annual basis", () => {
+  const curve = sortByEffectiveCost(measures, 0);
+
+  it("adds negative-cost savings to the budget and takes the last measure in part", () => {
+    // A frees 1 lakh, B spends 2 lakh, the 1 lakh left buys 100 t of C
+    const r = greedyWithinBudget(curve, 200000);
+    expect(r.reachedT).toBeCloseTo(600, 9);
+    expect(r.spend).toBeCloseTo(200000, 6);
+    expect(r).toMatchObject({ marginalCost: 1000, lastName: "C" });
+  });
+
+  it("takes the whole curve when the budget covers it", () => {
+    const r = greedyWithinBudget(curve, 1e9);
+    expect(r.reachedT).toBe(700);
+    expect(r.spend).toBe(-100000 + 200000 + 200000);
+  });
+
+  it("skips an unaffordable row instead of ending the walk", () => {
+    // A dependant moved after its dearer prerequisite: B cannot be paid for, A still counts
+    const rows = [{ name: "B", abatement_tco2: 400, effective_cost: 500 }, { name: "A", abatement_tco2: 100, effective_cost: -1000 }];
+    const r = greedyWithinBudget(rows, 0);
+    expect(r).toMatchObject({ reachedT: 100, spend: -100000, marginalCost: -1000, lastName: "A" });
+  });
+
+  it("keeps the budget-limited row as the marginal one when a saving follows it", () => {
+    const rows = [
+      { name: "B", abatement_tco2: 400, effective_cost: 500 },
+      { name: "A", abatement_tco2: 100, effective_cost: -1000 },
+      { name: "C", abatement_tco2: 200, effective_cost: 1000 },
+    ];
+    // 1 lakh buys 200 t of B; A adds 100 t and frees 1 lakh for 100 t of C
+    const r = greedyWithinBudget(rows, 100000);
+    expect(r.reachedT).toBeCloseTo(400, 9);
+    expect(r.spend).toBeCloseTo(100000, 6);
+    expect(r).toMatchObject({ marginalCost: 1000, lastName: "C" });
+  });
+});
+
+describe("greedyWithinBudget — levelised basis", () => {
+  // Five undiscounted horizon years: tonnes ×5, cost per tonne unchanged, so the lifetime budget is 5× the annual one
+  const horizon = { start: 2030, end: 2034, step: 1 };
+  const curve = sortByEffectiveCost(measures.map(m => ({ ...m, ...levelisedMeasure(m, { horizon, discountTonnes: false }) })), 0);
+
+  it("walks horizon tonnes against a lifetime budget", () => {
+    expect(curve.map(m => m.abatement_tco2)).toEqual([500, 2000, 1000]);
+    const r = greedyWithinBudget(curve, 5 * 200000);
+    expect(r.reachedT).toBeCloseTo(5 * 600, 9);
+    expect(r.spend).toBeCloseTo(5 * 200000, 6);
+    expect(r.lastName).toBe("C");
+  });
+
+  it("counts the lifetime savings of negative-cost measures as headroom", () => {
+    // A's 500 t free 5 lakh; with a 1 lakh budget that buys 1 200 t of B
+    const r = greedyWithinBudget(curve, 100000);
+    expect(r.reachedT).toBeCloseTo(500 + 1200, 9);
+    expect(r.lastName).toBe("B");
+  });
+});
@@ -0,0 +1,245 @@
+/* Engine regression suite — each expectation is written out from README "Methodology (Formulas)" */
+
+import { describe, it, expect } from "vitest";
+import {
+  INR_PER_CR, annuityFactor, carbonPriceAt, computeMeasure, summariseMeasure, measureAtYear, gridValueAt,
+  levelisedMeasure, horizonWeight, TONNE_DISCOUNT_RATE,
+} from "../src/maccEngine.js";
+import { effectiveCost } from "../src/maccCurve.js";
+
+const catalogs = {
+  fuels: [{ name: "Coal", price: 5000, ef_tco2_per_unit: 2 }],
+  raw: [], transport: [], waste: [],
+  electricity: [{ state: "Gujarat", price_per_mwh: 6000, ef_tco2_per_mwh: 0.8 }],
+};
+
+const details = {
+  years: [2025, 2030],
+  meta: { discount_rate: 0.08, project_life_years: 10 },
+  adoption: [0.5, 1],
+  drivers: {
+    fuel_lines: [{ name: "Coal", delta: [-100, -200], priceEscPctYr: 2 }],
+    electricity_lines: [{ state: "Gujarat", deltaMWh: [50, 100], efOvPerYear: ["", 0.5] }],
+    other_direct_t: [10, 20],
+  },
+  stack: {
+    opex_cr: [0.1, 0.1],
+    savings_cr: [0.05, 0.2],
+    other_cr: [0, 0],
+    capex_upfront_cr: [1, 0],
+    capex_financed_cr: [0, 2],
+    interest_rate_pct: [0, 10],
+    financing_tenure_years: [0, 5],
+  },
+};
+
+const path = { 2025: 100, 2035: 300 };
+
+// Year 2025 (Δt = 0, a = 0.5)
+const fuel0 = { t: -50 * 2, cr: (-50 * 5000) / INR_PER_CR };
+const elec0 = { t: 25 * 0.8, cr: (25 * 6000) / INR_PER_CR };
+const other0 = -0.5 * 10;
+const red0 = -(fuel0.t + elec0.t + other0);
+const driver0 = fuel0.cr + elec0.cr;
+const upfront0 = 1 * annuityFactor(0.08, 10);
+const net0 = driver0 + 0.1 + 0 - 0.05 + 0 + upfront0;
+
+// Year 2030 (Δt = 5, a = 1): price escalates, the per-year EF override replaces the catalog EF
+const fuel1 = { t: -200 * 2, cr: (-200 * 5000 * Math.pow(1.02, 5)) / INR_PER_CR };
+const elec1 = { t: 100 * 0.5, cr: (100 * 6000) / INR_PER_CR };
+const other1 = -1 * 20;
+const red1 = -(fuel1.t + elec1.t + other1);
+const driver1 = fuel1.cr + elec1.cr;
+const financed1 = 2 * annuityFactor(0.10, 5);
+const net1 = driver1 + 0.1 + 0 - 0.2 + financed1 + 0;
+
+describe("carbonPriceAt", () => {
+  it("returns a flat price for every year", () => {
+    expect(carbonPriceAt(750, 2040)).toBe(750);
+    expect(carbonPriceAt(null, 2040)).toBe(0);
+  });
+
+  it("interpolates a path linearly and holds it flat beyond the ends", () => {
+    expect(carbonPriceAt(path, 2030)).toBeCloseTo(200);
+    expect(carbonPriceAt(path, 2020)).toBe(100);
+    expect(carbonPriceAt(path, 2050)).toBe(300);
+    expect(carbonPriceAt(path, null)).toBe(100);
+  });
+});
+
+describe("computeMeasure", () => {
+  const c = computeMeasure(details, catalogs, path);
+  const [y0, y1] = c.perYear;
+
+  it("splits line emissions into driver pieces", () => {
+    expect(y0.pieces.fuel_t).toBeCloseTo(fuel0.t);
+    expect(y0.pieces.elec_t).toBeCloseTo(elec0.t);
+    expect(y0.pieces.other_t).toBeCloseTo(other0);
+    expect(y1.pieces.elec_t).toBeCloseTo(elec1.t);
+  });
+
+  it("reports reduction_t as the non-negative negated emissions delta", () => {
+    expect(y0.direct_t).toBeCloseTo(-red0);
+    expect(y0.reduction_t).toBeCloseTo(red0);
+    expect(y0.addition_t).toBe(0);
+    expect(y1.reduction_t).toBeCloseTo(red1);
+  });
+
+  it("annualises upfront capex at the real rate and financed capex at the loan terms", () => {
+    expect(y0.pieces.capexUpfrontAnnual_cr).toBeCloseTo(upfront0, 10);
+    expect(y1.pieces.financedAnnual_cr).toBeCloseTo(financed1, 10);
+    expect(y0.pieces.driver_cr).toBeCloseTo(driver0, 10);
+    expect(y0.net_cost_cr).toBeCloseTo(net0, 10);
+    expect(y1.net_cost_cr).toBeCloseTo(net1, 10);
+  });
+
+  it("charges upfront capex in full to the cash flow and credits CP on reduced tonnes", () => {
+    const cf0 = (0.05 - 0.1 - driver0 - 0 - 0 - 1) * INR_PER_CR;
+    const cf1 = (0.2 - 0.1 - driver1 - 0 - financed1 - 0) * INR_PER_CR;
+    expect(y0.cashflow_inr_wo_cp).toBeCloseTo(cf0, 2);
+    expect(y0.cashflow_inr_w_cp).toBeCloseTo(cf0 + 100 * red0, 2);
+    expect(y1.carbon_price).toBeCloseTo(200);
+    expect(y1.cashflow_inr_w_cp).toBeCloseTo(cf1 + 200 * red1, 2);
+  });
+
+  it("prices each tonne with and without the year's carbon price", () => {
+    expect(y0.implied_cost_per_t_wo).toBeCloseTo((net0 * INR_PER_CR) / red0, 6);
+    expect(y0.implied_cost_per_t_w).toBeCloseTo((net0 * INR_PER_CR - 100 * red0) / red0, 6);
+    expect(y1.implied_cost_per_t_w).toBeCloseTo((net1 * INR_PER_CR - 200 * red1) / red1, 6);
+  });
+
+  it("takes the first year with a reduction as representative", () => {
+    expect(c.repIdx).toBe(0);
+    expect(c.rep.year).toBe(2025);
+  });
+
+  it("gives zero per-ton cost in a year without reduction", () => {
+    const none = computeMeasure({ ...details, adoption: [0, 0] }, catalogs, 0);
+    expect(none.perYear[0].reduction_t).toBe(0);
+    expect(none.perYear[0].implied_cost_per_t_wo).toBe(0);
+  });
+});
+
+describe("summariseMeasure", () => {
+  const c = computeMeasure(details, catalogs, path);
+
+  it("saves the representative year's abatement and cost without CP", () => {
+    const s = summariseMeasure(details, c, { includesCarbonPrice: false, carbonPrice: path });
+    expect(s.abatement_tco2).toBeCloseTo(red0);
+    expect(s.cost_per_tco2).toBeCloseTo((net0 * INR_PER_CR) / red0, 6);
+    expect(s.details.saved_cost_includes_carbon_price).toBe(false);
+  });
+
+  it("saves the cost including CP with the price and path it was saved under", () => {
+    const s = summariseMeasure(details, c, { includesCarbonPrice: true, carbonPrice: path });
+    expect(s.cost_per_tco2).toBeCloseTo((net0 * INR_PER_CR - 100 * red0) / red0, 6);
+    expect(s.details.carbon_price_at_save).toBe(100);
+    expect(s.details.carbon_price_path_at_save).toEqual(path);
+    expect(s.details.mode).toBe("template_db_multiline");
+    expect(s.details.per_year).toHaveLength(2);
+  });
+});
+
+describe("gridValueAt", () => {
+  const years = [2025, 2030, 2040];
+  const values = [10, 20, 40];
+
+  it("is 0 before the first grid year, linear between and flat after the last", () => {
+    expect(gridValueAt(years, values, 2024)).toBe(0);
+    expect(gridValueAt(years, values, 2030)).toBe(20);
+    expect(gridValueAt(years, values, 2035)).toBeCloseTo(30);
+    expect(gridValueAt(years, values, 2060)).toBe(40);
+  });
+
+  it("stops at the shorter of years and values", () => {
+    expect(gridValueAt(years, [10, 20], 2040)).toBe(20);
+    expect(gridValueAt(years, [], 2030)).toBe(0);
+  });
+});
+
+describe("measureAtYear", () => {
+  const c = computeMeasure(details, catalogs, path);
+  const saved = { ...summariseMeasure(details, c, { includesCarbonPrice: false, carbonPrice: path }), id: "m1" };
+
+  it("falls back to the saved values without a year", () => {
+    expect(measureAtYear(saved, null)).toEqual({ abatement_tco2: saved.abatement_tco2, cost_per_tco2: saved.cost_per_tco2 });
+  });
+
+  it("is 0 before the first grid year and flat after the last", () => {
+    expect(measureAtYear(saved, 2024).abatement_tco2).toBe(0);
+    expect(measureAtYear(saved, 2045).abatement_tco2).toBeCloseTo(red1);
+    expect(measureAtYear(saved, 2045).cost_per_tco2).toBeCloseTo((net1 * INR_PER_CR) / red1, 6);
+  });
+
+  it("interpolates reduction and net cost linearly between grid years", () => {
+    const w = (2027 - 2025) / 5;
+    const red = red0 + (red1 - red0) * w;
+    const net = net0 + (net1 - net0) * w;
+    const r = measureAtYear(saved, 2027);
+    expect(r.abatement_tco2).toBeCloseTo(red);
+    expect(r.cost_per_tco2).toBeCloseTo((net * INR_PER_CR) / red, 6);
+    expect(r.cp_year).toBe(2027);
+  });
+
+  it("keeps a CP-inclusive saved basis using the price at save for that year", () => {
+    const withCp = summariseMeasure(details, c, { includesCarbonPrice: true, carbonPrice: path });
+    expect(measureAtYear({ ...withCp }, 2030).cost_per_tco2).toBeCloseTo((net1 * INR_PER_CR) / red1 - 200, 6);
+  });
+
+  it("returns quick measures flat with the year to price them at", () => {
+    expect(measureAtYear({ abatement_tco2: 40, cost_per_tco2: -300 }, 2040)).toEqual({ abatement_tco2: 40, cost_per_tco2: -300, cp_year: 2040 });
+  });
+});
+
+describe("effectiveCost", () => {
+  it("subtracts the current carbon price from a cost saved without CP", () => {
+    expect(effectiveCost({ cost_per_tco2: 500 }, 200)).toBe(300);
+  });
+
+  it("moves a cost saved with CP only by the change since saving", () => {
+    const m = {
+      cost_per_tco2: 400,
+      details: { mode: "template_db_multiline", years: [2025, 2030], representative_index: 0, saved_cost_includes_carbon_price: true, carbon_price_at_save: 100 },
+    };
+    expect(effectiveCost(m, 150)).toBe(350);
+    expect(effectiveCost(m, path)).toBe(400);
+  });
+
+  it("reads both prices in the evaluation year when one is set", () => {
+    const m = {
+      cost_per_tco2: 400, cp_year: 2030,
+      details: { mode: "template_db_multiline", years: [2025, 2030], representative_index: 0, saved_cost_includes_carbon_price: true, carbon_price_path_at_save: { 2025: 100, 2030: 120 } },
+    };
+    expect(effectiveCost(m, path)).toBeCloseTo(400 - (200 - 120));
+  });
+});
+
+describe("levelisedMeasure", () => {
+  const horizon = { start: 2025, end: 2050, step: 5 };
+  const years = [2025, 2030, 2035, 2040, 2045, 2050];
+  const template = {
+    abatement_tco2: 100, cost_per_tco2: 0,
+    details: {
+      mode: "template_db_multiline", years, representative_index: 0,
+      meta: { discount_rate: 0.05, project_life_years: 40 },
+      per_year: years.map(year => ({ year, reduction_t: 100, net_cost_cr: 0 })),
+    },
+  };
+  const quick = { abatement_tco2: 100, cost_per_tco2: 0 };
+
+  it("gives a flat template and a quick measure the same width over the horizon", () => {
+    [true, false].forEach(discountTonnes => {
+      const t = levelisedMeasure(template, { horizon, discountTonnes }).abatement_tco2;
+      const q = levelisedMeasure(quick, { horizon, discountTonnes }).abatement_tco2;
+      expect(t).toBeCloseTo(q, 6);
+      expect(t).toBeCloseTo(100 * horizonWeight(2025, 2050, TONNE_DISCOUNT_RATE, discountTonnes), 6);
+    });
+    expect(levelisedMeasure(template, { horizon, discountTonnes: false }).abatement_tco2).toBeCloseTo(2600);
+  });
+
+  it("counts only years inside both the horizon and the project life", () => {
+    const short = { ...template, details: { ...template.details, meta: { discount_rate: 0.05, project_life_years: 8 } } };
+    expect(levelisedMeasure(short, { horizon, discountTonnes: false }).abatement_tco2).toBeCloseTo(800);
+    expect(levelisedMeasure(template, { horizon: { start: 2030, end: 2034, step: 1 }, discountTonnes: false }).abatement_tco2).toBeCloseTo(500);
+  });
+});
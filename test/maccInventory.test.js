@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { inventoryLine, computeInventory, inventoryAuditTable } from "../src/maccInventory.js";
+
+// Resolved catalogs as the app passes them: sample rows, with the firm's own Coal winning in "merged" mode
+const custom = { fuels: [{ name: "coal", price: 5200, ef_tco2_per_unit: 2.1 }] };
+const catalogs = {
+  fuels: [{ name: "Coal", price: 5200, ef_tco2_per_unit: 2.1 }, { name: "Diesel", price: 90, ef_tco2_per_unit: 0.0027 }],
+  electricity: [{ state: "Gujarat", price_per_mwh: 6000, ef_tco2_per_mwh: 0.8 }, { state: "Kerala", price_per_mwh: 5000, ef_tco2_per_mwh: 0.7 }],
+  raw: [], transport: [], waste: [],
+};
+
+describe("inventoryLine", () => {
+  it("names the catalog an EF came from by the data source mode", () => {
+    const coal = { group: "fuels", item: "Coal", qty: 100 };
+    expect(inventoryLine(coal, catalogs, custom, "sample").ef_source).toBe("sample catalog: Fuels / Coal");
+    expect(inventoryLine(coal, catalogs, custom, "custom").ef_source).toBe("firm catalog: Fuels / Coal");
+    // Merged: the firm catalog has this name (case-insensitive), so its row won
+    expect(inventoryLine(coal, catalogs, custom, "merged").ef_source).toBe("firm catalog: Fuels / Coal");
+    expect(inventoryLine({ group: "fuels", item: "diesel", qty: 100 }, catalogs, custom, "merged").ef_source).toBe("sample catalog: Fuels / Diesel");
+    expect(inventoryLine(coal, catalogs, custom).emissions_t).toBeCloseTo(210, 9);
+  });
+
+  it("records an override next to the catalog EF it replaced", () => {
+    const l = inventoryLine({ group: "fuels", item: "Coal", qty: 100, efOv: 2.5 }, catalogs, custom, "merged");
+    expect(l).toMatchObject({ ef: 2.5, ef_source: "Override (catalog: 2.1)", emissions_t: 250 });
+    expect(inventoryLine({ group: "fuels", item: "Peat", qty: 1, efOv: 1 }, catalogs, custom).ef_source).toBe("Override (catalog: —)");
+  });
+
+  it("falls back to the first grid row for an unknown state and says so", () => {
+    const l = inventoryLine({ group: "electricity", item: "Goa", qty: 10 }, catalogs, custom, "sample");
+    expect(l).toMatchObject({ unit: "MWh", scope: "scope2", ef: 0.8, emissions_t: 8 });
+    expect(l.ef_source).toBe("sample catalog: Electricity / Gujarat (state “Goa” not found — first grid row used)");
+  });
+
+  it("counts an unknown item as zero and a direct entry as tonnes", () => {
+    expect(inventoryLine({ group: "fuels", item: "Peat", qty: 5 }, catalogs, custom)).toMatchObject({ ef: 0, emissions_t: 0, ef_source: "Not in catalog — “Peat” counts as 0" });
+    expect(inventoryLine({ group: "process", qty: 40 }, catalogs, custom)).toMatchObject({ ef: 1, emissions_t: 40, ef_source: "Direct entry (tCO₂e)", scope: "scope1" });
+  });
+});
+
+describe("computeInventory", () => {
+  it("sums by scope and includes only the ticked scopes", () => {
+    const inv = {
+      lines: [
+        { id: 1, group: "fuels", item: "Coal", qty: 100 },
+        { id: 2, group: "electricity", item: "Kerala", qty: 100 },
+        { id: 3, group: "process", qty: 5, note: "CO₂ from calcination" },
+      ],
+    };
+    const res = computeInventory(inv, catalogs, custom, "merged");
+    expect(res.byScope.scope1).toBeCloseTo(215, 9);
+    expect(res.byScope.scope2).toBeCloseTo(70, 9);
+    expect(res.total_t).toBeCloseTo(285, 9);
+    expect(computeInventory({ ...inv, include: { scope2: false } }, catalogs, custom, "merged").included_t).toBeCloseTo(215, 9);
+    expect(inventoryAuditTable(res).map(r => r.ef_source)).toEqual([
+      "firm catalog: Fuels / Coal", "sample catalog: Electricity / Kerala", "Direct entry (tCO₂e)",
+    ]);
+  });
+});
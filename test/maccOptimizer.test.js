@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import { optimisePortfolio } from "../src/maccOptimizer.js";
+
+// 1 cr = 1e7 ₹, so 100 000 t at 1 000 ₹/t costs 10 cr a year
+const CR = 1e7;
+const m = (id, abatement_tco2, effective_cost, extra = {}) => ({ id, name: `M${id}`, abatement_tco2, effective_cost, ...extra });
+const ids = (res) => res.chosen.map(c => c.id).sort();
+
+// A 10 cr, B 20 cr, C 25 cr (for 100k, 100k and 50k t)
+const ABC = [
+  m(1, 100000, 1000, { capex_cr: 50 }),
+  m(2, 100000, 2000, { capex_cr: 10 }),
+  m(3, 50000, 5000, { capex_cr: 5 }),
+];
+
+describe("optimisePortfolio — target", () => {
+  it("takes whole measures when all-or-nothing", () => {
+    // A+B 30 cr beats A+C 35 cr and B+C 45 cr
+    const res = optimisePortfolio(ABC, { targetT: 150000 });
+    expect(res.feasible).toBe(true);
+    expect(ids(res)).toEqual([1, 2]);
+    expect(res.abatement_t).toBeCloseTo(200000, 3);
+    expect(res.cost_inr / CR).toBeCloseTo(30, 6);
+    expect(res.capex_cr).toBeCloseTo(60, 6);
+  });
+
+  it("takes a share of the marginal measure when relaxed", () => {
+    // A in full, half of B: 10 + 10 cr
+    const res = optimisePortfolio(ABC, { targetT: 150000, integer: false });
+    expect(res.chosen.find(c => c.id === 2).share).toBeCloseTo(0.5, 6);
+    expect(res.abatement_t).toBeCloseTo(150000, 3);
+    expect(res.cost_inr / CR).toBeCloseTo(20, 6);
+  });
+
+  it("prices the target at the marginal measure's cost", () => {
+    // One more tonne comes from B at 2 000 ₹/t, whether or not the portfolio itself is integer
+    expect(optimisePortfolio(ABC, { targetT: 150000, integer: false }).shadowPrice).toBeCloseTo(2000, 3);
+    expect(optimisePortfolio(ABC, { targetT: 150000 }).shadowPrice).toBeCloseTo(2000, 3);
+  });
+
+  it("reports an unreachable target as infeasible", () => {
+    const res = optimisePortfolio(ABC, { targetT: 300000 });
+    expect(res).toMatchObject({ feasible: false, chosen: [], shadowPrice: null });
+  });
+});
+
+describe("optimisePortfolio — caps", () => {
+  it("keeps annual cost under the budget cap", () => {
+    // Integer needs A+B at 30 cr; relaxed needs 20 cr
+    expect(optimisePortfolio(ABC, { targetT: 150000, budgetCapInr: 25 * CR }).feasible).toBe(false);
+    const relaxed = optimisePortfolio(ABC, { targetT: 150000, budgetCapInr: 25 * CR, integer: false });
+    expect(relaxed.feasible).toBe(true);
+    expect(relaxed.cost_inr / CR).toBeCloseTo(20, 6);
+  });
+
+  it("keeps capex under the capex cap", () => {
+    // A carries 50 cr of capex, so only B+C (15 cr capex) fits under 40 cr
+    const res = optimisePortfolio(ABC, { targetT: 150000, capexCapCr: 40 });
+    expect(ids(res)).toEqual([2, 3]);
+    expect(res.capex_cr).toBeCloseTo(15, 6);
+    expect(res.cost_inr / CR).toBeCloseTo(45, 6);
+  });
+});
+
+describe("optimisePortfolio — exclusive groups", () => {
+  const grouped = ABC.map(x => (x.id === 3 ? x : { ...x, exclusive_group: "g" }));
+
+  it("takes at most one member of a group", () => {
+    const res = optimisePortfolio(grouped, { targetT: 150000 });
+    expect(ids(res)).toEqual([1, 3]);
+    expect(res.cost_inr / CR).toBeCloseTo(35, 6);
+  });
+
+  it("caps the group's combined share at one when relaxed", () => {
+    const res = optimisePortfolio(grouped, { targetT: 150000, integer: false });
+    const share = (id) => res.chosen.find(c => c.id === id)?.share || 0;
+    expect(share(1) + share(2)).toBeCloseTo(1, 6);
+    expect(res.cost_inr / CR).toBeCloseTo(35, 6);
+  });
+
+  it("prices a target at the frontier by backward difference", () => {
+    // 150 000 t is all the group allows; the last tonne came from C at 5 000 ₹/t
+    expect(optimisePortfolio(grouped, { targetT: 150000, integer: false }).shadowPrice).toBeCloseTo(5000, 3);
+  });
+});
+
+describe("optimisePortfolio — prerequisites", () => {
+  // C is cheapest but needs its prerequisite; two measures share the name "Retrofit"
+  const rows = [
+    m(1, 100000, 1000),
+    { ...m(2, 100000, 2000), name: "Retrofit" },
+    { ...m(4, 100000, 3000), name: "Retrofit" },
+    m(3, 100000, 500),
+  ];
+  const needing = (requires) => rows.map(x => (x.id === 3 ? { ...x, requires } : x));
+
+  it("keeps a dependant out without its prerequisite", () => {
+    // Alone, C would meet 100 000 t at 5 cr; without its prerequisite A (10 cr) is cheapest
+    const res = optimisePortfolio(needing("2"), { targetT: 100000 });
+    expect(ids(res)).toEqual([1]);
+  });
+
+  it("matches the prerequisite by id", () => {
+    // Needing id 2: B+C 25 cr. Needing id 4: C+D 35 cr loses to A+B 30 cr
+    expect(ids(optimisePortfolio(needing("2"), { targetT: 200000 }))).toEqual([2, 3]);
+    expect(ids(optimisePortfolio(needing("4"), { targetT: 200000 }))).toEqual([1, 2]);
+  });
+
+  it("matches a name to the first measure with it", () => {
+    expect(ids(optimisePortfolio(needing("Retrofit"), { targetT: 200000 }))).toEqual([2, 3]);
+  });
+
+  it("keeps out a measure whose prerequisite is missing or itself", () => {
+    expect(ids(optimisePortfolio(needing("Nothing"), { targetT: 100000 }))).toEqual([1]);
+    expect(ids(optimisePortfolio(needing("3"), { targetT: 100000 }))).toEqual([1]);
+  });
+});
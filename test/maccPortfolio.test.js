@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { piecesAt, portfolioBreakdown, sankeyData } from "../src/maccPortfolio.js";
+
+// A fuel switch that cuts coal but draws more grid power, scaled to half by interactions; a quick measure
+const template = {
+  id: 1, name: "Fuel switch", abatement_tco2: 100, interaction_factor: 0.5,
+  details: {
+    mode: "template_db_multiline", years: [2025, 2030], representative_index: 1,
+    per_year: [
+      { year: 2025, pieces: { fuel_t: -100, elec_t: 20, other_t: 0 } },
+      { year: 2030, pieces: { fuel_t: -300, elec_t: 60, other_t: -10 } },
+    ],
+  },
+};
+const quick = { id: 2, name: "Quick", abatement_tco2: 50 };
+const rows = [template, quick, { id: 3, name: "Nothing", abatement_tco2: 0 }];
+
+describe("piecesAt", () => {
+  it("reads the representative year, or interpolates a calendar year", () => {
+    expect(piecesAt(template)).toMatchObject({ fuel_t: -300, elec_t: 60, other_t: -10, raw_t: 0 });
+    expect(piecesAt(template, 2027)).toMatchObject({ fuel_t: -180, elec_t: 36, other_t: -4 });
+    expect(piecesAt(quick)).toBeNull();
+  });
+});
+
+describe("portfolioBreakdown", () => {
+  const b = portfolioBreakdown(rows, null);
+  const cat = (key) => b.categories.find(c => c.key === key).abatement_t;
+  const scope = (key) => b.scopes.find(s => s.key === key).abatement_t;
+
+  it("splits a template by category, scaled by its interaction factor", () => {
+    // 300 × 0.5 of fuel, −60 × 0.5 of electricity, 10 × 0.5 other direct
+    const m = b.measures.find(x => x.id === 1);
+    expect(m.byCategory).toMatchObject({ fuel_t: 150, elec_t: -30, other_t: 5, quick: 0 });
+    expect(m.total_t).toBe(125);
+    expect(m.byScope).toEqual({ scope1: 155, scope2: -30, scope3: 0, unassigned: 0 });
+  });
+
+  it("keeps quick measures unassigned and drops rows without abatement", () => {
+    expect(b.measures.map(m => m.id)).toEqual([1, 2]);
+    expect(b.measures[1].byScope.unassigned).toBe(50);
+  });
+
+  it("adds up to the same total by measure, category and scope", () => {
+    expect(b.total_t).toBe(175);
+    expect(b.categories.reduce((s, c) => s + c.abatement_t, 0)).toBe(175);
+    expect(b.scopes.reduce((s, x) => s + x.abatement_t, 0)).toBe(175);
+    expect([cat("fuel_t"), cat("elec_t"), cat("quick")]).toEqual([150, -30, 50]);
+    expect([scope("scope1"), scope("scope2"), scope("scope3"), scope("unassigned")]).toEqual([155, -30, 0, 50]);
+    expect(b.scopes.find(s => s.key === "scope1").byCategory).toEqual({ fuel_t: 150, other_t: 5 });
+  });
+
+  it("reads each measure at a calendar year", () => {
+    // −(−180 + 36 − 4) × 0.5 + 50
+    expect(portfolioBreakdown(rows, 2027).total_t).toBeCloseTo(74 + 50, 9);
+  });
+});
+
+describe("sankeyData", () => {
+  const b = portfolioBreakdown(rows, null);
+  const { nodes, links } = sankeyData(b, (m) => (m.id === 1 ? "#111" : "#222"));
+  const idx = (name) => nodes.findIndex(n => n.name === name);
+  const flow = (pred) => links.filter(pred).reduce((s, l) => s + l.value, 0);
+
+  it("has a node per contributing category, the total, each measure and added emissions", () => {
+    expect(nodes.map(n => [n.name, n.kind])).toEqual([
+      ["Fuel", "category"], ["Other direct", "category"], ["Not broken down", "category"],
+      ["Net abatement", "total"], ["Fuel switch", "measure"], ["Added emissions", "added"], ["Quick", "measure"],
+    ]);
+    expect(nodes[idx("Fuel switch")].color).toBe("#111");
+  });
+
+  it("balances every measure node and delivers the net total", () => {
+    nodes.forEach((n, i) => {
+      if (n.kind !== "measure") return;
+      expect(flow(l => l.target === i)).toBeCloseTo(flow(l => l.source === i), 9);
+    });
+    expect(flow(l => l.target === idx("Net abatement"))).toBe(b.total_t);
+    // Gross 155 t into the fuel switch, 30 t of it offset by extra grid power
+    expect(flow(l => l.target === idx("Added emissions"))).toBe(30);
+    expect(flow(l => l.source === idx("Fuel"))).toBe(150);
+  });
+
+  it("is empty without measures", () => {
+    expect(sankeyData(portfolioBreakdown([], null)).links).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { deploymentProfile, planRoadmap, trajectoryAt } from "../src/maccRoadmap.js";
+
+// Template built in its first grid year (100 cr, no tonnes), ramping 20 t per 5 years after it
+const years = [2025, 2030, 2035, 2040, 2045, 2050];
+const template = {
+  id: 1, name: "Kiln retrofit", abatement_tco2: 60, effective_cost: 500,
+  details: {
+    mode: "template_db_multiline", years,
+    per_year: years.map((year, i) => ({ year, reduction_t: 20 * i })),
+    stack: { capex_upfront_cr: [100, 0, 0, 0, 0, 0], capex_financed_cr: [0, 0, 0, 0, 0, 0] },
+  },
+};
+const plan = (rows, trajectory) => planRoadmap(rows, { years: [2027, 2028, 2029, 2030, 2031, 2032], baselineT: 1000, trajectory });
+
+describe("trajectoryAt", () => {
+  it("is 0 before the first point, linear between points and flat after the last", () => {
+    const t = { 2030: 10, 2040: 30 };
+    expect([2029, 2030, 2035, 2040, 2050].map(y => trajectoryAt(t, y))).toEqual([0, 10, 20, 30, 30]);
+  });
+});
+
+describe("deploymentProfile", () => {
+  it("keeps a template's build-year capex in its start year", () => {
+    // Regression: anchoring on the first abating year dropped the 100 cr spent the year before
+    const at = deploymentProfile(template, 2027);
+    expect(at(2026)).toMatchObject({ abatement_t: 0, capex_cr: 0 });
+    expect(at(2027)).toMatchObject({ abatement_t: 0, capex_cr: 100 });
+    expect(at(2028).abatement_t).toBeCloseTo(4, 12);
+    expect(at(2028).capex_cr).toBe(0);
+    expect(at(2032).abatement_t).toBeCloseTo(20, 12);
+  });
+
+  it("delivers a quick measure in full from its start year, with capex in that year", () => {
+    const at = deploymentProfile({ abatement_tco2: 50, cost_per_tco2: 2e5, capex_cr: 8 }, 2030);
+    expect(at(2029)).toEqual({ abatement_t: 0, capex_cr: 0, opex_cr: 0 });
+    expect(at(2030)).toEqual({ abatement_t: 50, capex_cr: 8, opex_cr: 1 });
+    expect(at(2031)).toEqual({ abatement_t: 50, capex_cr: 0, opex_cr: 1 });
+  });
+});
+
+describe("planRoadmap", () => {
+  it("books the build-year capex of a measure started on the first plan year", () => {
+    const res = plan([template], { 2027: 1 });
+    expect(res.schedule).toHaveLength(1);
+    expect(res.schedule[0]).toMatchObject({ start: 2027, capex_cr: 100 });
+    res.schedule[0].abatement_t.forEach((t, k) => expect(t).toBeCloseTo(4 * k, 12));
+    expect(res.perYear.map(r => r.capex_cr)).toEqual([100, 0, 0, 0, 0, 0]);
+  });
+
+  it("starts measures in MACC order when the trajectory needs them", () => {
+    const quick = (id, effective_cost) => ({ id, name: `Q${id}`, abatement_tco2: 50, cost_per_tco2: effective_cost, effective_cost });
+    // 5% of 1 000 t from 2029, 10% from 2031: Q1 saves money so starts at once, Q2 in 2031
+    const res = plan([quick(1, -100), quick(2, 300), quick(3, 900)], { 2029: 5, 2030: 5, 2031: 10 });
+    expect(res.schedule.map(s => [s.name, s.start])).toEqual([["Q1", 2027], ["Q2", 2031]]);
+    expect(res.unscheduled).toEqual([{ id: 3, name: "Q3" }]);
+    expect(res.perYear.find(r => r.year === 2031)).toMatchObject({ required_t: 100, planned_t: 100, shortfall_t: 0, starts: ["Q2"] });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { runSensitivity, swing, sensitivityTable } from "../src/maccSensitivity.js";
+
+const catalogs = {
+  fuels: [{ name: "Coal", price: 5000, ef_tco2_per_unit: 2 }],
+  raw: [], transport: [], waste: [], electricity: [],
+};
+
+// One year: 100 units of coal cut (200 t, saving 5 lakh) against 2 lakh of opex → −1 500 ₹/t
+const details = {
+  years: [2025],
+  meta: { discount_rate: 0.08, project_life_years: 10 },
+  adoption: [1],
+  drivers: { fuel_lines: [{ id: 1, name: "Coal", delta: [-100] }] },
+  stack: { opex_cr: [0.02] },
+};
+
+const result = runSensitivity(details, catalogs, 1000, 10);
+const row = (key) => result.rows.find(r => r.key === key);
+
+describe("runSensitivity", () => {
+  it("reads the base costs at the representative year", () => {
+    expect(result.year).toBe(2025);
+    expect(result.base.cost_wo).toBeCloseTo(-1500, 6);
+    expect(result.base.cost_w).toBeCloseTo(-2500, 6);
+  });
+
+  it("moves each input by ±pct % on its own", () => {
+    // Coal at 4 500 / 5 500 ₹: (−4.5 or −5.5 lakh + 2 lakh) / 200 t
+    expect(row("fuel_lines:1:price").low.cost_wo).toBeCloseTo(-1250, 6);
+    expect(row("fuel_lines:1:price").high.cost_wo).toBeCloseTo(-1750, 6);
+    // EF 1.8 / 2.2 moves the tonnes: −3 lakh / 180 t and / 220 t
+    expect(row("fuel_lines:1:ef").low.cost_wo).toBeCloseTo(-300000 / 180, 6);
+    expect(row("fuel_lines:1:ef").high.cost_wo).toBeCloseTo(-300000 / 220, 6);
+  });
+
+  it("skips inputs that are zero or missing", () => {
+    expect(row("capex_upfront_cr")).toBeUndefined();
+    expect(row("fuel_lines:1:priceEsc")).toBeUndefined();
+    expect(row("opex_cr").value).toBe(0.02);
+  });
+});
+
+describe("swing", () => {
+  it("is |high − low| on the chosen metric", () => {
+    expect(swing(row("fuel_lines:1:price"), "cost_wo")).toBeCloseTo(500, 6);
+    // ±20 000 ₹ of opex over 200 t
+    expect(swing(row("opex_cr"), "cost_wo")).toBeCloseTo(200, 6);
+    expect(swing(row("fuel_lines:1:ef"), "cost_wo")).toBeCloseTo(300000 / 180 - 300000 / 220, 6);
+  });
+
+  it("moves only the with-CP figures for the carbon price", () => {
+    const cp = row("carbon_price");
+    expect(cp.value).toBe(1000);
+    expect(swing(cp, "cost_wo")).toBeCloseTo(0, 9);
+    expect(swing(cp, "cost_w")).toBeCloseTo(200, 6);
+  });
+
+  it("is null when a side has no value", () => {
+    expect(swing({ low: { irr_wo: null }, high: { irr_wo: 0.1 } }, "irr_wo")).toBeNull();
+    expect(swing({ low: { irr_wo: NaN }, high: { irr_wo: 0.1 } }, "irr_wo")).toBeNull();
+  });
+});
+
+describe("sensitivityTable", () => {
+  it("writes one line per input with the moved input values", () => {
+    const lines = sensitivityTable(result);
+    expect(lines).toHaveLength(result.rows.length);
+    const price = lines.find(l => l.input === "Fuel: Coal price");
+    expect(price).toMatchObject({ base_value: 5000, low_value: 4500, high_value: 5500 });
+    expect(price.cost_wo_base).toBeCloseTo(-1500, 6);
+    expect(price.cost_wo_low).toBeCloseTo(-1250, 6);
+  });
+});
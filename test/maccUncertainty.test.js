@@ -0,0 +1,177 @@
+import { describe, it, expect } from "vitest";
+import { makeRng, sampleDist, distCenter, perturbDetails, percentile, runMonteCarlo, uncertaintyAt } from "../src/maccUncertainty.js";
+import { computeMeasure } from "../src/maccEngine.js";
+
+const catalogs = {
+  fuels: [{ name: "Coal", price: 5000, ef_tco2_per_unit: 2 }],
+  raw: [], transport: [], waste: [],
+  electricity: [{ state: "Gujarat", price_per_mwh: 6000, ef_tco2_per_mwh: 0.8 }],
+};
+
+// Coal cut by 50 / 200 t, 25 / 100 MWh more grid power; the grid EF is uncertain, U(0.6, 1.0) around 0.8
+const details = (efDist) => ({
+  years: [2025, 2030],
+  meta: { discount_rate: 0.08, project_life_years: 10 },
+  adoption: [0.5, 1],
+  drivers: {
+    fuel_lines: [{ name: "Coal", delta: [-100, -200] }],
+    electricity_lines: [{ state: "Gujarat", deltaMWh: [50, 100], efOvPerYear: ["", 0.5], efDist }],
+    other_direct_t: [10, 20],
+  },
+  stack: { opex_cr: [0.1, 0.1], savings_cr: [0, 0], capex_upfront_cr: [1, 0], capex_financed_cr: [0, 0] },
+});
+const efDist = { dist: "uniform", min: 0.6, max: 1.0 };
+
+// A stub RNG that replays fixed values
+const replay = (...us) => { let i = 0; return () => us[i++ % us.length]; };
+
+describe("makeRng", () => {
+  it("repeats a sequence for a seed and stays in [0, 1)", () => {
+    const a = Array.from({ length: 1000 }, makeRng(42));
+    expect(Array.from({ length: 1000 }, makeRng(42))).toEqual(a);
+    expect(Array.from({ length: 5 }, makeRng(43))).not.toEqual(a.slice(0, 5));
+    expect(a.every(u => u >= 0 && u < 1)).toBe(true);
+  });
+
+  it("draws evenly", () => {
+    const a = Array.from({ length: 20000 }, makeRng(7));
+    expect(a.reduce((s, u) => s + u, 0) / a.length).toBeCloseTo(0.5, 2);
+    expect(a.filter(u => u < 0.1).length / a.length).toBeCloseTo(0.1, 2);
+  });
+});
+
+describe("sampleDist", () => {
+  it("inverts the uniform and triangular CDFs", () => {
+    expect(sampleDist({ dist: "uniform", min: 10, max: 20 }, replay(0.25))).toBe(12.5);
+    // Triangular(0, 2, 10): F(mode) = 0.2
+    const tri = { dist: "triangular", min: 0, mode: 2, max: 10 };
+    expect(sampleDist(tri, replay(0.1))).toBeCloseTo(Math.sqrt(0.1 * 10 * 2), 12);
+    expect(sampleDist(tri, replay(0.6))).toBeCloseTo(10 - Math.sqrt(0.4 * 10 * 8), 12);
+    expect(sampleDist({ dist: "triangular", min: 5, mode: 5, max: 5 }, replay(0.7))).toBe(5);
+  });
+
+  it("draws a normal by Box–Muller", () => {
+    // u = e^(−1/2), v = 1/2 → z = √1 · cos π = −1
+    expect(sampleDist({ dist: "normal", mean: 100, sd: 15 }, replay(Math.exp(-0.5), 0.5))).toBeCloseTo(85, 9);
+  });
+
+  it("centres each distribution on its mode, mean or midpoint", () => {
+    expect(distCenter(efDist)).toBeCloseTo(0.8, 12);
+    expect(distCenter({ dist: "normal", mean: 3, sd: 1 })).toBe(3);
+    expect(distCenter({ dist: "triangular", min: 0, mode: 2, max: 10 })).toBe(2);
+    expect(distCenter({})).toBeNull();
+  });
+});
+
+describe("perturbDetails", () => {
+  it("scales per-year EF overrides by draw ÷ centre and keeps blanks", () => {
+    // u = 0.75 → efOv = 0.9, so the 0.5 override becomes 0.5 × 0.9 / 0.8
+    const ln = perturbDetails(details(efDist), replay(0.75)).drivers.electricity_lines[0];
+    expect(ln.efOv).toBeCloseTo(0.9, 12);
+    expect(ln.efOvPerYear[0]).toBe("");
+    expect(ln.efOvPerYear[1]).toBeCloseTo(0.5625, 12);
+  });
+
+  it("multiplies capex and adoption, clipping adoption to 1", () => {
+    const d = { ...details(undefined), uncertainty: { capex: { dist: "uniform", min: 2, max: 2 }, adoption: { dist: "uniform", min: 1.5, max: 1.5 } } };
+    const p = perturbDetails(d, makeRng(1));
+    expect(p.stack.capex_upfront_cr).toEqual([2, 0]);
+    expect(p.adoption).toEqual([0.75, 1]);
+    expect(d.adoption).toEqual([0.5, 1]);
+  });
+});
+
+describe("percentile", () => {
+  it("interpolates between order statistics", () => {
+    expect([0.1, 0.5, 0.9].map(p => percentile([1, 2, 3, 4, 5], p))).toEqual([1.4, 3, 4.6]);
+    expect(percentile([7], 0.9)).toBe(7);
+    expect(percentile([], 0.5)).toBe(0);
+  });
+});
+
+describe("runMonteCarlo", () => {
+  const n = 400, seed = 11;
+
+  it("bands each year's abatement from the seeded EF draws", () => {
+    const res = runMonteCarlo(details(efDist), catalogs, 0, { n, seed });
+    // One uniform per draw: efOv = 0.6 + 0.4u; 2025 uses efOv, 2030 the override 0.5 × efOv / 0.8
+    const us = Array.from({ length: n }, makeRng(seed));
+    const bandOf = (f) => {
+      const s = us.map(f).sort((a, b) => a - b);
+      return { p10: percentile(s, 0.1), p50: percentile(s, 0.5), p90: percentile(s, 0.9) };
+    };
+    const ef = (u) => 0.6 + 0.4 * u;
+    const want2025 = bandOf(u => 0.5 * (200 - 50 * ef(u) + 10));
+    const want2030 = bandOf(u => 400 - 100 * (0.5 * ef(u) / 0.8) + 20);
+    ["p10", "p50", "p90"].forEach(p => {
+      expect(res.per_year[0].reduction_t[p]).toBeCloseTo(want2025[p], 9);
+      expect(res.per_year[1].reduction_t[p]).toBeCloseTo(want2030[p], 9);
+    });
+    // The 2030 band sits around the deterministic 370 t and spans U(0.375, 0.625) × 100 t
+    const r = res.per_year[1].reduction_t;
+    expect(Math.abs(r.p50 - 370)).toBeLessThan(2);
+    expect(Math.abs(r.p90 - r.p10 - 20)).toBeLessThan(2);
+  });
+
+  it("repeats a run for a seed", () => {
+    const a = runMonteCarlo(details(efDist), catalogs, 500, { n: 50, seed: 3 });
+    expect(runMonteCarlo(details(efDist), catalogs, 500, { n: 50, seed: 3 })).toEqual(a);
+    expect(runMonteCarlo(details(efDist), catalogs, 500, { n: 50, seed: 4 }).npv_w).not.toEqual(a.npv_w);
+  });
+
+  it("collapses to the deterministic result when every distribution is a point", () => {
+    const d = details({ dist: "uniform", min: 0.8, max: 0.8 });
+    const base = computeMeasure(d, catalogs, 500);
+    const res = runMonteCarlo(d, catalogs, 500, { n: 20, seed: 1 });
+    res.per_year.forEach((row, i) => {
+      ["p10", "p50", "p90"].forEach(p => {
+        expect(row.reduction_t[p]).toBeCloseTo(base.perYear[i].reduction_t, 9);
+        expect(row.cost_wo[p]).toBeCloseTo(base.perYear[i].implied_cost_per_t_wo, 9);
+        expect(row.cost_w[p]).toBeCloseTo(base.perYear[i].implied_cost_per_t_w, 9);
+      });
+    });
+    expect(res.npv_w.p50).toBeCloseTo(base.finance.npvW, 9);
+    expect(res.rep).toEqual(res.per_year[base.repIdx]);
+  });
+
+  it("reports progress every 50 draws", () => {
+    const seen = [];
+    runMonteCarlo(details(efDist), catalogs, 0, { n: 100, seed: 1, onProgress: (v) => seen.push(v) });
+    expect(seen).toEqual([0.5, 1]);
+  });
+});
+
+describe("monteCarlo.worker", () => {
+  it("posts progress, then the same result as a direct run", async () => {
+    const posted = [];
+    globalThis.self = { postMessage: (msg) => posted.push(msg) };
+    await import("../src/monteCarlo.worker.js");
+    self.onmessage({ data: { details: details(efDist), catalogs, carbonPrice: 0, n: 100, seed: 5 } });
+    expect(posted.map(m => m.type)).toEqual(["progress", "progress", "done"]);
+    expect(posted[2].result).toEqual(runMonteCarlo(details(efDist), catalogs, 0, { n: 100, seed: 5 }));
+    delete globalThis.self;
+  });
+});
+
+describe("uncertaintyAt", () => {
+  const row = (lo, mid, hi) => ({ p10: lo, p50: mid, p90: hi });
+  const m = {
+    details: {
+      years: [2025, 2030],
+      mc_summary: {
+        years: [2025, 2030], repIdx: 1,
+        per_year: [
+          { reduction_t: row(90, 100, 110), cost_wo: row(-10, 0, 10), cost_w: row(-20, -10, 0) },
+          { reduction_t: row(190, 200, 210), cost_wo: row(10, 20, 30), cost_w: row(0, 10, 20) },
+        ],
+      },
+    },
+  };
+
+  it("reads the representative year, or interpolates percentiles between grid years", () => {
+    expect(uncertaintyAt(m)).toEqual({ abatement: row(190, 200, 210), cost: row(10, 20, 30) });
+    expect(uncertaintyAt(m, 2027)).toEqual({ abatement: row(130, 140, 150), cost: row(-2, 8, 18) });
+    expect(uncertaintyAt({ details: { ...m.details, saved_cost_includes_carbon_price: true } }, 2030).cost).toEqual(row(0, 10, 20));
+    expect(uncertaintyAt({ details: {} })).toBeNull();
+  });
+});